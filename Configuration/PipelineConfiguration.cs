@@ -1,6 +1,10 @@
 using PocketFence_Simple.Hubs;
 using PocketFence.Middleware;
 using Microsoft.AspNetCore.RateLimiting;
+using Microsoft.Extensions.Options;
+using PocketFence_Simple.Models;
+using PocketFence_Simple.Services;
+using PocketFence_Simple.Services.AI;
 
 namespace PocketFence_Simple.Configuration;
 
@@ -36,15 +40,20 @@ public static class PipelineConfiguration
     {
         if (app.Environment.IsDevelopment())
         {
+            var apiSettings = app.Services.GetRequiredService<IOptionsMonitor<ApiSettings>>();
+            
             app.UseDeveloperExceptionPage();
-            app.UseSwagger();
-            app.UseSwaggerUI(c =>
+            app.UseWhen(_ => apiSettings.CurrentValue.EnableSwagger, swagger =>
             {
-                c.SwaggerEndpoint("/swagger/v2/swagger.json", "PocketFence Simple API v2.0");
-                c.RoutePrefix = "api-docs";
-                c.DocumentTitle = "PocketFence API Documentation";
-                c.DefaultModelsExpandDepth(-1);
-                c.DisplayRequestDuration();
+                swagger.UseSwagger();
+                swagger.UseSwaggerUI(c =>
+                {
+                    c.SwaggerEndpoint("/swagger/v2/swagger.json", "PocketFence Simple API v2.0");
+                    c.RoutePrefix = "api-docs";
+                    c.DocumentTitle = "PocketFence API Documentation";
+                    c.DefaultModelsExpandDepth(-1);
+                    c.DisplayRequestDuration();
+                });
             });
         }
         else
@@ -64,8 +73,9 @@ public static class PipelineConfiguration
         // Rate limiting
         app.UseRateLimiter();
         
-        // CORS
-        app.UseCors();
+        // CORS, switchable from settings.html
+        var apiSettings = app.Services.GetRequiredService<IOptionsMonitor<ApiSettings>>();
+        app.UseWhen(_ => apiSettings.CurrentValue.EnableCors, cors => cors.UseCors());
         
         // Authentication and authorization
         app.UseAuthentication();
@@ -158,6 +168,44 @@ public static class PipelineConfiguration
             var networkService = scope.ServiceProvider.GetRequiredService<NetworkTrafficService>();
             await networkService.InitializeAsync();
             
+            // Start recording dashboard activity so hub events and polling clients see the same feed
+            scope.ServiceProvider.GetRequiredService<ActivityFeedService>();
+            
+            // Start sampling throughput and counting filtered requests for the network page
+            scope.ServiceProvider.GetRequiredService<NetworkStatsService>();
+            
+            // Restore saved device blocks and keep each device's blocked-site history
+            var hotspotService = scope.ServiceProvider.GetRequiredService<HotspotService>();
+            var filterService = scope.ServiceProvider.GetRequiredService<ContentFilterService>();
+            foreach (var mac in hotspotService.GetBlockedDeviceMacs())
+            {
+                filterService.SetDeviceBlocked(mac, true);
+            }
+            filterService.SiteBlocked += (_, site) => hotspotService.RecordBlockedSite(site);
+            
+            // Score each filtered request; High and Critical threats become alerts for parents to review
+            var threatService = scope.ServiceProvider.GetRequiredService<AIThreatDetectionService>();
+            networkService.RequestProcessed += (_, request) =>
+            {
+                var device = hotspotService.GetDeviceByMacAddress(request.DeviceMac)
+                    ?? new ConnectedDevice { MacAddress = request.DeviceMac, DeviceName = request.DeviceMac };
+                _ = threatService.AnalyzeThreatAsync(request.Url, string.Empty, device, request.IsBlocked);
+            };
+            
+            // Start auditing what the AI services do on their own
+            scope.ServiceProvider.GetRequiredService<AIActionAuditService>();
+            
+            // Tell parents about new threat alerts and devices they haven't identified in the notification center
+            var notificationService = scope.ServiceProvider.GetRequiredService<AINotificationService>();
+            threatService.ThreatDetected += (_, alert) => _ = notificationService.CreateThreatNotificationAsync(alert);
+            hotspotService.DeviceConnected += (_, device) =>
+            {
+                if (device.Category == DeviceCategory.Unknown)
+                {
+                    _ = notificationService.CreateUnknownDeviceNotificationAsync(device);
+                }
+            };
+            
             logger.LogInformation("✅ All services initialized successfully");
         }
         catch (Exception ex)
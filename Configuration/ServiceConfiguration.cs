@@ -2,6 +2,7 @@ using PocketFence_Simple.Services;
 using PocketFence_Simple.Services.AI;
 using PocketFence_Simple.Services.iOS;
 using PocketFence_Simple.Hubs;
+using PocketFence_Simple.Models;
 using System.Runtime.InteropServices;
 using Microsoft.Extensions.ObjectPool;
 using Microsoft.AspNetCore.Diagnostics.HealthChecks;
@@ -12,6 +13,7 @@ using PocketFence.Security;
 using PocketFence.Middleware;
 using Microsoft.AspNetCore.RateLimiting;
 using System.Threading.RateLimiting;
+using Microsoft.Extensions.Options;
 
 namespace PocketFence_Simple.Configuration;
 
@@ -26,7 +28,7 @@ public static class ServiceConfiguration
     public static void ConfigureServices(this IServiceCollection services, IConfiguration configuration)
     {
         // Core web services
-        ConfigureWebServices(services);
+        ConfigureWebServices(services, configuration);
         
         // Authentication and security
         ConfigureAuthentication(services, configuration);
@@ -47,8 +49,11 @@ public static class ServiceConfiguration
         ConfigureApiDocumentation(services);
     }
 
-    private static void ConfigureWebServices(IServiceCollection services)
+    private static void ConfigureWebServices(IServiceCollection services, IConfiguration configuration)
     {
+        // API settings are edited at runtime from settings.html, so consumers read them through IOptionsMonitor
+        services.Configure<ApiSettings>(configuration.GetSection(ApiSettings.SectionName));
+
         services.AddControllers(options =>
         {
             options.SuppressAsyncSuffixInActionNames = false;
@@ -61,7 +66,7 @@ public static class ServiceConfiguration
             options.StreamBufferCapacity = 10;
         });
 
-        // Configure CORS
+        // Configure CORS (applied only while PocketFence:API:EnableCors is on)
         services.AddCors(options =>
         {
             options.AddDefaultPolicy(policy =>
@@ -76,12 +81,22 @@ public static class ServiceConfiguration
         // Rate limiting
         services.AddRateLimiter(options =>
         {
-            options.AddFixedWindowLimiter("GlobalLimit", limiterOptions =>
+            options.AddPolicy("GlobalLimit", context =>
             {
-                limiterOptions.Window = TimeSpan.FromMinutes(1);
-                limiterOptions.PermitLimit = 100;
-                limiterOptions.QueueLimit = 10;
-                limiterOptions.QueueProcessingOrder = QueueProcessingOrder.OldestFirst;
+                var permitLimit = context.RequestServices
+                    .GetRequiredService<IOptionsMonitor<ApiSettings>>()
+                    .CurrentValue.RateLimitPerMinute;
+
+                // Each client gets its own window, so one busy dashboard can't lock the others (or the settings
+                // page) out. The limit is part of the key, so a new value starts a fresh window as soon as it is saved
+                var client = context.Connection.RemoteIpAddress?.ToString() ?? "unknown";
+                return RateLimitPartition.GetFixedWindowLimiter((client, permitLimit), _ => new FixedWindowRateLimiterOptions
+                {
+                    Window = TimeSpan.FromMinutes(1),
+                    PermitLimit = permitLimit,
+                    QueueLimit = 10,
+                    QueueProcessingOrder = QueueProcessingOrder.OldestFirst
+                });
             });
         });
     }
@@ -118,11 +133,19 @@ public static class ServiceConfiguration
         services.AddSingleton<NetworkTrafficService>();
         services.AddSingleton<ContentFilterService>();
         services.AddSingleton<INetworkModeService, NetworkModeService>();
+        services.AddSingleton<ActivityFeedService>();
+        services.AddSingleton<NetworkStatsService>();
+        services.AddSingleton<AppSettingsService>();
         
         // AI services
         services.AddSingleton<UnifiedAIService>();
         services.AddSingleton<SimpleGeofenceService>();
         services.AddSingleton<AINotificationService>();
+        services.AddSingleton<AIThreatDetectionService>();
+        services.AddSingleton<SelfHealingService>();
+        services.AddSingleton<AIActionAuditService>();
+        services.AddSingleton<AIParentalAssistantService>();
+        services.AddSingleton<GuidanceJournalService>();
         
         // iOS services
         services.AddSingleton<iOSHotspotHelper>();
@@ -134,9 +157,11 @@ public static class ServiceConfiguration
 
     private static void ConfigureBackgroundServices(IServiceCollection services)
     {
-        services.AddHostedService<UnifiedAIService>();
+        // Share the singleton so the background loop sees the activity logged through the API
+        services.AddHostedService(sp => sp.GetRequiredService<UnifiedAIService>());
         services.AddHostedService<SystemMonitoringService>();
-        services.AddHostedService<SelfHealingService>();
+        // Shared as well so the AI action audit hears about its recoveries
+        services.AddHostedService(sp => sp.GetRequiredService<SelfHealingService>());
         services.AddHostedService<AutoUpdateService>();
     }
 
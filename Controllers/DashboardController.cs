@@ -13,6 +13,7 @@ public class DashboardController : ControllerBase
     private readonly NetworkTrafficService _networkService;
     private readonly UnifiedAIService _aiService;
     private readonly SimpleGeofenceService _geofenceService;
+    private readonly ActivityFeedService _activityFeed;
     private readonly ILogger<DashboardController> _logger;
 
     public DashboardController(
@@ -21,6 +22,7 @@ public class DashboardController : ControllerBase
         NetworkTrafficService networkService,
         UnifiedAIService aiService,
         SimpleGeofenceService geofenceService,
+        ActivityFeedService activityFeed,
         ILogger<DashboardController> logger)
     {
         _filterService = filterService;
@@ -28,6 +30,7 @@ public class DashboardController : ControllerBase
         _networkService = networkService;
         _aiService = aiService;
         _geofenceService = geofenceService;
+        _activityFeed = activityFeed;
         _logger = logger;
     }
 
@@ -53,6 +56,84 @@ public class DashboardController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Turn the hotspot on or off. Takes the desired state rather than toggling, so a retried request is harmless.
+    /// </summary>
+    [HttpPut("hotspot")]
+    public async Task<IActionResult> SetHotspot([FromBody] ControlStateRequest request)
+    {
+        try
+        {
+            if (request.Enabled != _hotspotService.IsActive)
+            {
+                var success = request.Enabled
+                    ? await _hotspotService.EnableHotspotAsync()
+                    : await _hotspotService.DisableHotspotAsync();
+
+                if (!success)
+                {
+                    return StatusCode(500, new
+                    {
+                        error = request.Enabled ? "Failed to enable hotspot" : "Failed to disable hotspot",
+                        enabled = _hotspotService.IsActive
+                    });
+                }
+            }
+
+            return Ok(new { enabled = _hotspotService.IsActive });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to set hotspot state");
+            return StatusCode(500, new { error = "Failed to change hotspot state" });
+        }
+    }
+
+    /// <summary>
+    /// Network name and password the hotspot uses, for sharing with devices that should join it
+    /// </summary>
+    [HttpGet("hotspot/credentials")]
+    public IActionResult GetHotspotCredentials()
+    {
+        try
+        {
+            var credentials = _hotspotService.GetHotspotCredentials();
+            return Ok(new
+            {
+                ssid = credentials.Ssid,
+                password = credentials.Password,
+                // The Windows hosted network is always WPA2-Personal with a broadcast SSID
+                security = "WPA2",
+                hidden = false,
+                isActive = _hotspotService.IsActive
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get hotspot credentials");
+            return StatusCode(500, new { error = "Failed to retrieve hotspot credentials" });
+        }
+    }
+
+    /// <summary>
+    /// Turn content filtering on or off
+    /// </summary>
+    [HttpPut("filter")]
+    public IActionResult SetFilter([FromBody] ControlStateRequest request)
+    {
+        try
+        {
+            _filterService.SetEnabled(request.Enabled);
+            _logger.LogInformation("🛡️ Content filtering {State}", request.Enabled ? "enabled" : "disabled");
+            return Ok(new { enabled = _filterService.IsEnabled });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to set filter state");
+            return StatusCode(500, new { error = "Failed to change filter state" });
+        }
+    }
+
     [HttpGet("stats")]
     public async Task<IActionResult> GetStats()
     {
@@ -80,13 +161,33 @@ public class DashboardController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Activity entries, newest first. Page back through history by passing the last id received as <c>before</c>.
+    /// </summary>
+    /// <param name="after">Only entries newer than this id (used by polling clients)</param>
+    /// <param name="before">Only entries older than this id (next page of the timeline)</param>
+    /// <param name="type">Comma-separated activity types to include</param>
+    /// <param name="from">Only entries recorded at or after this time</param>
+    /// <param name="to">Only entries recorded before this time</param>
     [HttpGet("activity")]
-    public IActionResult GetRecentActivity()
+    public IActionResult GetRecentActivity(
+        [FromQuery] long? after = null,
+        [FromQuery] int limit = 20,
+        [FromQuery] string? device = null,
+        [FromQuery] long? before = null,
+        [FromQuery] string? type = null,
+        [FromQuery] DateTimeOffset? from = null,
+        [FromQuery] DateTimeOffset? to = null)
     {
         try
         {
-            // In a real implementation, this would come from a logging service
-            var activity = GetMockActivity();
+            if (from is not null && to is not null && from > to)
+            {
+                return BadRequest(new { error = "'from' must be before 'to'" });
+            }
+
+            var types = type?.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+            var activity = _activityFeed.GetEntries(after, limit, device, before, types, from?.UtcDateTime, to?.UtcDateTime);
             return Ok(activity);
         }
         catch (Exception ex)
@@ -132,7 +233,11 @@ public class DashboardController : ControllerBase
     {
         try
         {
-            var result = await _aiService.AnalyzeContentAsync(request.Content, request.Url);
+            // Insights are kept per device MAC, the id the live view's device group is named after
+            var deviceMac = !string.IsNullOrWhiteSpace(request.DeviceMac)
+                ? request.DeviceMac
+                : FindRequestingDevice()?.MacAddress;
+            var result = await _aiService.AnalyzeContentAsync(request.Content, deviceMac);
             return Ok(result);
         }
         catch (Exception ex)
@@ -142,6 +247,18 @@ public class DashboardController : ControllerBase
         }
     }
 
+    private ConnectedDevice? FindRequestingDevice()
+    {
+        var address = HttpContext.Connection.RemoteIpAddress;
+        if (address is null)
+            return null;
+        if (address.IsIPv4MappedToIPv6)
+            address = address.MapToIPv4();
+
+        var ipAddress = address.ToString();
+        return _hotspotService.GetKnownDevices().FirstOrDefault(d => d.IpAddress == ipAddress);
+    }
+
     private int GetBlockedRequestsCount()
     {
         // In a real implementation, this would track blocked requests
@@ -159,18 +276,4 @@ public class DashboardController : ControllerBase
         // In a real implementation, this would track security warnings
         return Random.Shared.Next(0, 5);
     }
-
-    private object[] GetMockActivity()
-    {
-        var activities = new[]
-        {
-            new { icon = "🚫", message = "Blocked access to social-media.com", device = "iPhone-12", time = "2 minutes ago" },
-            new { icon = "📱", message = "New device connected: Android-Phone", device = "Android-Phone", time = "5 minutes ago" },
-            new { icon = "🛡️", message = "Added new filter rule: gaming sites", device = "System", time = "10 minutes ago" },
-            new { icon = "⚠️", message = "Suspicious activity detected", device = "Laptop-01", time = "15 minutes ago" },
-            new { icon = "🔄", message = "System update completed", device = "System", time = "1 hour ago" }
-        };
-
-        return activities.Take(Random.Shared.Next(3, activities.Length)).ToArray();
-    }
 }
\ No newline at end of file
@@ -41,6 +41,16 @@ public class DashboardHub : Hub
         _logger.LogInformation($"Client {Context.ConnectionId} left group {groupName}");
     }
 
+    /// <summary>
+    /// Group for clients watching a single device's live feed. Group names are case-sensitive, so the MAC is upper-cased
+    /// </summary>
+    public static string DeviceGroup(string deviceId) => $"device:{deviceId.ToUpperInvariant()}";
+
+    /// <summary>
+    /// Group for clients showing live network statistics
+    /// </summary>
+    public const string NetworkGroup = "network";
+
     // Methods to send updates to all connected dashboards
     public static async Task NotifyDeviceConnected(IHubContext<DashboardHub> hubContext, object deviceInfo)
     {
@@ -61,4 +71,51 @@ public class DashboardHub : Hub
     {
         await hubContext.Clients.Group("DashboardUsers").SendAsync("StatsUpdated", stats);
     }
+
+    public static async Task NotifyDeviceAccessChanged(IHubContext<DashboardHub> hubContext, object accessInfo)
+    {
+        await hubContext.Clients.Group("DashboardUsers").SendAsync("DeviceAccessChanged", accessInfo);
+    }
+
+    public static async Task NotifyActivityRecorded(IHubContext<DashboardHub> hubContext, object entry)
+    {
+        await hubContext.Clients.Group("DashboardUsers").SendAsync("ActivityRecorded", entry);
+    }
+
+    public static async Task NotifySettingsChanged(IHubContext<DashboardHub> hubContext, object settings)
+    {
+        await hubContext.Clients.Group("DashboardUsers").SendAsync("SettingsChanged", settings);
+    }
+
+    public static async Task NotifyNotificationCreated(IHubContext<DashboardHub> hubContext, object notification)
+    {
+        await hubContext.Clients.Group("DashboardUsers").SendAsync("NotificationCreated", notification);
+    }
+
+    public static async Task NotifyNotificationsDismissed(IHubContext<DashboardHub> hubContext, IReadOnlyCollection<string> notificationIds)
+    {
+        await hubContext.Clients.Group("DashboardUsers").SendAsync("NotificationsDismissed", notificationIds);
+    }
+
+    public static async Task NotifyNotificationsRead(IHubContext<DashboardHub> hubContext, IReadOnlyCollection<string> notificationIds)
+    {
+        await hubContext.Clients.Group("DashboardUsers").SendAsync("NotificationsRead", notificationIds);
+    }
+
+    // Methods to send updates to clients watching a single device
+    public static async Task NotifyDeviceActivity(IHubContext<DashboardHub> hubContext, string deviceId, object activity)
+    {
+        await hubContext.Clients.Group(DeviceGroup(deviceId)).SendAsync("DeviceActivity", activity);
+    }
+
+    public static async Task NotifyDeviceInsightsUpdated(IHubContext<DashboardHub> hubContext, string deviceId, object insights)
+    {
+        await hubContext.Clients.Group(DeviceGroup(deviceId)).SendAsync("DeviceInsightsUpdated", insights);
+    }
+
+    // Methods to send updates to clients showing network statistics
+    public static async Task NotifyTrafficUpdated(IHubContext<DashboardHub> hubContext, object sample)
+    {
+        await hubContext.Clients.Group(NetworkGroup).SendAsync("TrafficUpdated", sample);
+    }
 }
\ No newline at end of file
@@ -20,6 +20,13 @@ namespace PocketFence_Simple.Models
     {
         public string Content { get; set; } = string.Empty;
         public string Url { get; set; } = string.Empty;
+        // MAC address of the device that requested the content; looked up from the caller's IP when not given
+        public string? DeviceMac { get; set; }
+    }
+
+    public class ControlStateRequest
+    {
+        public bool Enabled { get; set; }
     }
 
     // Response models matching the simplified services
@@ -0,0 +1,134 @@
+using System.Text;
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Services.AI;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// The audit trail of automatic AI actions kept by <see cref="AIActionAuditService"/>, filtered by device,
+/// type and date, and exported as CSV or JSON
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class AIActionsController(
+    AIActionAuditService auditService,
+    ILogger<AIActionsController> logger) : ControllerBase
+{
+    private const int MaxPageSize = 500;
+
+    private static readonly string[] CsvColumns =
+        ["Timestamp", "Type", "Device", "DeviceId", "Action", "Reasoning", "ReversedByParent", "ReversedAt", "ReversalReason"];
+
+    /// <summary>
+    /// Entries newest first, with how many match the filters in total
+    /// </summary>
+    [HttpGet]
+    public ActionResult<object> GetActions(
+        [FromQuery] string? device = null,
+        [FromQuery] string? type = null,
+        [FromQuery] DateTimeOffset? from = null,
+        [FromQuery] DateTimeOffset? to = null,
+        [FromQuery] int limit = 100)
+    {
+        if (from is not null && to is not null && from > to)
+        {
+            return BadRequest(new { error = "'from' must be before 'to'" });
+        }
+
+        try
+        {
+            var entries = GetEntries(device, type, from, to);
+            return Ok(new
+            {
+                total = entries.Count,
+                entries = entries.Take(Math.Clamp(limit, 1, MaxPageSize))
+            });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to get AI actions");
+            return StatusCode(500, new { error = "Failed to retrieve AI actions" });
+        }
+    }
+
+    /// <summary>
+    /// Every entry matching the filters as a CSV or JSON download
+    /// </summary>
+    [HttpGet("export")]
+    public IActionResult Export(
+        [FromQuery] string format = "csv",
+        [FromQuery] string? device = null,
+        [FromQuery] string? type = null,
+        [FromQuery] DateTimeOffset? from = null,
+        [FromQuery] DateTimeOffset? to = null)
+    {
+        if (from is not null && to is not null && from > to)
+        {
+            return BadRequest(new { error = "'from' must be before 'to'" });
+        }
+
+        try
+        {
+            var entries = GetEntries(device, type, from, to);
+            var fileName = $"pocketfence-ai-actions-{DateTime.UtcNow:yyyy-MM-dd}";
+
+            return format.ToLowerInvariant() switch
+            {
+                "csv" => File(Encoding.UTF8.GetPreamble().Concat(Encoding.UTF8.GetBytes(ToCsv(entries))).ToArray(), "text/csv", $"{fileName}.csv"),
+                "json" => File(JsonSerializer.SerializeToUtf8Bytes(entries, new JsonSerializerOptions(JsonSerializerDefaults.Web) { WriteIndented = true }),
+                    "application/json", $"{fileName}.json"),
+                _ => BadRequest(new { error = $"Unknown format '{format}'; expected csv or json" })
+            };
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to export AI actions");
+            return StatusCode(500, new { error = "Failed to export AI actions" });
+        }
+    }
+
+    private IReadOnlyList<AIActionAuditEntry> GetEntries(string? device, string? type, DateTimeOffset? from, DateTimeOffset? to)
+    {
+        var types = type?.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        return auditService.GetEntries(device, types, from?.UtcDateTime, to?.UtcDateTime);
+    }
+
+    private static string ToCsv(IEnumerable<AIActionAuditEntry> entries)
+    {
+        var csv = new StringBuilder();
+        csv.AppendLine(string.Join(',', CsvColumns));
+
+        foreach (var entry in entries)
+        {
+            csv.AppendLine(string.Join(',', new[]
+            {
+                entry.Timestamp.ToString("o"),
+                entry.Type,
+                entry.DeviceName,
+                entry.DeviceId,
+                entry.Action,
+                entry.Reasoning,
+                entry.ReversedAt is null ? "no" : "yes",
+                entry.ReversedAt?.ToString("o"),
+                entry.ReversalReason
+            }.Select(CsvField)));
+        }
+
+        return csv.ToString();
+    }
+
+    private static string CsvField(string? value)
+    {
+        if (string.IsNullOrEmpty(value)) return "";
+
+        // Keep spreadsheets from treating URLs or reasons as formulas
+        if (value[0] is '=' or '+' or '-' or '@')
+        {
+            value = "'" + value;
+        }
+
+        return value.IndexOfAny([',', '"', '\n', '\r']) >= 0
+            ? $"\"{value.Replace("\"", "\"\"")}\""
+            : value;
+    }
+}
@@ -0,0 +1,180 @@
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Services;
+using PocketFence_Simple.Services.AI;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// The dashboard's assistant chat. Questions are routed to navigation help, usage insights or
+/// safety guidance from <see cref="AIParentalAssistantService"/>, which also keeps the history.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class AssistantController(
+    AIParentalAssistantService assistant,
+    HotspotService hotspotService,
+    ILogger<AssistantController> logger) : ControllerBase
+{
+    private const int MaxQuestionLength = 500;
+
+    private static readonly string[] HistoryCategories = ["navigation", "insights", "safety"];
+
+    // Checked in order; the first keyword found in the question picks the feature or topic
+    private static readonly (string Keyword, string Feature)[] FeatureKeywords =
+    [
+        ("filter", "filters"), ("block", "filters"), ("rule", "filters"),
+        ("device", "devices"), ("phone", "devices"), ("tablet", "devices"),
+        ("report", "reports"), ("setting", "settings"), ("notification", "settings"),
+        ("assistant", "ai-assistant"), ("dashboard", "dashboard")
+    ];
+
+    private static readonly (string Keyword, string Topic)[] SafetyKeywords =
+    [
+        ("bully", "cyberbullying"), ("harass", "cyberbullying"),
+        ("predator", "online-predators"), ("stranger", "online-predators"), ("groom", "online-predators"),
+        ("inappropriate", "inappropriate-content"), ("adult content", "inappropriate-content"), ("violent", "inappropriate-content"),
+        ("privacy", "privacy-settings"), ("password", "privacy-settings"), ("location", "privacy-settings"),
+        ("screen time", "screen-time"), ("screen-time", "screen-time"),
+        ("sleep", "digital-wellness"), ("wellness", "digital-wellness"), ("wellbeing", "digital-wellness"),
+        ("gaming", "online-gaming"), ("game", "online-gaming"),
+        ("social media", "social-media"), ("instagram", "social-media"), ("tiktok", "social-media"), ("snapchat", "social-media"),
+        ("safe", "digital-citizenship"), ("etiquette", "digital-citizenship")
+    ];
+
+    private static readonly string[] InsightKeywords = ["usage", "insight", "pattern", "how much", "analy", "trend"];
+
+    [HttpPost("ask")]
+    public async Task<ActionResult<object>> Ask([FromBody] AssistantQuestionRequest request, CancellationToken cancellationToken)
+    {
+        var question = request.Message?.Trim();
+        if (string.IsNullOrEmpty(question) && request.Kind is null)
+        {
+            return BadRequest(new { error = "Ask a question or pick a quick action" });
+        }
+        if (question is { Length: > MaxQuestionLength })
+        {
+            return BadRequest(new { error = $"Questions must be {MaxQuestionLength} characters or fewer" });
+        }
+
+        var ageGroup = AgeGroup.Preteen;
+        if (request.AgeGroup is not null &&
+            (!Enum.TryParse(request.AgeGroup, ignoreCase: true, out ageGroup) || !Enum.IsDefined(ageGroup)))
+        {
+            return BadRequest(new { error = $"Unknown age group '{request.AgeGroup}'" });
+        }
+
+        var (kind, topic) = request.Kind is null
+            ? Classify(question!)
+            : (request.Kind.ToLowerInvariant(), request.Topic);
+
+        try
+        {
+            switch (kind)
+            {
+                case "navigation":
+                    return Ok(ToDto(await assistant.GetNavigationHelpAsync(topic ?? "dashboard", question, cancellationToken)));
+
+                case "insights":
+                    await hotspotService.GetConnectedDevicesAsync();
+                    var devices = hotspotService.GetKnownDevices();
+                    return Ok(ToDto(await assistant.GetUsageInsightsAsync(devices, question, cancellationToken)));
+
+                case "safety":
+                    var safety = await assistant.GetSafetyGuidanceAsync(topic ?? "digital-citizenship", ageGroup, question, cancellationToken);
+                    return Ok(new
+                    {
+                        id = safety.Id,
+                        kind = "safety",
+                        topic = safety.Topic,
+                        question,
+                        content = safety.Content,
+                        actionItems = safety.Tips,
+                        warningSigns = safety.WarningSignsToWatch,
+                        resources = safety.Resources,
+                        priority = nameof(GuidancePriority.Normal),
+                        timestamp = safety.Timestamp
+                    });
+
+                default:
+                    return BadRequest(new { error = $"Unknown kind '{request.Kind}'; expected navigation, insights or safety" });
+            }
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to answer assistant question");
+            return StatusCode(500, new { error = "The assistant could not answer right now" });
+        }
+    }
+
+    /// <summary>
+    /// Earlier questions and answers across all categories, oldest first
+    /// </summary>
+    [HttpGet("history")]
+    public async Task<ActionResult<object>> GetHistory([FromQuery] int limit = 20, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            limit = Math.Clamp(limit, 1, 100);
+
+            var history = new List<ParentalGuidance>();
+            foreach (var category in HistoryCategories)
+            {
+                history.AddRange(await assistant.GetGuidanceHistoryAsync(category, limit, cancellationToken));
+            }
+
+            return Ok(history
+                .OrderByDescending(g => g.Timestamp)
+                .Take(limit)
+                .OrderBy(g => g.Timestamp)
+                .Select(ToDto));
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to load assistant history");
+            return StatusCode(500, new { error = "Failed to load conversation history" });
+        }
+    }
+
+    private static (string Kind, string? Topic) Classify(string question)
+    {
+        var text = question.ToLowerInvariant();
+
+        if (InsightKeywords.Any(text.Contains))
+        {
+            return ("insights", null);
+        }
+
+        // "How do I block..." is about using the app, not a safety topic
+        var isHowTo = text.StartsWith("how do i") || text.StartsWith("where") || text.Contains("navigate");
+        var safetyTopic = SafetyKeywords.FirstOrDefault(k => text.Contains(k.Keyword)).Topic;
+        if (safetyTopic is not null && !isHowTo)
+        {
+            return ("safety", safetyTopic);
+        }
+
+        var feature = FeatureKeywords.FirstOrDefault(k => text.Contains(k.Keyword)).Feature;
+        return ("navigation", feature ?? "ai-assistant");
+    }
+
+    private static object ToDto(ParentalGuidance guidance) => new
+    {
+        id = guidance.Id,
+        kind = guidance.Type switch
+        {
+            GuidanceType.NavigationHelp => "navigation",
+            GuidanceType.UsageInsights => "insights",
+            GuidanceType.SafetyGuidance => "safety",
+            _ => "tip"
+        },
+        topic = guidance.Topic,
+        question = guidance.Question,
+        content = guidance.Content,
+        actionItems = guidance.ActionItems,
+        warningSigns = Array.Empty<string>(),
+        resources = Array.Empty<string>(),
+        priority = guidance.Priority.ToString(),
+        timestamp = guidance.Timestamp
+    };
+}
+
+public record AssistantQuestionRequest(string? Message, string? Kind = null, string? Topic = null, string? AgeGroup = null);
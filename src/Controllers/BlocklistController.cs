@@ -0,0 +1,103 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Services;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// Bulk access to the blocked domain list. Files are parsed in the browser;
+/// this API receives normalized entries and re-validates them.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public partial class BlocklistController(ContentFilterService filterService, ILogger<BlocklistController> logger) : ControllerBase
+{
+    private const int MaxImportEntries = 100_000;
+
+    [GeneratedRegex(@"^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+([a-z]{2,63}|xn--[a-z0-9-]{1,59})$")]
+    private static partial Regex DomainPattern();
+
+    [HttpGet]
+    public ActionResult<object> GetBlocklist()
+    {
+        var entries = filterService.GetBlockedDomainEntries()
+            .Select(e => new { domain = e.Domain, category = e.Category });
+
+        return Ok(entries);
+    }
+
+    [HttpPost("import")]
+    public ActionResult<object> Import([FromBody] BlocklistImportRequest request)
+    {
+        try
+        {
+            if (request.Entries is null || request.Entries.Count == 0)
+            {
+                return BadRequest(new { error = "Nothing to import" });
+            }
+
+            if (request.Entries.Count > MaxImportEntries)
+            {
+                return BadRequest(new { error = $"Imports are limited to {MaxImportEntries:N0} domains" });
+            }
+
+            var invalid = new List<string>();
+            var valid = new List<(string Domain, string? Category)>();
+            foreach (var entry in request.Entries)
+            {
+                var domain = entry.Domain?.Trim().TrimEnd('.').ToLowerInvariant() ?? string.Empty;
+                if (DomainPattern().IsMatch(domain))
+                    valid.Add((domain, entry.Category));
+                else
+                    invalid.Add(entry.Domain ?? string.Empty);
+            }
+
+            var added = filterService.AddBlockedDomains(valid);
+            // Each added domain is consumed once; any further occurrence (or an existing domain) is a duplicate
+            var addedSet = added.ToHashSet();
+            var duplicates = valid
+                .Select(v => v.Domain)
+                .Where(d => !addedSet.Remove(d))
+                .Distinct()
+                .ToList();
+
+            logger.LogInformation("📥 Imported {Added} blocked domains ({Duplicates} duplicates, {Invalid} invalid)",
+                added.Count, duplicates.Count, invalid.Count);
+
+            return Ok(new { added, duplicates, invalid });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to import blocklist");
+            return StatusCode(500, new { error = "Failed to import blocklist" });
+        }
+    }
+
+    [HttpPost("remove")]
+    public ActionResult<object> Remove([FromBody] BlocklistRemoveRequest request)
+    {
+        try
+        {
+            if (request.Domains is null || request.Domains.Count == 0)
+            {
+                return BadRequest(new { error = "No domains to remove" });
+            }
+
+            var removed = filterService.RemoveBlockedDomains(request.Domains);
+            logger.LogInformation("🗑️ Removed {Count} blocked domains", removed.Count);
+
+            return Ok(new { removed });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to remove blocked domains");
+            return StatusCode(500, new { error = "Failed to remove blocked domains" });
+        }
+    }
+}
+
+public record BlocklistEntry(string Domain, string? Category);
+
+public record BlocklistImportRequest(List<BlocklistEntry> Entries);
+
+public record BlocklistRemoveRequest(List<string> Domains);
@@ -0,0 +1,173 @@
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Models;
+using PocketFence_Simple.Services;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// Devices seen on the hotspot, keyed by MAC address
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class DevicesController(
+    HotspotService hotspotService,
+    ContentFilterService filterService,
+    ILogger<DevicesController> logger) : ControllerBase
+{
+    [HttpGet]
+    public async Task<ActionResult<object>> GetDevices()
+    {
+        try
+        {
+            // Refresh from the ARP table so IsOnline reflects the current network
+            await hotspotService.GetConnectedDevicesAsync();
+
+            var devices = hotspotService.GetKnownDevices()
+                .OrderByDescending(d => d.IsOnline)
+                .ThenBy(d => d.DeviceName)
+                .Select(ToDto)
+                .ToList();
+
+            return Ok(new
+            {
+                devices,
+                onlineCount = devices.Count(d => d.IsOnline),
+                totalCount = devices.Count
+            });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to get devices");
+            return StatusCode(500, new { error = "Failed to retrieve devices" });
+        }
+    }
+
+    [HttpGet("{mac}")]
+    public ActionResult<object> GetDevice(string mac)
+    {
+        var device = hotspotService.GetDeviceByMacAddress(mac);
+        return device is null
+            ? NotFound(new { error = $"Device {mac} not found" })
+            : Ok(ToDto(device));
+    }
+
+    [HttpPut("{mac}")]
+    public ActionResult<object> UpdateDevice(string mac, [FromBody] UpdateDeviceRequest request)
+    {
+        try
+        {
+            DeviceCategory? category = null;
+            if (request.Category is not null)
+            {
+                if (!Enum.TryParse<DeviceCategory>(request.Category, ignoreCase: true, out var parsed) || !Enum.IsDefined(parsed))
+                {
+                    return BadRequest(new { error = $"Unknown device category '{request.Category}'" });
+                }
+                category = parsed;
+            }
+
+            if (request.DeviceName is { Length: > 64 })
+            {
+                return BadRequest(new { error = "Device name must be 64 characters or fewer" });
+            }
+
+            var device = hotspotService.UpdateDeviceSettings(mac, request.DeviceName, category, request.IsChildDevice, request.IsFiltered);
+            if (device is null)
+            {
+                return NotFound(new { error = $"Device {mac} not found" });
+            }
+
+            logger.LogInformation("🔧 Updated settings for {DeviceName} ({Mac})", device.DeviceName, device.MacAddress);
+            return Ok(ToDto(device));
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to update device {Mac}", mac);
+            return StatusCode(500, new { error = "Failed to update device" });
+        }
+    }
+
+    [HttpGet("{mac}/blocked-sites")]
+    public ActionResult<object> GetBlockedSites(string mac, [FromQuery] int limit = 100)
+    {
+        var sites = hotspotService.GetBlockedSites(mac)
+            .Take(Math.Clamp(limit, 1, 200))
+            .Select(site => new
+            {
+                site.Url,
+                site.Reason,
+                site.BlockedAt
+            });
+
+        return Ok(sites);
+    }
+
+    [HttpGet("categories")]
+    public ActionResult<object> GetCategories()
+    {
+        return Ok(Enum.GetNames<DeviceCategory>());
+    }
+
+    [HttpPost("{mac}/access")]
+    public ActionResult<object> SetDeviceAccess(string mac, [FromBody] DeviceAccessRequest request)
+    {
+        try
+        {
+            var device = hotspotService.SetDeviceBlocked(mac, request.Blocked);
+            if (device is null)
+            {
+                return NotFound(new { error = $"Device {mac} not found" });
+            }
+
+            filterService.SetDeviceBlocked(device.MacAddress, request.Blocked);
+
+            logger.LogInformation("{Icon} Internet access {Action} for {DeviceName} ({Mac})",
+                request.Blocked ? "⛔" : "✅", request.Blocked ? "blocked" : "restored", device.DeviceName, device.MacAddress);
+
+            return Ok(ToDto(device));
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to change access for device {Mac}", mac);
+            return StatusCode(500, new { error = "Failed to change device access" });
+        }
+    }
+
+    internal static DeviceDto ToDto(ConnectedDevice device) => new(
+        device.MacAddress,
+        device.DeviceName,
+        device.IpAddress,
+        device.MacAddress,
+        device.Manufacturer,
+        device.DeviceType,
+        device.Category.ToString(),
+        device.DataUsage,
+        device.FirstSeen,
+        device.LastSeen,
+        device.IsOnline,
+        device.IsBlocked,
+        device.IsChildDevice,
+        device.IsFiltered,
+        device.FilterStatus);
+}
+
+public record DeviceAccessRequest(bool Blocked);
+
+public record UpdateDeviceRequest(string? DeviceName, string? Category, bool? IsChildDevice, bool? IsFiltered);
+
+public record DeviceDto(
+    string Id,
+    string DeviceName,
+    string IpAddress,
+    string MacAddress,
+    string Manufacturer,
+    string DeviceType,
+    string Category,
+    long DataUsage,
+    DateTime FirstSeen,
+    DateTime LastSeen,
+    bool IsOnline,
+    bool IsBlocked,
+    bool IsChildDevice,
+    bool IsFiltered,
+    string FilterStatus);
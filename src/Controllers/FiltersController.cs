@@ -0,0 +1,276 @@
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Models;
+using PocketFence_Simple.Services;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// Filter rule editor API backing filters.html
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class FiltersController(ContentFilterService filterService, ILogger<FiltersController> logger) : ControllerBase
+{
+    [HttpGet]
+    public async Task<ActionResult<object>> GetRules()
+    {
+        try
+        {
+            var rules = await filterService.GetFilterRulesAsync();
+            return Ok(rules
+                .OrderBy(r => r.Priority)
+                .ThenBy(r => r.CreatedAt)
+                .Select(ToDto));
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to get filter rules");
+            return StatusCode(500, new { error = "Failed to retrieve filter rules" });
+        }
+    }
+
+    [HttpGet("{id}")]
+    public ActionResult<object> GetRule(string id)
+    {
+        var rule = filterService.GetFilterRule(id);
+        return rule is null
+            ? NotFound(new { error = $"Filter rule {id} not found" })
+            : Ok(ToDto(rule));
+    }
+
+    [HttpPost]
+    public async Task<ActionResult<object>> CreateRule([FromBody] FilterRuleRequest request)
+    {
+        try
+        {
+            if (!TryBuildRule(request, out var rule, out var error))
+            {
+                return BadRequest(new { error });
+            }
+
+            // New rules go to the end of the list unless a priority was chosen
+            if (request.Priority is null)
+            {
+                var rules = await filterService.GetFilterRulesAsync();
+                rule.Priority = rules.Count == 0 ? 1 : rules.Max(r => r.Priority) + 1;
+            }
+
+            await filterService.AddFilterRuleAsync(rule);
+            logger.LogInformation("🛡️ Added filter rule {RuleName}", rule.Name);
+
+            return CreatedAtAction(nameof(GetRule), new { id = rule.Id }, ToDto(rule));
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to add filter rule");
+            return StatusCode(500, new { error = "Failed to add filter rule" });
+        }
+    }
+
+    [HttpPut("{id}")]
+    public ActionResult<object> UpdateRule(string id, [FromBody] FilterRuleRequest request)
+    {
+        try
+        {
+            var existing = filterService.GetFilterRule(id);
+            if (existing is null)
+            {
+                return NotFound(new { error = $"Filter rule {id} not found" });
+            }
+
+            if (!TryBuildRule(request, out var rule, out var error))
+            {
+                return BadRequest(new { error });
+            }
+
+            rule.Id = existing.Id;
+            rule.CreatedAt = existing.CreatedAt;
+            rule.CreatedDate = existing.CreatedDate;
+            rule.Priority = request.Priority ?? existing.Priority;
+
+            filterService.UpdateFilterRule(rule);
+            logger.LogInformation("🛡️ Updated filter rule {RuleName}", rule.Name);
+
+            return Ok(ToDto(rule));
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to update filter rule {RuleId}", id);
+            return StatusCode(500, new { error = "Failed to update filter rule" });
+        }
+    }
+
+    [HttpDelete("{id}")]
+    public async Task<ActionResult> DeleteRule(string id)
+    {
+        try
+        {
+            if (filterService.GetFilterRule(id) is null)
+            {
+                return NotFound(new { error = $"Filter rule {id} not found" });
+            }
+
+            await filterService.RemoveFilterRuleAsync(id);
+            logger.LogInformation("🗑️ Removed filter rule {RuleId}", id);
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to remove filter rule {RuleId}", id);
+            return StatusCode(500, new { error = "Failed to remove filter rule" });
+        }
+    }
+
+    [HttpPut("order")]
+    public async Task<ActionResult<object>> ReorderRules([FromBody] ReorderRulesRequest request)
+    {
+        try
+        {
+            if (request.RuleIds is null || request.RuleIds.Count == 0)
+            {
+                return BadRequest(new { error = "ruleIds must list at least one rule" });
+            }
+
+            filterService.ReorderFilterRules(request.RuleIds);
+
+            var rules = await filterService.GetFilterRulesAsync();
+            return Ok(rules.OrderBy(r => r.Priority).Select(ToDto));
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to reorder filter rules");
+            return StatusCode(500, new { error = "Failed to reorder filter rules" });
+        }
+    }
+
+    [HttpPost("test")]
+    public ActionResult<object> TestUrl([FromBody] FilterTestRequest request)
+    {
+        try
+        {
+            if (string.IsNullOrWhiteSpace(request.Url))
+            {
+                return BadRequest(new { error = "Enter a URL to test" });
+            }
+
+            // Parents type "example.com"; the filter sees full URLs
+            var url = request.Url.Trim();
+            if (!url.Contains("://"))
+            {
+                url = "https://" + url;
+            }
+
+            var decision = filterService.ExplainDecision(url, request.DeviceMac?.Trim() ?? string.Empty);
+
+            return Ok(new
+            {
+                decision.Url,
+                decision.Domain,
+                decision.DeviceMac,
+                decision.ShouldBlock,
+                decision.Reason,
+                decision.FromCache,
+                MatchedRule = decision.MatchedRule is { } rule ? new { rule.Id, rule.Name } : null,
+                Steps = decision.Steps.Select(step => new
+                {
+                    step.Check,
+                    Outcome = step.Outcome.ToString(),
+                    step.Detail,
+                    step.RuleId
+                })
+            });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to test URL {Url}", request.Url);
+            return StatusCode(500, new { error = "Failed to test URL" });
+        }
+    }
+
+    private static bool TryBuildRule(FilterRuleRequest request, out FilterRule rule, out string? error)
+    {
+        rule = new FilterRule();
+        error = null;
+
+        if (string.IsNullOrWhiteSpace(request.Name))
+        {
+            error = "Name is required";
+            return false;
+        }
+
+        if (!Enum.TryParse<FilterType>(request.Type, ignoreCase: true, out var type) || !Enum.IsDefined(type))
+        {
+            error = $"Unknown rule type '{request.Type}'";
+            return false;
+        }
+
+        if (!Enum.TryParse<FilterAction>(request.Action, ignoreCase: true, out var action) || !Enum.IsDefined(action))
+        {
+            error = $"Unknown rule action '{request.Action}'";
+            return false;
+        }
+
+        var categories = (request.Categories ?? [])
+            .Select(c => c.Trim().ToLowerInvariant())
+            .Where(c => c.Length > 0)
+            .Distinct()
+            .ToList();
+
+        if (type == FilterType.Category ? categories.Count == 0 : string.IsNullOrWhiteSpace(request.Pattern))
+        {
+            error = type == FilterType.Category
+                ? "Category rules need at least one category"
+                : "Pattern is required";
+            return false;
+        }
+
+        if (request.Priority is < 1)
+        {
+            error = "Priority must be 1 or greater";
+            return false;
+        }
+
+        rule = new FilterRule
+        {
+            Name = request.Name.Trim(),
+            Description = request.Description?.Trim() ?? string.Empty,
+            Type = type,
+            RuleType = type.ToString(),
+            Pattern = request.Pattern?.Trim() ?? string.Empty,
+            Action = action,
+            Priority = request.Priority ?? 1,
+            Categories = categories,
+            IsEnabled = request.IsEnabled
+        };
+        return true;
+    }
+
+    internal static object ToDto(FilterRule rule) => new
+    {
+        rule.Id,
+        rule.Name,
+        rule.Description,
+        Type = rule.Type.ToString(),
+        rule.Pattern,
+        Action = rule.Action.ToString(),
+        rule.Priority,
+        rule.Categories,
+        rule.IsEnabled,
+        rule.CreatedAt
+    };
+}
+
+public record FilterRuleRequest(
+    string Name,
+    string? Description,
+    string Type,
+    string? Pattern,
+    string Action,
+    int? Priority,
+    List<string>? Categories,
+    bool IsEnabled = true);
+
+public record ReorderRulesRequest(List<string> RuleIds);
+
+public record FilterTestRequest(string Url, string? DeviceMac);
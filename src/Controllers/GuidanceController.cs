@@ -0,0 +1,136 @@
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Services;
+using PocketFence_Simple.Services.AI;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// Conversation starters and safety guidance for each child, plus the favorites and
+/// talks-already-had the parent keeps in the guidance browser
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class GuidanceController(
+    AIParentalAssistantService assistant,
+    GuidanceJournalService journal,
+    HotspotService hotspotService,
+    ILogger<GuidanceController> logger) : ControllerBase
+{
+    private const int MaxNoteLength = 500;
+
+    [HttpGet("topics")]
+    public ActionResult<object> GetTopics()
+    {
+        return Ok(AIParentalAssistantService.Topics);
+    }
+
+    /// <summary>
+    /// Devices marked as a child's device, with the age group their guidance is tailored to
+    /// </summary>
+    [HttpGet("children")]
+    public ActionResult<object> GetChildren()
+    {
+        return Ok(hotspotService.GetKnownDevices()
+            .Where(d => d.IsChildDevice)
+            .OrderBy(d => d.DeviceName)
+            .Select(d => new
+            {
+                deviceId = d.MacAddress,
+                name = d.DeviceName,
+                ageGroup = journal.GetJournal(d.MacAddress).AgeGroup.ToString()
+            }));
+    }
+
+    [HttpGet("{deviceId}")]
+    public async Task<ActionResult<object>> GetGuidance(string deviceId, [FromQuery] string? topic = null, CancellationToken cancellationToken = default)
+    {
+        var device = hotspotService.GetDeviceByMacAddress(deviceId);
+        if (device is null || !device.IsChildDevice)
+        {
+            return NotFound(new { error = $"No child's device {deviceId}" });
+        }
+        if (topic is not null && !AIParentalAssistantService.Topics.Contains(topic))
+        {
+            return BadRequest(new { error = $"Unknown topic '{topic}'" });
+        }
+
+        try
+        {
+            var saved = journal.GetJournal(device.MacAddress);
+            var profile = new ChildProfile(device.MacAddress, saved.AgeGroup, device.DeviceName);
+
+            var starters = await assistant.GetConversationStartersAsync(profile, cancellationToken);
+            var safety = await assistant.GetSafetyGuidanceAsync(topic ?? AIParentalAssistantService.Topics[0], saved.AgeGroup, cancellationToken: cancellationToken);
+
+            return Ok(new
+            {
+                deviceId = device.MacAddress,
+                name = device.DeviceName,
+                ageGroup = saved.AgeGroup.ToString(),
+                starters,
+                safety = new
+                {
+                    topic = safety.Topic,
+                    content = safety.Content,
+                    tips = safety.Tips,
+                    warningSigns = safety.WarningSignsToWatch,
+                    resources = safety.Resources
+                },
+                notes = saved.Notes
+            });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to get guidance for {DeviceId}", deviceId);
+            return StatusCode(500, new { error = "Failed to load guidance" });
+        }
+    }
+
+    [HttpPut("{deviceId}/age-group")]
+    public ActionResult<object> SetAgeGroup(string deviceId, [FromBody] GuidanceAgeGroupRequest request)
+    {
+        if (!Enum.TryParse<AgeGroup>(request.AgeGroup, ignoreCase: true, out var ageGroup) || !Enum.IsDefined(ageGroup))
+        {
+            return BadRequest(new { error = $"Unknown age group '{request.AgeGroup}'" });
+        }
+
+        var device = hotspotService.GetDeviceByMacAddress(deviceId);
+        if (device is null || !device.IsChildDevice)
+        {
+            return NotFound(new { error = $"No child's device {deviceId}" });
+        }
+
+        journal.SetAgeGroup(device.MacAddress, ageGroup);
+        logger.LogInformation("👶 Guidance for {DeviceName} now tailored to {AgeGroup}", device.DeviceName, ageGroup);
+        return Ok(new { deviceId = device.MacAddress, ageGroup = ageGroup.ToString() });
+    }
+
+    /// <summary>
+    /// Save a starter or tip as a favorite, or record that the talk has happened
+    /// </summary>
+    [HttpPut("{deviceId}/notes")]
+    public ActionResult<object> UpdateNote(string deviceId, [FromBody] GuidanceNoteRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.Text) || request.Text.Length > MaxNoteLength)
+        {
+            return BadRequest(new { error = $"Text is required and must be {MaxNoteLength} characters or fewer" });
+        }
+        if (request.IsFavorite is null && request.Discussed is null)
+        {
+            return BadRequest(new { error = "Nothing to update" });
+        }
+
+        var device = hotspotService.GetDeviceByMacAddress(deviceId);
+        if (device is null || !device.IsChildDevice)
+        {
+            return NotFound(new { error = $"No child's device {deviceId}" });
+        }
+
+        var note = journal.UpdateNote(device.MacAddress, request.Text, request.Topic, request.IsFavorite, request.Discussed);
+        return Ok(new { text = request.Text, note });
+    }
+}
+
+public record GuidanceAgeGroupRequest(string AgeGroup);
+
+public record GuidanceNoteRequest(string Text, string? Topic, bool? IsFavorite, bool? Discussed);
@@ -0,0 +1,39 @@
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Services;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// Network statistics backing network.html. Live samples are pushed to the hub's network group;
+/// <c>live</c> returns the latest one for clients that poll instead.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class NetworkController(NetworkStatsService statsService, ILogger<NetworkController> logger) : ControllerBase
+{
+    [HttpGet("stats")]
+    public ActionResult<object> GetStats([FromQuery] string range = "1h")
+    {
+        if (!NetworkStatsService.Ranges.ContainsKey(range))
+        {
+            return BadRequest(new { error = $"Unknown range '{range}'. Use one of: {string.Join(", ", NetworkStatsService.Ranges.Keys)}" });
+        }
+
+        try
+        {
+            return Ok(statsService.GetStats(range));
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to get network statistics");
+            return StatusCode(500, new { error = "Failed to retrieve network statistics" });
+        }
+    }
+
+    [HttpGet("live")]
+    public ActionResult<object> GetLatestSample()
+    {
+        var sample = statsService.GetLatestSample();
+        return sample is null ? NoContent() : Ok(sample);
+    }
+}
@@ -0,0 +1,72 @@
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Services.AI;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// The dashboard's notification center: notifications from <see cref="AINotificationService"/> from the last
+/// 24 hours, marking them read and dismissing them. Changes are also pushed to every dashboard over the hub.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class NotificationsController(
+    AINotificationService notificationService,
+    ILogger<NotificationsController> logger) : ControllerBase
+{
+    [HttpGet]
+    public ActionResult<object> GetNotifications()
+    {
+        var notifications = notificationService.GetActiveNotifications();
+        return Ok(new
+        {
+            unreadCount = notifications.Count(n => !n.HasBeenRead),
+            notifications = notifications.Select(AINotificationService.ToClientModel)
+        });
+    }
+
+    [HttpPost("read")]
+    public async Task<ActionResult<object>> MarkAllRead(CancellationToken cancellationToken)
+    {
+        try
+        {
+            var read = await notificationService.MarkAllReadAsync(cancellationToken);
+            return Ok(new { read, unreadCount = notificationService.GetUnreadCount() });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to mark notifications read");
+            return StatusCode(500, new { error = "Failed to mark notifications read" });
+        }
+    }
+
+    [HttpDelete("{id}")]
+    public async Task<ActionResult<object>> Dismiss(string id, CancellationToken cancellationToken)
+    {
+        try
+        {
+            return await notificationService.DismissNotificationAsync(id, cancellationToken)
+                ? Ok(new { dismissed = new[] { id }, unreadCount = notificationService.GetUnreadCount() })
+                : NotFound(new { error = $"No notification {id}" });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to dismiss notification {NotificationId}", id);
+            return StatusCode(500, new { error = "Failed to dismiss the notification" });
+        }
+    }
+
+    [HttpDelete]
+    public async Task<ActionResult<object>> DismissAll(CancellationToken cancellationToken)
+    {
+        try
+        {
+            var dismissed = await notificationService.DismissAllAsync(cancellationToken);
+            return Ok(new { dismissed, unreadCount = 0 });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to dismiss notifications");
+            return StatusCode(500, new { error = "Failed to dismiss notifications" });
+        }
+    }
+}
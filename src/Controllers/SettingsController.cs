@@ -0,0 +1,83 @@
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Models;
+using PocketFence_Simple.Services;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// Feature flags and API settings backing settings.html
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class SettingsController(AppSettingsService settingsService, ILogger<SettingsController> logger) : ControllerBase
+{
+    [HttpGet]
+    public ActionResult<object> GetSettings()
+    {
+        return Ok(new
+        {
+            features = settingsService.GetFeatures(),
+            api = settingsService.GetApiSettings()
+        });
+    }
+
+    [HttpGet("features")]
+    public ActionResult<object> GetFeatures()
+    {
+        return Ok(settingsService.GetFeatures());
+    }
+
+    [HttpPut]
+    public async Task<ActionResult<object>> UpdateSettings([FromBody] SettingsUpdateRequest request)
+    {
+        try
+        {
+            if (request.Features is null && request.Api is null)
+            {
+                return BadRequest(new { error = "Nothing to save" });
+            }
+
+            Dictionary<string, bool>? features = null;
+            if (request.Features is not null)
+            {
+                // Flags are matched to the names in appsettings.json; new flags cannot be invented here
+                var known = settingsService.GetFeatures().Keys.ToDictionary(name => name, StringComparer.OrdinalIgnoreCase);
+                var unknown = request.Features.Keys.Where(name => !known.ContainsKey(name)).ToList();
+                if (unknown.Count > 0)
+                {
+                    return BadRequest(new { error = $"Unknown feature flag(s): {string.Join(", ", unknown)}" });
+                }
+
+                features = new Dictionary<string, bool>();
+                foreach (var (name, enabled) in request.Features)
+                {
+                    features[known[name]] = enabled;
+                }
+            }
+
+            if (request.Api is { } api &&
+                api.RateLimitPerMinute is < ApiSettings.MinRateLimitPerMinute or > ApiSettings.MaxRateLimitPerMinute)
+            {
+                return BadRequest(new
+                {
+                    error = $"Rate limit must be between {ApiSettings.MinRateLimitPerMinute} and {ApiSettings.MaxRateLimitPerMinute} requests per minute"
+                });
+            }
+
+            await settingsService.UpdateAsync(features, request.Api);
+
+            return Ok(new
+            {
+                features = settingsService.GetFeatures(),
+                api = settingsService.GetApiSettings()
+            });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to save settings");
+            return StatusCode(500, new { error = "Failed to save settings" });
+        }
+    }
+}
+
+public record SettingsUpdateRequest(Dictionary<string, bool>? Features, ApiSettings? Api);
@@ -0,0 +1,102 @@
+using Microsoft.AspNetCore.Mvc;
+using PocketFence_Simple.Models;
+using PocketFence_Simple.Services.AI;
+
+namespace PocketFence_Simple.Controllers;
+
+/// <summary>
+/// Threat alerts raised by <see cref="AIThreatDetectionService"/> and the parent's approve/override
+/// reviews of them. Reviews are fed back into the detection service's scoring of the alert's site.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class ThreatsController(
+    AIThreatDetectionService threatService,
+    ILogger<ThreatsController> logger) : ControllerBase
+{
+    private const int MaxReasonLength = 500;
+
+    /// <param name="status">pending (not yet reviewed), reviewed or all</param>
+    [HttpGet]
+    public ActionResult<object> GetAlerts([FromQuery] string status = "pending", [FromQuery] int limit = 50)
+    {
+        bool? reviewed;
+        switch (status.ToLowerInvariant())
+        {
+            case "pending": reviewed = false; break;
+            case "reviewed": reviewed = true; break;
+            case "all": reviewed = null; break;
+            default: return BadRequest(new { error = $"Unknown status '{status}'; expected pending, reviewed or all" });
+        }
+
+        return Ok(new
+        {
+            pendingCount = threatService.GetPendingCount(),
+            alerts = threatService.GetAlerts(reviewed, limit).Select(ToDto)
+        });
+    }
+
+    [HttpGet("{id}")]
+    public ActionResult<object> GetAlert(string id)
+    {
+        var alert = threatService.GetAlert(id);
+        return alert is null
+            ? NotFound(new { error = $"No threat alert {id}" })
+            : Ok(ToDto(alert));
+    }
+
+    /// <summary>
+    /// Approve the AI's decision or override it, with the parent's reason
+    /// </summary>
+    [HttpPost("{id}/review")]
+    public ActionResult<object> Review(string id, [FromBody] ThreatReviewRequest request)
+    {
+        if (!Enum.TryParse<ThreatReviewDecision>(request.Decision, ignoreCase: true, out var decision) || !Enum.IsDefined(decision))
+        {
+            return BadRequest(new { error = $"Unknown decision '{request.Decision}'; expected approve or override" });
+        }
+
+        var reason = request.Reason?.Trim() ?? "";
+        if (decision == ThreatReviewDecision.Override && reason.Length == 0)
+        {
+            return BadRequest(new { error = "Say why you are overriding the AI's decision" });
+        }
+        if (reason.Length > MaxReasonLength)
+        {
+            return BadRequest(new { error = $"Reasons must be {MaxReasonLength} characters or fewer" });
+        }
+
+        try
+        {
+            var alert = threatService.ReviewAlert(id, decision, reason);
+            return alert is null
+                ? NotFound(new { error = $"No threat alert {id}" })
+                : Ok(new { pendingCount = threatService.GetPendingCount(), alert = ToDto(alert) });
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "❌ Failed to review threat alert {AlertId}", id);
+            return StatusCode(500, new { error = "Failed to save your review" });
+        }
+    }
+
+    private static object ToDto(AIThreatAlert alert) => new
+    {
+        id = alert.Id,
+        timestamp = alert.Timestamp,
+        deviceId = alert.DeviceId,
+        deviceName = alert.DeviceName,
+        url = alert.Url,
+        threatLevel = alert.ThreatLevel.ToString(),
+        confidence = alert.ThreatScore,
+        description = alert.Description,
+        autonomousAction = alert.AutonomousAction,
+        wasBlocked = alert.WasBlocked,
+        parentalReviewRequired = alert.ParentalReviewRequired,
+        parentalOverride = alert.ParentalOverride,
+        indicators = alert.Indicators.Select(i => new { type = i.Type, score = i.Score, description = i.Description, details = i.Details }),
+        reviews = alert.Reviews.Select(r => new { decision = r.Decision.ToString(), reason = r.Reason, timestamp = r.Timestamp })
+    };
+}
+
+public record ThreatReviewRequest(string Decision, string? Reason);
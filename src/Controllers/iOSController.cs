@@ -20,6 +20,8 @@ public class iOSController(
             var connectionInfo = await iOSHelper.GenerateConnectionInfoAsync(
                 request.SSID, 
                 request.Password, 
+                request.Security,
+                request.Hidden,
                 HttpContext.RequestAborted);
             
             return Ok(new
@@ -42,22 +44,36 @@ public class iOSController(
     }
     
     [HttpGet("wifi-qr/{ssid}")]
-    public async Task<ActionResult<object>> GenerateWiFiQRCode(string ssid, [FromQuery] string password)
+    public async Task<ActionResult<object>> GenerateWiFiQRCode(
+        string ssid,
+        [FromQuery] string? password,
+        [FromQuery] string security = nameof(WiFiSecurity.WPA2),
+        [FromQuery] bool hidden = false)
     {
         try
         {
-            if (string.IsNullOrWhiteSpace(password))
+            if (!Enum.TryParse<WiFiSecurity>(security, ignoreCase: true, out var securityType) ||
+                !Enum.IsDefined(securityType))
+            {
+                return BadRequest(new
+                {
+                    success = false,
+                    message = $"Unknown security type '{security}'. Use one of: {string.Join(", ", Enum.GetNames<WiFiSecurity>())}"
+                });
+            }
+
+            if (securityType != WiFiSecurity.None && string.IsNullOrEmpty(password))
             {
                 return BadRequest(new { success = false, message = "Password is required" });
             }
             
-            var qrCodeData = await iOSHelper.GenerateWiFiQRCodeAsync(ssid, password, HttpContext.RequestAborted);
+            var qrCodeData = await iOSHelper.GenerateWiFiQRCodeAsync(ssid, password, securityType, hidden, HttpContext.RequestAborted);
             
             return Ok(new
             {
                 success = true,
                 qrCode = qrCodeData,
-                wifiString = $"WIFI:T:WPA;S:{ssid};P:{password};;",
+                wifiString = WiFiQrPayload.Build(ssid, password, securityType, hidden),
                 message = "WiFi QR code generated successfully"
             });
         }
@@ -199,6 +215,8 @@ public sealed record iOSConnectionRequest
 {
     public required string SSID { get; init; }
     public required string Password { get; init; }
+    public WiFiSecurity Security { get; init; } = WiFiSecurity.WPA2;
+    public bool Hidden { get; init; }
 }
 
 public sealed record DeviceDetectionRequest
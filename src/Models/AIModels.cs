@@ -40,6 +40,15 @@ namespace PocketFence_Simple.Models
         public bool ParentalReviewRequired { get; set; }
         public bool ParentalOverride { get; set; }
         public string? ParentalNote { get; set; }
+        public List<ThreatIndicator> Indicators { get; set; } = new();
+        public List<ThreatReview> Reviews { get; set; } = new();
+    }
+
+    public class ThreatReview
+    {
+        public ThreatReviewDecision Decision { get; set; }
+        public string Reason { get; set; } = "";
+        public DateTime Timestamp { get; set; }
     }
 
     public class ThreatPattern
@@ -185,6 +194,12 @@ namespace PocketFence_Simple.Models
         Unknown = 5
     }
 
+    public enum ThreatReviewDecision
+    {
+        Approve = 0,
+        Override = 1
+    }
+
     public enum InsightSeverity
     {
         Info = 0,
@@ -0,0 +1,16 @@
+namespace PocketFence_Simple.Models
+{
+    /// <summary>
+    /// API behaviour from the PocketFence:API section of appsettings.json, editable on settings.html
+    /// </summary>
+    public class ApiSettings
+    {
+        public const string SectionName = "PocketFence:API";
+        public const int MinRateLimitPerMinute = 60; // One open dashboard makes 40-50 requests a minute while polling
+        public const int MaxRateLimitPerMinute = 10000;
+
+        public int RateLimitPerMinute { get; set; } = 100;
+        public bool EnableCors { get; set; } = true;
+        public bool EnableSwagger { get; set; } = true;
+    }
+}
@@ -0,0 +1,16 @@
+namespace PocketFence_Simple.Models
+{
+    /// <summary>
+    /// Parent-managed settings for a device, persisted by MAC address so they survive restarts
+    /// </summary>
+    public class DeviceSettings
+    {
+        public string MacAddress { get; set; } = string.Empty;
+        public string? DeviceName { get; set; }
+        public DeviceCategory Category { get; set; }
+        public bool IsChildDevice { get; set; }
+        public bool IsFiltered { get; set; }
+        public bool IsBlocked { get; set; }
+        public List<BlockedSite> BlockedHistory { get; set; } = new List<BlockedSite>();
+    }
+}
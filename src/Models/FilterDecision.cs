@@ -0,0 +1,33 @@
+namespace PocketFence_Simple.Models
+{
+    /// <summary>
+    /// Step-by-step account of how the content filter reached a block/allow decision
+    /// </summary>
+    public class FilterDecision
+    {
+        public string Url { get; set; } = string.Empty;
+        public string Domain { get; set; } = string.Empty;
+        public string DeviceMac { get; set; } = string.Empty;
+        public bool ShouldBlock { get; set; }
+        public string Reason { get; set; } = string.Empty;
+        public bool FromCache { get; set; }
+        public FilterRule? MatchedRule { get; set; }
+        public List<FilterDecisionStep> Steps { get; set; } = new List<FilterDecisionStep>();
+    }
+
+    public class FilterDecisionStep
+    {
+        public string Check { get; set; } = string.Empty;
+        public FilterStepOutcome Outcome { get; set; }
+        public string Detail { get; set; } = string.Empty;
+        public string? RuleId { get; set; }
+    }
+
+    public enum FilterStepOutcome
+    {
+        Matched,    // This check decided the result
+        NoMatch,    // Checked, did not apply
+        Ignored,    // Matched, but has no effect on blocking
+        Skipped     // Not reached because an earlier check decided
+    }
+}
@@ -0,0 +1,11 @@
+namespace PocketFence_Simple.Models
+{
+    /// <summary>
+    /// Network name and password used when PocketFence turns the hotspot on
+    /// </summary>
+    public class HotspotCredentials
+    {
+        public string Ssid { get; set; } = string.Empty;
+        public string Password { get; set; } = string.Empty;
+    }
+}
@@ -0,0 +1,57 @@
+namespace PocketFence_Simple.Models
+{
+    /// <summary>
+    /// A request seen by the traffic filter
+    /// </summary>
+    public class TrafficRequest
+    {
+        public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+        public string DeviceMac { get; set; } = string.Empty;
+        public string Domain { get; set; } = string.Empty;
+        public string Url { get; set; } = string.Empty;
+        public bool IsBlocked { get; set; }
+        public long Bytes { get; set; }
+    }
+
+    /// <summary>
+    /// Adapter throughput and filtered request counts over one sampling interval
+    /// </summary>
+    public class TrafficSample
+    {
+        public DateTime Timestamp { get; set; }
+        public double BytesInPerSecond { get; set; }
+        public double BytesOutPerSecond { get; set; }
+        public int AllowedRequests { get; set; }
+        public int BlockedRequests { get; set; }
+    }
+
+    public class NetworkStats
+    {
+        public string Range { get; set; } = string.Empty;
+        public DateTime From { get; set; }
+        public DateTime To { get; set; }
+        public int BucketSeconds { get; set; }
+        public bool IsMonitoring { get; set; }
+        public List<TrafficSample> Throughput { get; set; } = new List<TrafficSample>();
+        public List<DeviceTraffic> Devices { get; set; } = new List<DeviceTraffic>();
+        public List<DestinationTraffic> Destinations { get; set; } = new List<DestinationTraffic>();
+        public int AllowedRequests { get; set; }
+        public int BlockedRequests { get; set; }
+    }
+
+    public class DeviceTraffic
+    {
+        public string MacAddress { get; set; } = string.Empty;
+        public string DeviceName { get; set; } = string.Empty;
+        public long Bytes { get; set; }
+        public int Requests { get; set; }
+        public int BlockedRequests { get; set; }
+    }
+
+    public class DestinationTraffic
+    {
+        public string Domain { get; set; } = string.Empty;
+        public int Requests { get; set; }
+        public int BlockedRequests { get; set; }
+    }
+}
@@ -0,0 +1,236 @@
+using PocketFence_Simple.Models;
+
+namespace PocketFence_Simple.Services.AI;
+
+/// <summary>
+/// Audit trail of everything the AI services do on their own: threats blocked by
+/// <see cref="AIThreatDetectionService"/>, recoveries by <see cref="SelfHealingService"/> and notifications sent by
+/// <see cref="AINotificationService"/>. Only actions that were actually enforced are recorded, so threat alerts
+/// for traffic the filter let through are left out. When a parent overrides a threat alert, the entries for it
+/// are marked as reversed. Entries are kept in the JSON-lines file ai_actions.jsonl across restarts; a changed
+/// entry is appended again and the last copy wins.
+/// </summary>
+public sealed class AIActionAuditService : IDisposable
+{
+    private const int MaxEntries = 5000;
+
+    private static readonly JsonSerializerOptions LogOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly AIThreatDetectionService _threatService;
+    private readonly SelfHealingService _selfHealingService;
+    private readonly AINotificationService _notificationService;
+    private readonly ILogger<AIActionAuditService> _logger;
+    private readonly LinkedList<AIActionAuditEntry> _entries = new(); // Newest first
+    private readonly object _lock = new();
+    private readonly string _logPath;
+    private long _lastId;
+
+    public AIActionAuditService(
+        AIThreatDetectionService threatService,
+        SelfHealingService selfHealingService,
+        AINotificationService notificationService,
+        ILogger<AIActionAuditService> logger)
+    {
+        _threatService = threatService;
+        _selfHealingService = selfHealingService;
+        _notificationService = notificationService;
+        _logger = logger;
+        _logPath = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "ai_actions.jsonl");
+
+        LoadLog();
+
+        _threatService.ThreatDetected += OnThreatDetected;
+        _threatService.AlertReviewed += OnAlertReviewed;
+        _selfHealingService.RecoveryActionTaken += OnRecoveryActionTaken;
+        _notificationService.NotificationSent += OnNotificationSent;
+    }
+
+    /// <summary>
+    /// Entries matching every filter given, newest first
+    /// </summary>
+    /// <param name="deviceId">Only entries for this device (MAC address)</param>
+    /// <param name="types">Only entries of these <see cref="AIActionTypes"/></param>
+    /// <param name="from">Only entries recorded at or after this time</param>
+    /// <param name="to">Only entries recorded before this time</param>
+    public IReadOnlyList<AIActionAuditEntry> GetEntries(
+        string? deviceId = null,
+        IReadOnlyCollection<string>? types = null,
+        DateTime? from = null,
+        DateTime? to = null)
+    {
+        lock (_lock)
+        {
+            return _entries
+                .Where(e => deviceId is null || string.Equals(e.DeviceId, deviceId, StringComparison.OrdinalIgnoreCase))
+                .Where(e => types is null || types.Count == 0 || types.Contains(e.Type, StringComparer.OrdinalIgnoreCase))
+                .Where(e => from is null || e.Timestamp >= from)
+                .Where(e => to is null || e.Timestamp < to)
+                .ToArray();
+        }
+    }
+
+    public AIActionAuditEntry Record(string type, string action, string reasoning, string? deviceId = null, string? deviceName = null, string? threatAlertId = null)
+    {
+        lock (_lock)
+        {
+            var entry = new AIActionAuditEntry
+            {
+                Id = ++_lastId,
+                Timestamp = DateTime.UtcNow,
+                Type = type,
+                DeviceId = deviceId,
+                DeviceName = deviceName,
+                Action = action,
+                Reasoning = reasoning,
+                ThreatAlertId = threatAlertId
+            };
+
+            _entries.AddFirst(entry);
+            while (_entries.Count > MaxEntries)
+            {
+                _entries.RemoveLast();
+            }
+
+            AppendToLog([entry]);
+            return entry;
+        }
+    }
+
+    private void OnThreatDetected(object? sender, AIThreatAlert alert)
+    {
+        if (!alert.WasBlocked) return;
+
+        var indicators = alert.Indicators.Select(i => i.Description).ToArray();
+        var reasoning = indicators.Length > 0
+            ? $"{alert.Description}: {string.Join(", ", indicators)}"
+            : alert.Description;
+
+        Record(AIActionTypes.ThreatDetection, $"{alert.AutonomousAction}: {alert.Url}", reasoning, alert.DeviceId, alert.DeviceName, alert.Id);
+    }
+
+    // The alert's latest decision wins, so approving an alert after overriding it undoes the reversal
+    private void OnAlertReviewed(object? sender, AIThreatAlert alert)
+    {
+        var review = alert.Reviews[^1];
+        var reversed = review.Decision == ThreatReviewDecision.Override;
+
+        lock (_lock)
+        {
+            var changed = new List<AIActionAuditEntry>();
+            for (var node = _entries.First; node is not null; node = node.Next)
+            {
+                if (node.Value.ThreatAlertId != alert.Id) continue;
+
+                node.Value = node.Value with
+                {
+                    ReversedAt = reversed ? review.Timestamp : null,
+                    ReversalReason = reversed ? review.Reason : null
+                };
+                changed.Add(node.Value);
+            }
+
+            if (changed.Count > 0)
+            {
+                AppendToLog(changed);
+            }
+        }
+    }
+
+    private void OnRecoveryActionTaken(object? sender, RecoveryAction action)
+    {
+        Record(AIActionTypes.SelfHealing, action.Action, action.Reasoning);
+    }
+
+    // Notifications about a device carry it in their data, so they show up when the log is filtered to that device
+    private void OnNotificationSent(object? sender, AINotification notification)
+    {
+        Record(AIActionTypes.Notification, $"Sent notification: {notification.Title}",
+            $"{notification.Priority} priority {notification.Type}: {notification.Message}",
+            notification.Data.GetValueOrDefault("deviceId") as string,
+            notification.Data.GetValueOrDefault("deviceName") as string);
+    }
+
+    // Called with the lock held
+    private void AppendToLog(IEnumerable<AIActionAuditEntry> entries)
+    {
+        try
+        {
+            File.AppendAllLines(_logPath, entries.Select(e => JsonSerializer.Serialize(e, LogOptions)));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to write AI action log to {Path}", _logPath);
+        }
+    }
+
+    // Restore the newest entries, each at its last written state; the file is compacted when it holds more
+    // lines than that
+    private void LoadLog()
+    {
+        if (!File.Exists(_logPath)) return;
+
+        try
+        {
+            var lines = File.ReadAllLines(_logPath);
+            var latest = new Dictionary<long, AIActionAuditEntry>();
+            foreach (var line in lines)
+            {
+                if (string.IsNullOrWhiteSpace(line)) continue;
+                try
+                {
+                    var entry = JsonSerializer.Deserialize<AIActionAuditEntry>(line, LogOptions);
+                    if (entry is not null) latest[entry.Id] = entry;
+                }
+                catch (JsonException)
+                {
+                    // A line cut short by a crash; skip it
+                }
+            }
+
+            foreach (var entry in latest.Values.OrderByDescending(e => e.Id).Take(MaxEntries))
+            {
+                _entries.AddLast(entry);
+                _lastId = Math.Max(_lastId, entry.Id);
+            }
+
+            if (lines.Length > _entries.Count)
+            {
+                File.WriteAllLines(_logPath, _entries.Reverse().Select(e => JsonSerializer.Serialize(e, LogOptions)));
+            }
+        }
+        catch (Exception ex)
+        {
+            // Unreadable file - start a new log rather than failing startup
+            _logger.LogWarning(ex, "Failed to load AI action log from {Path}", _logPath);
+        }
+    }
+
+    public void Dispose()
+    {
+        _threatService.ThreatDetected -= OnThreatDetected;
+        _threatService.AlertReviewed -= OnAlertReviewed;
+        _selfHealingService.RecoveryActionTaken -= OnRecoveryActionTaken;
+        _notificationService.NotificationSent -= OnNotificationSent;
+    }
+}
+
+public static class AIActionTypes
+{
+    public const string ThreatDetection = "ThreatDetection";
+    public const string SelfHealing = "SelfHealing";
+    public const string Notification = "Notification";
+}
+
+public sealed record AIActionAuditEntry
+{
+    public long Id { get; init; }
+    public DateTime Timestamp { get; init; }
+    public required string Type { get; init; }
+    public string? DeviceId { get; init; }
+    public string? DeviceName { get; init; }
+    public required string Action { get; init; }
+    public required string Reasoning { get; init; }
+    public string? ThreatAlertId { get; init; }
+    public DateTime? ReversedAt { get; init; }
+    public string? ReversalReason { get; init; }
+}
@@ -15,6 +15,15 @@ public sealed class AINotificationService(
     private readonly PeriodicTimer _cleanupTimer = new(TimeSpan.FromHours(1));
     private readonly CancellationTokenSource _cancellationTokenSource = new();
 
+    private static readonly string AnnouncedDevicesPath = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "announced_devices.json");
+
+    // MAC addresses already announced as unknown devices; kept across restarts, since device monitoring reports
+    // every device on the network as newly connected each time it starts. Loaded on first use.
+    private HashSet<string>? _announcedDevices;
+    private readonly object _announcedLock = new();
+
+    public event EventHandler<AINotification>? NotificationSent;
+
     // Start background cleanup task in constructor body
     static AINotificationService()
     {
@@ -25,11 +34,90 @@ public sealed class AINotificationService(
 
         public async ValueTask CreateThreatNotificationAsync(AIThreatAlert threat, CancellationToken cancellationToken = default)
         {
+            var bypassAttempt = AIThreatDetectionService.IsBypassAttempt(threat);
+            var notification = bypassAttempt
+                ? CreateNotification(
+                    NotificationType.SecurityAlert,
+                    "🔓 Filter Bypass Attempt",
+                    $"{threat.DeviceName} tried to use {GetHost(threat.Url)}, a VPN or proxy that can get around filtering. " +
+                    (threat.WasBlocked ? "It was blocked." : "It was not blocked."),
+                    threat.ThreatLevel == ThreatLevel.Critical ? NotificationPriority.Critical : NotificationPriority.Urgent)
+                : CreateNotification(
+                    NotificationType.ThreatDetected,
+                    GetThreatTitle(threat.ThreatLevel),
+                    threat.WasBlocked
+                        ? $"Blocked {threat.ThreatLevel.ToString().ToLowerInvariant()}-risk content on {threat.DeviceName}"
+                        : $"Flagged {threat.ThreatLevel.ToString().ToLowerInvariant()}-risk content on {threat.DeviceName}; it was not blocked",
+                    GetThreatPriority(threat.ThreatLevel));
+
+            notification.RequiresAction = threat.ParentalReviewRequired;
+            notification.Data = new Dictionary<string, object>
+            {
+                ["alertId"] = threat.Id,
+                ["deviceId"] = threat.DeviceId,
+                ["deviceName"] = threat.DeviceName,
+                ["url"] = threat.Url,
+                ["threatLevel"] = threat.ThreatLevel.ToString()
+            };
+            // A Critical bypass attempt is both, so turning either category off doesn't hide it
+            var categories = new List<string>();
+            if (bypassAttempt)
+                categories.Add(NotificationCategories.BypassAttempt);
+            if (threat.ThreatLevel == ThreatLevel.Critical)
+                categories.Add(NotificationCategories.CriticalThreat);
+            if (categories.Count > 0)
+                notification.Data["categories"] = categories;
+            notification.Actions =
+            [
+                new NotificationAction
+                {
+                    Id = "review", Label = "Review", Action = "review-threat", IsPrimary = true,
+                    Parameters = new Dictionary<string, object> { ["alertId"] = threat.Id }
+                },
+                new NotificationAction
+                {
+                    Id = "discuss", Label = "Talk about it", Action = "open-guidance",
+                    Parameters = new Dictionary<string, object> { ["topic"] = "digital-citizenship" }
+                }
+            ];
+
+            await SendNotificationAsync(notification, cancellationToken);
+        }
+
+        /// <summary>
+        /// A device the parent hasn't identified yet (its category is still Unknown) joined the hotspot
+        /// </summary>
+        public async ValueTask CreateUnknownDeviceNotificationAsync(ConnectedDevice device, CancellationToken cancellationToken = default)
+        {
+            lock (_announcedLock)
+            {
+                _announcedDevices ??= LoadAnnouncedDevices();
+                if (!_announcedDevices.Add(device.MacAddress)) return;
+                SaveAnnouncedDevices();
+            }
+
+            var name = string.IsNullOrWhiteSpace(device.DeviceName) ? device.MacAddress : device.DeviceName;
             var notification = CreateNotification(
-                NotificationType.ThreatDetected,
-                GetThreatTitle(threat.ThreatLevel),
-                $"AI blocked {threat.ThreatLevel.ToString().ToLowerInvariant()}-risk content on {threat.DeviceName}",
-                GetThreatPriority(threat.ThreatLevel));
+                NotificationType.SecurityAlert,
+                "📱 Unknown Device Joined",
+                $"{name} ({device.IpAddress}) joined the hotspot. Check that it belongs to your family.",
+                NotificationPriority.High);
+
+            notification.RequiresAction = true;
+            notification.Data = new Dictionary<string, object>
+            {
+                ["deviceId"] = device.MacAddress,
+                ["deviceName"] = name,
+                ["categories"] = new List<string> { NotificationCategories.UnknownDevice }
+            };
+            notification.Actions =
+            [
+                new NotificationAction
+                {
+                    Id = "manage", Label = "Manage devices", Action = "open-devices", IsPrimary = true,
+                    Parameters = new Dictionary<string, object> { ["deviceId"] = device.MacAddress }
+                }
+            ];
 
             await SendNotificationAsync(notification, cancellationToken);
         }
@@ -57,6 +145,8 @@ public sealed class AINotificationService(
             await SendNotificationAsync(notification, cancellationToken);
         }
 
+        public int GetUnreadCount() => GetActiveNotifications().Count(n => !n.HasBeenRead);
+
         public IReadOnlyList<AINotification> GetActiveNotifications()
         {
             var cutoffTime = DateTime.UtcNow.AddHours(-24);
@@ -69,13 +159,69 @@ public sealed class AINotificationService(
         {
             if (_notifications.TryRemove(notificationId, out var notification))
             {
-                await hubContext.Clients.All.SendAsync("NotificationDismissed", notificationId, cancellationToken);
+                await DashboardHub.NotifyNotificationsDismissed(hubContext, [notificationId]);
                 logger.LogDebug("Notification dismissed: {Id}", notificationId);
                 return true;
             }
             return false;
         }
 
+        /// <returns>The ids of the notifications dismissed</returns>
+        public async ValueTask<IReadOnlyList<string>> DismissAllAsync(CancellationToken cancellationToken = default)
+        {
+            var dismissed = _notifications.Keys
+                .Where(id => _notifications.TryRemove(id, out _))
+                .ToArray();
+
+            if (dismissed.Length > 0)
+            {
+                await DashboardHub.NotifyNotificationsDismissed(hubContext, dismissed);
+                logger.LogDebug("Dismissed {Count} notifications", dismissed.Length);
+            }
+            return dismissed;
+        }
+
+        /// <returns>The ids of the notifications that were unread</returns>
+        public async ValueTask<IReadOnlyList<string>> MarkAllReadAsync(CancellationToken cancellationToken = default)
+        {
+            var read = new List<string>();
+            foreach (var notification in _notifications.Values.Where(n => !n.HasBeenRead))
+            {
+                notification.HasBeenRead = true;
+                read.Add(notification.Id);
+            }
+
+            if (read.Count > 0)
+            {
+                await DashboardHub.NotifyNotificationsRead(hubContext, read);
+            }
+            return read;
+        }
+
+        /// <summary>
+        /// The shape sent to dashboards, over the hub and from the API; enums go out by name
+        /// </summary>
+        public static object ToClientModel(AINotification notification) => new
+        {
+            id = notification.Id,
+            timestamp = notification.Timestamp,
+            type = notification.Type.ToString(),
+            priority = notification.Priority.ToString(),
+            title = notification.Title,
+            message = notification.Message,
+            data = notification.Data,
+            requiresAction = notification.RequiresAction,
+            hasBeenRead = notification.HasBeenRead,
+            actions = notification.Actions.Select(a => new
+            {
+                id = a.Id,
+                label = a.Label,
+                action = a.Action,
+                isPrimary = a.IsPrimary,
+                parameters = a.Parameters
+            })
+        };
+
         private AINotification CreateNotification(NotificationType type, string title, string message, NotificationPriority priority)
         {
             return new AINotification
@@ -92,8 +238,9 @@ public sealed class AINotificationService(
         private async ValueTask SendNotificationAsync(AINotification notification, CancellationToken cancellationToken = default)
         {
             _notifications[notification.Id] = notification;
-            await hubContext.Clients.All.SendAsync("NewNotification", notification, cancellationToken);
+            await DashboardHub.NotifyNotificationCreated(hubContext, ToClientModel(notification));
             logger.LogInformation("Sent {Priority} notification: {Title}", notification.Priority, notification.Title);
+            NotificationSent?.Invoke(this, notification);
         }
 
         private string GetThreatTitle(ThreatLevel level) => level switch
@@ -104,6 +251,40 @@ public sealed class AINotificationService(
             _ => "ℹ️ Content Filtered"
         };
 
+        // Called with _announcedLock held
+        private void SaveAnnouncedDevices()
+        {
+            try
+            {
+                File.WriteAllText(AnnouncedDevicesPath, JsonSerializer.Serialize(_announcedDevices));
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Failed to save announced devices to {Path}", AnnouncedDevicesPath);
+            }
+        }
+
+        private HashSet<string> LoadAnnouncedDevices()
+        {
+            try
+            {
+                if (File.Exists(AnnouncedDevicesPath))
+                {
+                    var saved = JsonSerializer.Deserialize<List<string>>(File.ReadAllText(AnnouncedDevicesPath)) ?? [];
+                    return new HashSet<string>(saved, StringComparer.OrdinalIgnoreCase);
+                }
+            }
+            catch (Exception ex)
+            {
+                // Invalid file - devices may be announced again rather than failing startup
+                logger.LogWarning(ex, "Failed to load announced devices from {Path}", AnnouncedDevicesPath);
+            }
+            return new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        }
+
+        private static string GetHost(string url) =>
+            Uri.TryCreate(url, UriKind.Absolute, out var uri) ? uri.Host : url;
+
         private NotificationPriority GetThreatPriority(ThreatLevel level) => level switch
         {
             ThreatLevel.Critical => NotificationPriority.Critical,
@@ -155,4 +336,15 @@ public sealed class AINotificationService(
             _cleanupTimer.Dispose();
             _cancellationTokenSource.Dispose();
         }
-}
\ No newline at end of file
+}
+
+/// <summary>
+/// Values in the "categories" list in <see cref="AINotification.Data"/> for notifications parents can also get
+/// as browser notifications
+/// </summary>
+public static class NotificationCategories
+{
+    public const string CriticalThreat = "critical-threat";
+    public const string UnknownDevice = "unknown-device";
+    public const string BypassAttempt = "bypass-attempt";
+}
@@ -12,10 +12,16 @@ public sealed class AIParentalAssistantService(
     private readonly PeriodicTimer _analysisTimer = new(TimeSpan.FromHours(1));
     private readonly CancellationTokenSource _cancellationTokenSource = new();
     
-    private static readonly FrozenSet<string> SafetyTopics = FrozenSet.ToFrozenSet([
+    /// <summary>
+    /// Topics <see cref="GetSafetyGuidanceAsync"/> has guidance for, in the order they are offered to parents
+    /// </summary>
+    public static IReadOnlyList<string> Topics { get; } =
+    [
         "cyberbullying", "online-predators", "inappropriate-content", "privacy-settings",
         "screen-time", "digital-wellness", "online-gaming", "social-media", "digital-citizenship"
-    ]);
+    ];
+
+    private static readonly FrozenSet<string> SafetyTopics = Topics.ToFrozenSet();
 
     public event EventHandler<ParentalInsight>? InsightGenerated;
 
@@ -24,6 +30,7 @@ public sealed class AIParentalAssistantService(
         // Static initialization if needed
     }
 
+    /// <param name="userContext">What the parent asked, kept with the guidance so the conversation can be shown again</param>
     public ValueTask<ParentalGuidance> GetNavigationHelpAsync(string feature, string? userContext = null, CancellationToken cancellationToken = default)
     {
         var guidance = new ParentalGuidance
@@ -31,6 +38,7 @@ public sealed class AIParentalAssistantService(
             Id = Guid.NewGuid().ToString(),
             Type = GuidanceType.NavigationHelp,
             Topic = feature,
+            Question = userContext,
             Content = GetFeatureHelp(feature, userContext),
             Timestamp = DateTime.UtcNow,
             Priority = DetermineGuidancePriority(feature),
@@ -44,7 +52,7 @@ public sealed class AIParentalAssistantService(
         return ValueTask.FromResult(guidance);
     }
 
-    public async ValueTask<ParentalGuidance> GetUsageInsightsAsync(IReadOnlyList<ConnectedDevice> devices, CancellationToken cancellationToken = default)
+    public async ValueTask<ParentalGuidance> GetUsageInsightsAsync(IReadOnlyList<ConnectedDevice> devices, string? question = null, CancellationToken cancellationToken = default)
     {
         var insights = await AnalyzeDeviceUsageAsync(devices, cancellationToken);
         var recommendations = GenerateRecommendations(insights);
@@ -54,6 +62,7 @@ public sealed class AIParentalAssistantService(
             Id = Guid.NewGuid().ToString(),
             Type = GuidanceType.UsageInsights,
             Topic = "device-usage-analysis",
+            Question = question,
             Content = FormatUsageInsights(insights),
             Timestamp = DateTime.UtcNow,
             Priority = insights.RiskLevel switch
@@ -108,7 +117,7 @@ public sealed class AIParentalAssistantService(
         return ValueTask.FromResult<IReadOnlyList<string>>(starters.Take(5).ToArray());
     }
 
-    public ValueTask<SafetyGuidance> GetSafetyGuidanceAsync(string topic, AgeGroup ageGroup, CancellationToken cancellationToken = default)
+    public ValueTask<SafetyGuidance> GetSafetyGuidanceAsync(string topic, AgeGroup ageGroup, string? question = null, CancellationToken cancellationToken = default)
     {
         if (!SafetyTopics.Contains(topic))
         {
@@ -127,6 +136,21 @@ public sealed class AIParentalAssistantService(
             Timestamp = DateTime.UtcNow
         };
 
+        // Only questions asked in the chat belong in its history, not topics browsed in the guidance browser
+        if (question is not null)
+        {
+            StoreGuidance("safety", new ParentalGuidance
+            {
+                Id = guidance.Id,
+                Type = GuidanceType.SafetyGuidance,
+                Topic = topic,
+                Question = question,
+                Content = guidance.Content,
+                Timestamp = guidance.Timestamp,
+                ActionItems = guidance.Tips
+            });
+        }
+
         logger.LogInformation("Provided safety guidance on {Topic} for {AgeGroup}", topic, ageGroup);
         return ValueTask.FromResult(guidance);
     }
@@ -432,6 +456,7 @@ public record ParentalGuidance
     public required string Id { get; init; }
     public GuidanceType Type { get; init; }
     public required string Topic { get; init; }
+    public string? Question { get; init; }
     public required string Content { get; init; }
     public DateTime Timestamp { get; init; }
     public GuidancePriority Priority { get; init; } = GuidancePriority.Normal;
@@ -4,12 +4,49 @@ using PocketFence_Simple.Models;
 
 namespace PocketFence_Simple.Services.AI;
 
-public sealed partial class AIThreatDetectionService(
-    ILogger<AIThreatDetectionService> logger) : IDisposable
+/// <summary>
+/// Scores requests for threats, including attempts to get around filtering through a VPN or proxy, and raises
+/// alerts for High and Critical ones. Alerts are kept with the parent's approve/override reviews in
+/// threat_alerts.json; each review nudges the score of later requests to the same host, so overridden sites
+/// stop raising alerts and approved ones keep doing so.
+/// </summary>
+public sealed partial class AIThreatDetectionService : IDisposable
 {
+    private const int MaxAlerts = 500;
+    private const double OverrideAdjustment = -0.3;
+    private const double ApproveAdjustment = 0.1;
+    private const double MinAdjustment = -1.0;
+    private const double MaxAdjustment = 0.3;
+    private static readonly TimeSpan RepeatAlertWindow = TimeSpan.FromHours(1);
+    private static readonly TimeSpan SaveDelay = TimeSpan.FromSeconds(5);
+
+    /// <summary>
+    /// <see cref="ThreatIndicator.Type"/> of the indicator added when a device reaches a VPN, proxy or other
+    /// service used to get around filtering
+    /// </summary>
+    public const string BypassAttemptIndicator = "BypassAttempt";
+
+    private static readonly JsonSerializerOptions FileOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+    private readonly ILogger<AIThreatDetectionService> _logger;
     private readonly ConcurrentDictionary<string, double> _threatScores = [];
+    private readonly ConcurrentDictionary<string, double> _feedback = new(StringComparer.OrdinalIgnoreCase); // host -> score adjustment
+    private readonly LinkedList<AIThreatAlert> _alerts = new(); // Newest first
+    private readonly object _lock = new();
+    private readonly object _fileLock = new();
+    private readonly string _path;
+    private readonly Timer _saveTimer;
+    private bool _savePending; // Guarded by _lock
     private readonly PeriodicTimer _cleanupTimer = new(TimeSpan.FromHours(1));
     private readonly CancellationTokenSource _cancellationTokenSource = new();
+
+    public AIThreatDetectionService(ILogger<AIThreatDetectionService> logger)
+    {
+        _logger = logger;
+        _path = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "threat_alerts.json");
+        _saveTimer = new Timer(_ => SaveNow());
+        Load();
+    }
     
     // Compiled regex patterns for better performance
     [GeneratedRegex(@"(hack|crack|malware|virus|trojan|phishing|scam)", RegexOptions.IgnoreCase | RegexOptions.Compiled)]
@@ -18,11 +55,20 @@ public sealed partial class AIThreatDetectionService(
     [GeneratedRegex(@"\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\b", RegexOptions.Compiled)]
     private static partial Regex IpAddressPattern();
 
+    // Matched against the host only, so a search for "vpn" on a safe site isn't a bypass attempt
+    [GeneratedRegex(@"(vpn|proxy|unblock|anonymi[sz]|hidemy|tor2web|\.onion)", RegexOptions.IgnoreCase | RegexOptions.Compiled)]
+    private static partial Regex BypassHostPattern();
+
     private static readonly FrozenSet<string> SuspiciousDomains = FrozenSet.ToFrozenSet([
         "malicious.com", "phishing.net", "scam.org", "virus.info",
         "hack.site", "malware.download", "suspicious.link", "badware.evil"
     ]);
 
+    private static readonly FrozenSet<string> BypassDomains = FrozenSet.ToFrozenSet([
+        "nordvpn.com", "expressvpn.com", "protonvpn.com", "surfshark.com", "windscribe.com",
+        "hide.me", "psiphon.ca", "torproject.org", "croxyproxy.com", "hidester.com"
+    ]);
+
     private static readonly FrozenSet<string> SafeDomains = FrozenSet.ToFrozenSet([
         "google.com", "microsoft.com", "github.com", "stackoverflow.com",
         "wikipedia.org", "mozilla.org", "amazon.com"
@@ -30,6 +76,11 @@ public sealed partial class AIThreatDetectionService(
 
     public event EventHandler<AIThreatAlert>? ThreatDetected;
 
+    /// <summary>
+    /// Raised after a parent approves or overrides an alert; the alert's last review is the new decision
+    /// </summary>
+    public event EventHandler<AIThreatAlert>? AlertReviewed;
+
     static AIThreatDetectionService()
     {
         _ = Task.Run(async () =>
@@ -39,7 +90,11 @@ public sealed partial class AIThreatDetectionService(
         });
     }
 
-    public ValueTask<AIThreatAssessment> AnalyzeThreatAsync(string url, string content, ConnectedDevice device, CancellationToken cancellationToken = default)
+    /// <summary>
+    /// Score a request the content filter has already decided on
+    /// </summary>
+    /// <param name="wasBlocked">Whether the filter blocked the request; alerts report only what really happened</param>
+    public ValueTask<AIThreatAssessment> AnalyzeThreatAsync(string url, string content, ConnectedDevice device, bool wasBlocked, CancellationToken cancellationToken = default)
     {
         var urlSpan = url.AsSpan();
         var threatScore = CalculateThreatScore(urlSpan, content.AsSpan());
@@ -50,23 +105,24 @@ public sealed partial class AIThreatDetectionService(
             Id = Guid.NewGuid().ToString(),
             Timestamp = DateTime.UtcNow,
             Url = url,
-            DeviceId = device.Id,
+            // The MAC address, as elsewhere in the API; device.Id is regenerated each time a device is seen
+            DeviceId = device.MacAddress,
             DeviceName = device.Name,
             ThreatLevel = threatLevel,
             ThreatScore = threatScore,
             Indicators = CreateThreatIndicators(urlSpan, content.AsSpan(), threatScore)
         };
 
-        // Store for learning (using interned string to reduce memory)
-        _threatScores[string.Intern(url)] = threatScore;
+        // Store for learning; not interned, since interned strings are never collected
+        _threatScores[url] = threatScore;
 
         // Trigger alert for significant threats
         if (threatLevel >= ThreatLevel.High)
         {
-            TriggerThreatAlert(assessment, device);
+            TriggerThreatAlert(assessment, device, wasBlocked);
         }
 
-        logger.LogDebug("Threat analysis for {Url}: {Level} ({Score:F2})", url, threatLevel, threatScore);
+        _logger.LogDebug("Threat analysis for {Url}: {Level} ({Score:F2})", url, threatLevel, threatScore);
         return ValueTask.FromResult(assessment);
     }
 
@@ -100,6 +156,17 @@ public sealed partial class AIThreatDetectionService(
             });
         }
 
+        if (IsBypassHost(GetHost(urlString)))
+        {
+            indicators.Add(new ThreatIndicator
+            {
+                Type = BypassAttemptIndicator,
+                Score = 0.6,
+                Description = "VPN or proxy service that can get around filtering",
+                Details = ["Traffic through it can't be filtered"]
+            });
+        }
+
         // Protocol check
         if (url.StartsWith("http:".AsSpan(), StringComparison.OrdinalIgnoreCase))
         {
@@ -112,6 +179,20 @@ public sealed partial class AIThreatDetectionService(
             });
         }
 
+        // Earlier parent reviews of alerts for this host
+        if (_feedback.TryGetValue(GetHost(urlString), out var adjustment) && adjustment != 0)
+        {
+            indicators.Add(new ThreatIndicator
+            {
+                Type = "ParentalFeedback",
+                Score = adjustment,
+                Description = adjustment < 0
+                    ? "A parent overrode earlier alerts for this site"
+                    : "A parent confirmed earlier alerts for this site",
+                Details = [$"Score adjusted by {adjustment:+0.0;-0.0}"]
+            });
+        }
+
         return indicators;
     }
 
@@ -132,6 +213,10 @@ public sealed partial class AIThreatDetectionService(
         if (ThreatContentPattern().IsMatch(content))
             score += 0.6;
 
+        // VPNs and proxies hide everything after them from the filter
+        if (IsBypassHost(GetHost(urlString)))
+            score += 0.6;
+
         // IP address detection (direct IP access can be suspicious)
         if (IpAddressPattern().IsMatch(url))
             score += 0.4;
@@ -151,7 +236,10 @@ public sealed partial class AIThreatDetectionService(
         if (urlString.Count(c => c == '%') > 5)
             score += 0.2;
 
-        return Math.Min(score, 1.0);
+        if (_feedback.TryGetValue(GetHost(urlString), out var adjustment))
+            score += adjustment;
+
+        return Math.Clamp(score, 0.0, 1.0);
     }
 
     private static ThreatLevel GetThreatLevel(double score) => score switch
@@ -163,26 +251,185 @@ public sealed partial class AIThreatDetectionService(
         _ => ThreatLevel.Minimal
     };
 
-    private void TriggerThreatAlert(AIThreatAssessment assessment, ConnectedDevice device)
+    private void TriggerThreatAlert(AIThreatAssessment assessment, ConnectedDevice device, bool wasBlocked)
     {
         var alert = new AIThreatAlert
         {
             Id = assessment.Id,
             Timestamp = assessment.Timestamp,
-            DeviceId = device.Id,
+            DeviceId = assessment.DeviceId,
             DeviceName = device.Name,
             Url = assessment.Url,
+            ThreatScore = assessment.ThreatScore,
             ThreatLevel = assessment.ThreatLevel,
-            AutonomousAction = assessment.ThreatLevel >= ThreatLevel.Medium ? "Blocked automatically" : "Monitoring",
+            Indicators = assessment.Indicators,
+            WasBlocked = wasBlocked,
+            AutonomousAction = wasBlocked ? "Blocked by the filter" : "Flagged, not blocked",
             ParentalReviewRequired = assessment.ThreatLevel == ThreatLevel.Critical,
             Description = $"AI detected {assessment.ThreatLevel} threat with confidence {assessment.ThreatScore:P0}"
         };
 
+        lock (_lock)
+        {
+            // A page load makes many requests to the same site; one waiting alert per device and host is enough
+            var host = GetHost(alert.Url);
+            if (_alerts.Any(a => a.Reviews.Count == 0 && a.DeviceId == alert.DeviceId && GetHost(a.Url) == host &&
+                                 a.Timestamp > alert.Timestamp - RepeatAlertWindow))
+            {
+                return;
+            }
+
+            _alerts.AddFirst(alert);
+            while (_alerts.Count > MaxAlerts)
+            {
+                _alerts.RemoveLast();
+            }
+            ScheduleSave();
+        }
+
         ThreatDetected?.Invoke(this, alert);
-        logger.LogWarning("Threat alert triggered for device {DeviceName}: {ThreatLevel} - {Url}", 
+        _logger.LogWarning("Threat alert triggered for device {DeviceName}: {ThreatLevel} - {Url}", 
             device.Name, assessment.ThreatLevel, assessment.Url);
     }
 
+    /// <summary>
+    /// Alerts, newest first
+    /// </summary>
+    /// <param name="reviewed">true for alerts a parent has reviewed, false for those still waiting, null for all</param>
+    public IReadOnlyList<AIThreatAlert> GetAlerts(bool? reviewed = null, int limit = 50)
+    {
+        lock (_lock)
+        {
+            return _alerts
+                .Where(a => reviewed is null || a.Reviews.Count > 0 == reviewed)
+                .Take(Math.Clamp(limit, 1, MaxAlerts))
+                .ToArray();
+        }
+    }
+
+    public int GetPendingCount()
+    {
+        lock (_lock)
+        {
+            return _alerts.Count(a => a.Reviews.Count == 0);
+        }
+    }
+
+    public AIThreatAlert? GetAlert(string alertId)
+    {
+        lock (_lock)
+        {
+            return _alerts.FirstOrDefault(a => a.Id == alertId);
+        }
+    }
+
+    /// <summary>
+    /// Record a parent's decision on an alert and feed it back into the scoring of the alert's host.
+    /// An alert can be reviewed again; every decision is kept in its history.
+    /// </summary>
+    /// <returns>The reviewed alert, or null when there is no such alert</returns>
+    public AIThreatAlert? ReviewAlert(string alertId, ThreatReviewDecision decision, string reason)
+    {
+        AIThreatAlert? alert;
+        lock (_lock)
+        {
+            alert = _alerts.FirstOrDefault(a => a.Id == alertId);
+            if (alert is null) return null;
+
+            var review = new ThreatReview { Decision = decision, Reason = reason, Timestamp = DateTime.UtcNow };
+
+            // Replace rather than add to the list so callers enumerating an alert they already hold aren't disturbed
+            alert.Reviews = [.. alert.Reviews, review];
+            alert.ParentalOverride = decision == ThreatReviewDecision.Override;
+            alert.ParentalNote = reason;
+            alert.ParentalReviewRequired = false;
+
+            var host = GetHost(alert.Url);
+            var adjustment = _feedback.AddOrUpdate(host,
+                _ => Adjust(0, decision),
+                (_, current) => Adjust(current, decision));
+            _threatScores.TryRemove(alert.Url, out _);
+
+            ScheduleSave();
+            _logger.LogInformation("Threat alert {AlertId} for {Host} reviewed: {Decision} (score adjustment now {Adjustment:+0.0;-0.0})",
+                alertId, host, decision, adjustment);
+        }
+
+        AlertReviewed?.Invoke(this, alert);
+        return alert;
+    }
+
+    private static double Adjust(double current, ThreatReviewDecision decision) => Math.Clamp(
+        current + (decision == ThreatReviewDecision.Override ? OverrideAdjustment : ApproveAdjustment),
+        MinAdjustment, MaxAdjustment);
+
+    private static bool IsBypassHost(string host) =>
+        BypassHostPattern().IsMatch(host) ||
+        BypassDomains.Any(domain => host == domain || host.EndsWith("." + domain, StringComparison.Ordinal));
+
+    public static bool IsBypassAttempt(AIThreatAlert alert) =>
+        alert.Indicators.Any(i => i.Type == BypassAttemptIndicator);
+
+    private static string GetHost(string url) =>
+        (Uri.TryCreate(url, UriKind.Absolute, out var uri) ? uri.Host : url).ToLowerInvariant();
+
+    // Called with the lock held. Alerts are raised on the traffic path, so the file is written at most once per
+    // SaveDelay, from a timer
+    private void ScheduleSave()
+    {
+        if (_savePending) return;
+        _savePending = true;
+        _saveTimer.Change(SaveDelay, Timeout.InfiniteTimeSpan);
+    }
+
+    private void SaveNow()
+    {
+        ThreatStore store;
+        lock (_lock)
+        {
+            if (!_savePending) return;
+            _savePending = false;
+            store = new ThreatStore([.. _alerts], new Dictionary<string, double>(_feedback));
+        }
+
+        lock (_fileLock)
+        {
+            try
+            {
+                File.WriteAllText(_path, JsonSerializer.Serialize(store, FileOptions));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to save threat alerts to {Path}", _path);
+            }
+        }
+    }
+
+    private void Load()
+    {
+        if (!File.Exists(_path)) return;
+
+        try
+        {
+            var store = JsonSerializer.Deserialize<ThreatStore>(File.ReadAllText(_path), FileOptions);
+            foreach (var alert in store?.Alerts ?? [])
+            {
+                _alerts.AddLast(alert);
+            }
+            foreach (var (host, adjustment) in store?.Feedback ?? [])
+            {
+                _feedback[host] = adjustment;
+            }
+        }
+        catch (Exception ex)
+        {
+            // Invalid file - start without saved alerts rather than failing startup
+            _logger.LogWarning(ex, "Failed to load threat alerts from {Path}", _path);
+        }
+    }
+
+    private sealed record ThreatStore(List<AIThreatAlert> Alerts, Dictionary<string, double> Feedback);
+
     private async Task StartCleanupAsync(CancellationToken cancellationToken)
     {
         try
@@ -215,12 +462,16 @@ public sealed partial class AIThreatDetectionService(
 
         if (removedCount > 0)
         {
-            logger.LogDebug("Cleaned up {Count} old threat scores", removedCount);
+            _logger.LogDebug("Cleaned up {Count} old threat scores", removedCount);
         }
     }
 
     public void Dispose()
     {
+        // Write anything still waiting for the timer
+        _saveTimer.Dispose();
+        SaveNow();
+
         _cancellationTokenSource.Cancel();
         _cleanupTimer.Dispose();
         _cancellationTokenSource.Dispose();
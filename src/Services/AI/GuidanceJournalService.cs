@@ -0,0 +1,142 @@
+namespace PocketFence_Simple.Services.AI;
+
+/// <summary>
+/// What a parent has kept from the guidance browser for each child: the age group guidance is tailored to,
+/// favorite conversation starters and tips, and which talks have already happened.
+/// Keyed by the child's device (MAC address) and saved to guidance_journal.json.
+/// </summary>
+public sealed class GuidanceJournalService
+{
+    private static readonly JsonSerializerOptions FileOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+    private readonly ILogger<GuidanceJournalService> _logger;
+    private readonly Dictionary<string, ChildGuidanceJournal> _journals = new(StringComparer.OrdinalIgnoreCase);
+    private readonly object _lock = new();
+    private readonly string _path;
+
+    public GuidanceJournalService(ILogger<GuidanceJournalService> logger)
+    {
+        _logger = logger;
+        _path = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "guidance_journal.json");
+        Load();
+    }
+
+    /// <summary>
+    /// The child's journal; a copy, so callers can read it without holding the lock
+    /// </summary>
+    public ChildGuidanceJournal GetJournal(string deviceId)
+    {
+        lock (_lock)
+        {
+            return _journals.TryGetValue(deviceId, out var journal)
+                ? new ChildGuidanceJournal { AgeGroup = journal.AgeGroup, Notes = journal.Notes.Select(n => n with { }).ToList() }
+                : new ChildGuidanceJournal();
+        }
+    }
+
+    public void SetAgeGroup(string deviceId, AgeGroup ageGroup)
+    {
+        lock (_lock)
+        {
+            GetOrCreate(deviceId).AgeGroup = ageGroup;
+            Save();
+        }
+    }
+
+    /// <summary>
+    /// Mark a starter or tip as a favorite and/or as discussed. Passing null leaves that flag as it was;
+    /// a note that is neither a favorite nor discussed is dropped.
+    /// </summary>
+    /// <returns>The note as saved, or null when it was dropped</returns>
+    public GuidanceNote? UpdateNote(string deviceId, string text, string? topic, bool? isFavorite, bool? discussed)
+    {
+        lock (_lock)
+        {
+            var journal = GetOrCreate(deviceId);
+            var index = journal.Notes.FindIndex(n => n.Text == text);
+            var note = index >= 0 ? journal.Notes[index] : new GuidanceNote { Text = text, Topic = topic };
+
+            note = note with
+            {
+                IsFavorite = isFavorite ?? note.IsFavorite,
+                // Keep the original date when a talk is marked again
+                DiscussedAt = discussed switch
+                {
+                    true => note.DiscussedAt ?? DateTime.UtcNow,
+                    false => null,
+                    null => note.DiscussedAt
+                }
+            };
+
+            var keep = note.IsFavorite || note.DiscussedAt is not null;
+            if (index >= 0)
+            {
+                if (keep) journal.Notes[index] = note;
+                else journal.Notes.RemoveAt(index);
+            }
+            else if (keep)
+            {
+                journal.Notes.Add(note);
+            }
+
+            Save();
+            return keep ? note : null;
+        }
+    }
+
+    private ChildGuidanceJournal GetOrCreate(string deviceId)
+    {
+        if (!_journals.TryGetValue(deviceId, out var journal))
+        {
+            journal = new ChildGuidanceJournal();
+            _journals[deviceId] = journal;
+        }
+        return journal;
+    }
+
+    // Called with the lock held
+    private void Save()
+    {
+        try
+        {
+            File.WriteAllText(_path, JsonSerializer.Serialize(_journals, FileOptions));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to save guidance journal to {Path}", _path);
+        }
+    }
+
+    private void Load()
+    {
+        if (!File.Exists(_path)) return;
+
+        try
+        {
+            var saved = JsonSerializer.Deserialize<Dictionary<string, ChildGuidanceJournal>>(File.ReadAllText(_path), FileOptions);
+            foreach (var (deviceId, journal) in saved ?? [])
+            {
+                _journals[deviceId] = journal;
+            }
+        }
+        catch (Exception ex)
+        {
+            // Invalid file - start with an empty journal rather than failing startup
+            _logger.LogWarning(ex, "Failed to load guidance journal from {Path}", _path);
+        }
+    }
+}
+
+public sealed class ChildGuidanceJournal
+{
+    public AgeGroup AgeGroup { get; set; } = AgeGroup.Preteen;
+    public List<GuidanceNote> Notes { get; set; } = [];
+}
+
+public sealed record GuidanceNote
+{
+    public required string Text { get; init; }
+    public string? Topic { get; init; }
+    public bool IsFavorite { get; init; }
+    public DateTime? DiscussedAt { get; init; }
+}
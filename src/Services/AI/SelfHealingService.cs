@@ -11,7 +11,7 @@ public sealed class SelfHealingService(
     private int _restartAttempts = 0;
     private readonly int _maxRestartAttempts = 3;
 
-    public event EventHandler<string>? RecoveryActionTaken;
+    public event EventHandler<RecoveryAction>? RecoveryActionTaken;
 
 
 
@@ -27,7 +27,9 @@ public sealed class SelfHealingService(
             if (recovered)
             {
                 logger.LogInformation("Successfully recovered from error in {Context}", context);
-                RecoveryActionTaken?.Invoke(this, $"Recovered from {exception.GetType().Name} in {context}");
+                RecoveryActionTaken?.Invoke(this, new RecoveryAction(
+                    $"Recovered from {exception.GetType().Name} in {context}",
+                    $"A fatal error ({exception.Message}) was cleared by freeing memory and caches"));
                 return true;
             }
 
@@ -36,6 +38,9 @@ public sealed class SelfHealingService(
             {
                 _restartAttempts++;
                 logger.LogWarning("Attempting service restart ({Attempt}/{Max})", _restartAttempts, _maxRestartAttempts);
+                RecoveryActionTaken?.Invoke(this, new RecoveryAction(
+                    "Restarted PocketFence",
+                    $"Cleanup did not recover from {exception.GetType().Name} in {context}; restart attempt {_restartAttempts} of {_maxRestartAttempts}"));
                 
                 // Graceful restart
                 _ = Task.Run(RestartApplicationAsync);
@@ -221,9 +226,11 @@ public sealed class SelfHealingService(
                     errorCount, criticalErrors);
                 
                 // Auto-recovery for non-critical issues
-                if (criticalErrors == 0 && errorCount > 0)
+                if (criticalErrors == 0 && errorCount > 0 && AttemptRecovery("HealthCheck"))
                 {
-                    AttemptRecovery("HealthCheck");
+                    RecoveryActionTaken?.Invoke(this, new RecoveryAction(
+                        "Freed memory after a health check",
+                        string.Join("; ", health.Errors.Select(e => e.Message))));
                 }
                 
                 // Reset restart attempts if system is healthy for a while
@@ -318,4 +325,9 @@ public sealed class SelfHealingService(
         _healthCheckTimer.Dispose();
         _cancellationTokenSource.Dispose();
     }
-}
\ No newline at end of file
+}
+
+/// <summary>
+/// Something the self-healing service did on its own, and why
+/// </summary>
+public sealed record RecoveryAction(string Action, string Reasoning);
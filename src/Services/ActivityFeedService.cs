@@ -0,0 +1,251 @@
+using PocketFence_Simple.Hubs;
+using PocketFence_Simple.Models;
+
+namespace PocketFence_Simple.Services;
+
+/// <summary>
+/// Records dashboard activity (device connections, blocked content) and broadcasts it over the dashboard hub.
+/// Entries carry increasing ids so polling clients can ask for everything after the last id they saw, and
+/// the timeline can page back through older entries. The log is kept in a JSON-lines file across restarts.
+/// </summary>
+public sealed class ActivityFeedService : IDisposable
+{
+    private const int MaxEntries = 5000;
+    private const int MaxPageSize = 200;
+
+    private static readonly JsonSerializerOptions LogOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly HotspotService _hotspotService;
+    private readonly ContentFilterService _filterService;
+    private readonly IHubContext<DashboardHub> _hubContext;
+    private readonly ILogger<ActivityFeedService> _logger;
+    private readonly LinkedList<ActivityEntry> _entries = new(); // Newest first
+    private readonly object _lock = new();
+    private readonly string _logPath;
+    private long _lastId;
+
+    public ActivityFeedService(
+        HotspotService hotspotService,
+        ContentFilterService filterService,
+        IHubContext<DashboardHub> hubContext,
+        ILogger<ActivityFeedService> logger)
+    {
+        _hotspotService = hotspotService;
+        _filterService = filterService;
+        _hubContext = hubContext;
+        _logger = logger;
+        _logPath = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "activity_log.jsonl");
+
+        LoadLog();
+
+        _hotspotService.DeviceConnected += OnDeviceConnected;
+        _hotspotService.DeviceDisconnected += OnDeviceDisconnected;
+        _hotspotService.DeviceAccessChanged += OnDeviceAccessChanged;
+        _filterService.SiteBlocked += OnSiteBlocked;
+    }
+
+    /// <summary>
+    /// Get activity entries, newest first
+    /// </summary>
+    /// <param name="afterId">Only return entries recorded after this id</param>
+    /// <param name="limit">Maximum number of entries to return</param>
+    /// <param name="deviceId">Only return entries for this device (MAC address)</param>
+    /// <param name="beforeId">Only return entries recorded before this id; pass the last id of a page to get the next one</param>
+    /// <param name="types">Only return entries of these types</param>
+    /// <param name="from">Only return entries recorded at or after this time</param>
+    /// <param name="to">Only return entries recorded before this time</param>
+    public IReadOnlyList<ActivityEntry> GetEntries(
+        long? afterId = null,
+        int limit = 50,
+        string? deviceId = null,
+        long? beforeId = null,
+        IReadOnlyCollection<string>? types = null,
+        DateTime? from = null,
+        DateTime? to = null)
+    {
+        lock (_lock)
+        {
+            return _entries
+                .Where(e => afterId is null || e.Id > afterId)
+                .Where(e => beforeId is null || e.Id < beforeId)
+                .Where(e => deviceId is null || string.Equals(e.DeviceId, deviceId, StringComparison.OrdinalIgnoreCase))
+                .Where(e => types is null || types.Count == 0 || types.Contains(e.Type, StringComparer.OrdinalIgnoreCase))
+                .Where(e => from is null || e.Timestamp >= from)
+                .Where(e => to is null || e.Timestamp < to)
+                .Take(Math.Clamp(limit, 1, MaxPageSize))
+                .ToArray();
+        }
+    }
+
+    public ActivityEntry Record(string type, string icon, string message, string device, string? deviceId = null, object? data = null)
+    {
+        lock (_lock)
+        {
+            var entry = new ActivityEntry
+            {
+                Id = ++_lastId,
+                Type = type,
+                Icon = icon,
+                Message = message,
+                Device = device,
+                DeviceId = deviceId,
+                Timestamp = DateTime.UtcNow,
+                Data = data
+            };
+
+            _entries.AddFirst(entry);
+            while (_entries.Count > MaxEntries)
+            {
+                _entries.RemoveLast();
+            }
+
+            AppendToLog(entry);
+            return entry;
+        }
+    }
+
+    // Restore the newest entries from the log; the file is compacted when it has grown past what is kept
+    private void LoadLog()
+    {
+        if (!File.Exists(_logPath)) return;
+
+        try
+        {
+            var lines = File.ReadAllLines(_logPath);
+            foreach (var line in lines.TakeLast(MaxEntries))
+            {
+                if (string.IsNullOrWhiteSpace(line)) continue;
+                try
+                {
+                    var entry = JsonSerializer.Deserialize<ActivityEntry>(line, LogOptions);
+                    if (entry is null) continue;
+                    _entries.AddFirst(entry);
+                    _lastId = Math.Max(_lastId, entry.Id);
+                }
+                catch (JsonException)
+                {
+                    // A line cut short by a crash; skip it
+                }
+            }
+
+            if (lines.Length > MaxEntries)
+            {
+                File.WriteAllLines(_logPath, _entries.Reverse().Select(e => JsonSerializer.Serialize(e, LogOptions)));
+            }
+
+            _logger.LogInformation("📜 Loaded {Count} activity entries", _entries.Count);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load activity log from {Path}", _logPath);
+        }
+    }
+
+    private void AppendToLog(ActivityEntry entry)
+    {
+        try
+        {
+            File.AppendAllText(_logPath, JsonSerializer.Serialize(entry, LogOptions) + Environment.NewLine);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to write activity log");
+        }
+    }
+
+    private void OnDeviceConnected(object? sender, ConnectedDevice device)
+    {
+        var entry = Record(ActivityTypes.DeviceConnected, "📱", $"New device connected: {device.DeviceName}", device.DeviceName, device.MacAddress, device);
+        _ = BroadcastAsync(entry, () => DashboardHub.NotifyDeviceConnected(_hubContext, device));
+    }
+
+    private void OnDeviceDisconnected(object? sender, ConnectedDevice device)
+    {
+        var entry = Record(ActivityTypes.DeviceDisconnected, "📱", $"Device disconnected: {device.DeviceName}", device.DeviceName, device.MacAddress, device);
+        _ = BroadcastAsync(entry, () => DashboardHub.NotifyDeviceDisconnected(_hubContext, device));
+    }
+
+    private void OnDeviceAccessChanged(object? sender, ConnectedDevice device)
+    {
+        var accessInfo = new
+        {
+            macAddress = device.MacAddress,
+            deviceName = device.DeviceName,
+            isBlocked = device.IsBlocked
+        };
+
+        var message = device.IsBlocked
+            ? $"Internet access blocked for {device.DeviceName}"
+            : $"Internet access restored for {device.DeviceName}";
+        var entry = Record(ActivityTypes.DeviceAccessChanged, device.IsBlocked ? "⛔" : "✅", message, device.DeviceName, device.MacAddress, accessInfo);
+        _ = BroadcastAsync(entry, () => DashboardHub.NotifyDeviceAccessChanged(_hubContext, accessInfo));
+    }
+
+    private void OnSiteBlocked(object? sender, BlockedSite site)
+    {
+        var deviceName = _hotspotService.GetDeviceByMacAddress(site.DeviceMac)?.DeviceName ?? site.DeviceMac;
+        var domain = Uri.TryCreate(site.Url, UriKind.Absolute, out var uri) ? uri.Host : site.Url;
+        var blockInfo = new
+        {
+            domain,
+            url = site.Url,
+            reason = site.Reason,
+            deviceName,
+            deviceMac = site.DeviceMac,
+            blockedAt = site.BlockedAt
+        };
+
+        var entry = Record(ActivityTypes.ContentBlocked, "🚫", $"Blocked access to {domain}", deviceName, site.DeviceMac, blockInfo);
+        _ = BroadcastAsync(entry, () => DashboardHub.NotifyContentBlocked(_hubContext, blockInfo));
+    }
+
+    private async Task BroadcastAsync(ActivityEntry entry, Func<Task> send)
+    {
+        try
+        {
+            await send();
+            await DashboardHub.NotifyActivityRecorded(_hubContext, entry);
+
+            // Clients watching this device get the full entry on its own group
+            if (entry.DeviceId is not null)
+            {
+                await DashboardHub.NotifyDeviceActivity(_hubContext, entry.DeviceId, entry);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to broadcast dashboard activity");
+        }
+    }
+
+    public void Dispose()
+    {
+        _hotspotService.DeviceConnected -= OnDeviceConnected;
+        _hotspotService.DeviceDisconnected -= OnDeviceDisconnected;
+        _hotspotService.DeviceAccessChanged -= OnDeviceAccessChanged;
+        _filterService.SiteBlocked -= OnSiteBlocked;
+    }
+}
+
+/// <summary>
+/// Activity types mirror the dashboard hub event names so clients can replay entries as hub events
+/// </summary>
+public static class ActivityTypes
+{
+    public const string DeviceConnected = "DeviceConnected";
+    public const string DeviceDisconnected = "DeviceDisconnected";
+    public const string ContentBlocked = "ContentBlocked";
+    public const string DeviceAccessChanged = "DeviceAccessChanged";
+}
+
+public sealed record ActivityEntry
+{
+    public long Id { get; init; }
+    public required string Type { get; init; }
+    public required string Icon { get; init; }
+    public required string Message { get; init; }
+    public required string Device { get; init; }
+    public string? DeviceId { get; init; }
+    public DateTime Timestamp { get; init; }
+    public object? Data { get; init; }
+}
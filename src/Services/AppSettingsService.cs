@@ -0,0 +1,95 @@
+using System.Text.Encodings.Web;
+using System.Text.Json.Nodes;
+using PocketFence_Simple.Hubs;
+using PocketFence_Simple.Models;
+
+namespace PocketFence_Simple.Services;
+
+/// <summary>
+/// Reads and writes the runtime-editable parts of appsettings.json: the PocketFence:Features flags
+/// and the PocketFence:API section. Saved changes are reloaded into configuration straight away.
+/// </summary>
+public sealed class AppSettingsService(
+    IConfiguration configuration,
+    IWebHostEnvironment environment,
+    IHubContext<DashboardHub> hubContext,
+    ILogger<AppSettingsService> logger)
+{
+    public const string FeaturesSectionName = "PocketFence:Features";
+
+    private static readonly JsonSerializerOptions WriteOptions = new()
+    {
+        WriteIndented = true,
+        // Keeps the ${VARIABLE:-default} placeholders in the file readable
+        Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+    };
+
+    private readonly SemaphoreSlim _writeLock = new(1, 1);
+
+    private string SettingsPath => Path.Combine(environment.ContentRootPath, "appsettings.json");
+
+    public IReadOnlyDictionary<string, bool> GetFeatures()
+    {
+        return configuration.GetSection(FeaturesSectionName)
+            .GetChildren()
+            .ToDictionary(flag => flag.Key, flag => bool.TryParse(flag.Value, out var enabled) && enabled);
+    }
+
+    public ApiSettings GetApiSettings()
+    {
+        return configuration.GetSection(ApiSettings.SectionName).Get<ApiSettings>() ?? new ApiSettings();
+    }
+
+    /// <summary>
+    /// Save feature flags and/or API settings. Only flags that already exist can be changed.
+    /// </summary>
+    public async Task UpdateAsync(IReadOnlyDictionary<string, bool>? features, ApiSettings? api)
+    {
+        await _writeLock.WaitAsync();
+        try
+        {
+            var root = JsonNode.Parse(await File.ReadAllTextAsync(SettingsPath))?.AsObject()
+                ?? throw new InvalidOperationException("appsettings.json is empty");
+            var pocketFence = root["PocketFence"]?.AsObject()
+                ?? throw new InvalidOperationException("appsettings.json has no PocketFence section");
+
+            if (features is not null)
+            {
+                var featuresNode = pocketFence["Features"]?.AsObject() ?? new JsonObject();
+                pocketFence["Features"] = featuresNode;
+                foreach (var (name, enabled) in features)
+                {
+                    featuresNode[name] = enabled;
+                }
+            }
+
+            if (api is not null)
+            {
+                var apiNode = pocketFence["API"]?.AsObject() ?? new JsonObject();
+                pocketFence["API"] = apiNode;
+                apiNode[nameof(ApiSettings.RateLimitPerMinute)] = api.RateLimitPerMinute;
+                apiNode[nameof(ApiSettings.EnableCors)] = api.EnableCors;
+                apiNode[nameof(ApiSettings.EnableSwagger)] = api.EnableSwagger;
+            }
+
+            await File.WriteAllTextAsync(SettingsPath, root.ToJsonString(WriteOptions));
+
+            // The file watcher reloads too, but only after a delay
+            (configuration as IConfigurationRoot)?.Reload();
+            logger.LogInformation("⚙️ Saved settings to {Path}", SettingsPath);
+        }
+        finally
+        {
+            _writeLock.Release();
+        }
+
+        try
+        {
+            await DashboardHub.NotifySettingsChanged(hubContext, new { features = GetFeatures() });
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(ex, "Failed to broadcast settings change");
+        }
+    }
+}
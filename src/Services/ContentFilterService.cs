@@ -10,16 +10,30 @@ namespace PocketFence_Simple.Services
         private readonly List<FilterRule> _filterRules;
         private readonly Dictionary<string, FilterRule> _ruleIndex; // O(1) rule lookup
         private readonly HashSet<string> _blockedDomains;
+        private readonly Dictionary<string, string> _domainCategories; // Optional category per blocked domain, e.g. from CSV imports
         private readonly HashSet<string> _maliciousCategories;
         private readonly string _configPath;
         private readonly ConcurrentDictionary<string, bool> _urlCache;
         private readonly ConcurrentDictionary<string, Regex> _regexCache;
+        private readonly ConcurrentDictionary<string, bool> _blockedDevices; // MAC addresses with internet access cut off
         private bool _isEnabled = true;
 
         public event EventHandler<BlockedSite>? SiteBlocked;
         
         public bool IsEnabled => _isEnabled;
 
+        /// <summary>
+        /// Turn content filtering on or off. Blocked devices stay blocked either way.
+        /// </summary>
+        public void SetEnabled(bool enabled)
+        {
+            if (_isEnabled == enabled)
+                return;
+            
+            _isEnabled = enabled;
+            SaveConfiguration();
+        }
+
         public List<FilterRule> GetFilterRules()
         {
             return _filterRules.ToList();
@@ -69,10 +83,12 @@ namespace PocketFence_Simple.Services
             _filterRules = new List<FilterRule>();
             _ruleIndex = new Dictionary<string, FilterRule>(); // O(1) lookup index
             _blockedDomains = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            _domainCategories = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
             _maliciousCategories = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
             _configPath = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "filter_config.json");
             _urlCache = new ConcurrentDictionary<string, bool>();
             _regexCache = new ConcurrentDictionary<string, Regex>();
+            _blockedDevices = new ConcurrentDictionary<string, bool>(StringComparer.OrdinalIgnoreCase);
             
             InitializeDefaultRules();
             LoadConfiguration();
@@ -143,10 +159,31 @@ namespace PocketFence_Simple.Services
             });
         }
 
+        /// <summary>
+        /// Cut off or restore all internet access for a device, regardless of filter rules
+        /// </summary>
+        public void SetDeviceBlocked(string deviceMac, bool isBlocked)
+        {
+            if (isBlocked)
+                _blockedDevices[deviceMac] = true;
+            else
+                _blockedDevices.TryRemove(deviceMac, out _);
+        }
+
+        public bool IsDeviceBlocked(string deviceMac) => _blockedDevices.ContainsKey(deviceMac);
+
         public bool ShouldBlockRequest(string url, string deviceMac)
         {
             try
             {
+                // Blocked devices are checked before the URL cache, which is shared by all devices.
+                // Not logged per request: the block itself is already recorded once in the activity feed.
+                if (IsDeviceBlocked(deviceMac))
+                    return true;
+                
+                if (!_isEnabled)
+                    return false;
+                
                 // Check cache first for O(1) lookup
                 if (_urlCache.TryGetValue(url, out bool cachedResult))
                 {
@@ -155,48 +192,15 @@ namespace PocketFence_Simple.Services
                     return cachedResult;
                 }
                 
-                var uri = new Uri(url);
-                var domain = uri.Host.ToLowerInvariant();
-                var shouldBlock = false;
-                var blockReason = string.Empty;
-                
-                // Check against blocked domains - O(1) average case
-                if (IsBlocked(domain, out blockReason))
-                {
-                    shouldBlock = true;
-                }
-                else
-                {
-                    // Check against filter rules (pre-sorted by priority)
-                    var enabledRules = GetSortedEnabledRules();
-                    foreach (var rule in enabledRules)
-                    {
-                        if (IsRuleMatched(rule, url, domain))
-                        {
-                            if (rule.Action == FilterAction.Block)
-                            {
-                                shouldBlock = true;
-                                blockReason = rule.Name;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    // Check for suspicious patterns if not already blocked
-                    if (!shouldBlock && ContainsSuspiciousPatterns(url))
-                    {
-                        shouldBlock = true;
-                        blockReason = "Suspicious Pattern";
-                    }
-                }
+                var decision = EvaluateUrl(url, steps: null);
                 
                 // Cache result for future O(1) lookups
-                _urlCache.TryAdd(url, shouldBlock);
+                _urlCache.TryAdd(url, decision.ShouldBlock);
                 
-                if (shouldBlock)
-                    LogBlockedSite(url, blockReason, deviceMac);
+                if (decision.ShouldBlock)
+                    LogBlockedSite(url, decision.Reason, deviceMac);
                     
-                return shouldBlock;
+                return decision.ShouldBlock;
             }
             catch (Exception)
             {
@@ -204,6 +208,191 @@ namespace PocketFence_Simple.Services
             }
         }
         
+        /// <summary>
+        /// Explain the decision ShouldBlockRequest would reach for a URL and device, without
+        /// logging a block or touching the URL cache
+        /// </summary>
+        public FilterDecision ExplainDecision(string url, string deviceMac)
+        {
+            var steps = new List<FilterDecisionStep>();
+            
+            if (IsDeviceBlocked(deviceMac))
+            {
+                steps.Add(new FilterDecisionStep
+                {
+                    Check = "Device access",
+                    Outcome = FilterStepOutcome.Matched,
+                    Detail = "Internet access is blocked for this device, so every request is blocked"
+                });
+                return new FilterDecision
+                {
+                    Url = url,
+                    DeviceMac = deviceMac,
+                    ShouldBlock = true,
+                    Reason = "Device Blocked",
+                    Steps = steps
+                };
+            }
+            
+            steps.Add(new FilterDecisionStep
+            {
+                Check = "Device access",
+                Outcome = FilterStepOutcome.NoMatch,
+                Detail = string.IsNullOrEmpty(deviceMac) ? "No device selected" : "Device is allowed internet access"
+            });
+            
+            if (!_isEnabled)
+            {
+                steps.Add(new FilterDecisionStep
+                {
+                    Check = "Content filtering",
+                    Outcome = FilterStepOutcome.Matched,
+                    Detail = "Content filtering is turned off, so rules and blocked domains are not checked"
+                });
+                return new FilterDecision
+                {
+                    Url = url,
+                    DeviceMac = deviceMac,
+                    Reason = "Filtering Disabled",
+                    Steps = steps
+                };
+            }
+            
+            var fromCache = _urlCache.TryGetValue(url, out bool cachedResult);
+            steps.Add(new FilterDecisionStep
+            {
+                Check = "URL cache",
+                Outcome = fromCache ? FilterStepOutcome.Matched : FilterStepOutcome.NoMatch,
+                Detail = fromCache
+                    ? $"Answered from the URL cache ({(cachedResult ? "blocked" : "allowed")}). The checks below show how that answer was first reached."
+                    : "Not cached yet - the checks below run and their result is cached"
+            });
+            
+            FilterDecision decision;
+            try
+            {
+                decision = EvaluateUrl(url, steps);
+            }
+            catch (UriFormatException)
+            {
+                steps.Add(new FilterDecisionStep
+                {
+                    Check = "URL",
+                    Outcome = FilterStepOutcome.Matched,
+                    Detail = "Not a valid absolute URL - requests that cannot be parsed are allowed"
+                });
+                decision = new FilterDecision { Url = url, Reason = "Invalid URL", Steps = steps };
+            }
+            
+            decision.DeviceMac = deviceMac;
+            decision.FromCache = fromCache;
+            if (fromCache)
+            {
+                decision.ShouldBlock = cachedResult;
+                decision.Reason = cachedResult ? "Cached Block" : "Cached Allow";
+            }
+            
+            return decision;
+        }
+        
+        /// <summary>
+        /// Run the URL checks in the same order for filtering and for explanations.
+        /// Steps are only recorded when a list is passed, keeping the filtering path allocation-free.
+        /// </summary>
+        private FilterDecision EvaluateUrl(string url, List<FilterDecisionStep>? steps)
+        {
+            var uri = new Uri(url);
+            var domain = uri.Host.ToLowerInvariant();
+            var decision = new FilterDecision { Url = url, Domain = domain, Steps = steps ?? new List<FilterDecisionStep>() };
+            
+            // Check against blocked domains - O(1) average case
+            if (IsBlocked(domain, out var blockReason))
+            {
+                decision.ShouldBlock = true;
+                decision.Reason = blockReason;
+                steps?.Add(new FilterDecisionStep
+                {
+                    Check = "Blocked domains",
+                    Outcome = FilterStepOutcome.Matched,
+                    Detail = $"{domain} is on the blocked domain list"
+                });
+                steps?.Add(new FilterDecisionStep { Check = "Filter rules", Outcome = FilterStepOutcome.Skipped, Detail = "Not checked - the domain is already blocked" });
+                steps?.Add(new FilterDecisionStep { Check = "Suspicious patterns", Outcome = FilterStepOutcome.Skipped, Detail = "Not checked - the domain is already blocked" });
+                return decision;
+            }
+            
+            steps?.Add(new FilterDecisionStep
+            {
+                Check = "Blocked domains",
+                Outcome = FilterStepOutcome.NoMatch,
+                Detail = $"{domain} is not on the blocked domain list"
+            });
+            
+            // Check against filter rules (pre-sorted by priority)
+            var enabledRules = GetSortedEnabledRules();
+            foreach (var rule in enabledRules)
+            {
+                if (!IsRuleMatched(rule, url, domain))
+                    continue;
+                
+                if (rule.Action == FilterAction.Block)
+                {
+                    decision.ShouldBlock = true;
+                    decision.Reason = rule.Name;
+                    decision.MatchedRule = rule;
+                    steps?.Add(new FilterDecisionStep
+                    {
+                        Check = "Filter rules",
+                        Outcome = FilterStepOutcome.Matched,
+                        Detail = $"Rule \"{rule.Name}\" (priority {rule.Priority}) matched and blocks",
+                        RuleId = rule.Id
+                    });
+                    break;
+                }
+                
+                // Only Block rules change the outcome; keep looking at lower-priority rules
+                steps?.Add(new FilterDecisionStep
+                {
+                    Check = "Filter rules",
+                    Outcome = FilterStepOutcome.Ignored,
+                    Detail = $"Rule \"{rule.Name}\" (priority {rule.Priority}) matched, but its {rule.Action} action does not block",
+                    RuleId = rule.Id
+                });
+            }
+            
+            if (decision.ShouldBlock)
+            {
+                steps?.Add(new FilterDecisionStep { Check = "Suspicious patterns", Outcome = FilterStepOutcome.Skipped, Detail = "Not checked - a rule already blocks this URL" });
+                return decision;
+            }
+            
+            steps?.Add(new FilterDecisionStep
+            {
+                Check = "Filter rules",
+                Outcome = FilterStepOutcome.NoMatch,
+                Detail = $"None of the {enabledRules.Count} enabled rules block this URL"
+            });
+            
+            // Check for suspicious patterns if not already blocked
+            var suspiciousPattern = FindSuspiciousPattern(url);
+            if (suspiciousPattern is not null)
+            {
+                decision.ShouldBlock = true;
+                decision.Reason = "Suspicious Pattern";
+            }
+            
+            steps?.Add(new FilterDecisionStep
+            {
+                Check = "Suspicious patterns",
+                Outcome = suspiciousPattern is not null ? FilterStepOutcome.Matched : FilterStepOutcome.NoMatch,
+                Detail = suspiciousPattern is not null
+                    ? $"The URL contains \"{suspiciousPattern}\""
+                    : "No suspicious patterns found"
+            });
+            
+            return decision;
+        }
+        
         private bool IsBlocked(string domain, out string reason)
         {
             reason = "Blocked Domain";
@@ -276,12 +465,12 @@ namespace PocketFence_Simple.Services
         private static readonly HashSet<string> SuspiciousPatternsLower = new HashSet<string>(
             SuspiciousPatterns.Select(p => p.ToLowerInvariant()), StringComparer.Ordinal);
         
-        private bool ContainsSuspiciousPatterns(string url)
+        private string? FindSuspiciousPattern(string url)
         {
             var lowerUrl = url.ToLowerInvariant();
             
             // Direct HashSet lookups instead of iterating + Contains
-            return SuspiciousPatternsLower.Any(pattern => lowerUrl.Contains(pattern));
+            return SuspiciousPatternsLower.FirstOrDefault(pattern => lowerUrl.Contains(pattern));
         }
 
         private void LogBlockedSite(string url, string reason, string deviceMac)
@@ -317,6 +506,36 @@ namespace PocketFence_Simple.Services
             }
         }
         
+        public FilterRule? GetFilterRule(string ruleId)
+        {
+            return _ruleIndex.TryGetValue(ruleId, out var rule) ? rule : null;
+        }
+
+        /// <summary>
+        /// Reassign rule priorities to follow the given order (first id gets priority 1)
+        /// </summary>
+        /// <param name="orderedRuleIds">Rule ids in their new order; rules not listed keep their relative order after them</param>
+        public void ReorderFilterRules(IReadOnlyList<string> orderedRuleIds)
+        {
+            var listed = orderedRuleIds
+                .Select(id => _ruleIndex.TryGetValue(id, out var rule) ? rule : null)
+                .OfType<FilterRule>()
+                .Distinct()
+                .ToList();
+            var remaining = _filterRules
+                .Except(listed)
+                .OrderBy(r => r.Priority);
+
+            var priority = 1;
+            foreach (var rule in listed.Concat(remaining))
+            {
+                rule.Priority = priority++;
+            }
+
+            ClearCache();
+            SaveConfiguration();
+        }
+        
         private void ClearCache()
         {
             _urlCache.Clear();
@@ -340,6 +559,7 @@ namespace PocketFence_Simple.Services
         {
             if (_blockedDomains.Remove(domain.ToLowerInvariant()))
             {
+                _domainCategories.Remove(domain);
                 ClearCache();
                 SaveConfiguration();
             }
@@ -350,14 +570,78 @@ namespace PocketFence_Simple.Services
             return _blockedDomains.ToList();
         }
 
+        /// <summary>
+        /// Add many blocked domains with a single save. Domains already on the list are left unchanged.
+        /// </summary>
+        /// <returns>The domains that were newly added</returns>
+        public List<string> AddBlockedDomains(IEnumerable<(string Domain, string? Category)> entries)
+        {
+            var added = new List<string>();
+            foreach (var (domain, category) in entries)
+            {
+                var normalized = domain.ToLowerInvariant();
+                if (!_blockedDomains.Add(normalized))
+                    continue;
+
+                if (!string.IsNullOrWhiteSpace(category))
+                    _domainCategories[normalized] = category.Trim().ToLowerInvariant();
+                added.Add(normalized);
+            }
+
+            if (added.Count > 0)
+            {
+                ClearCache();
+                SaveConfiguration();
+            }
+            return added;
+        }
+
+        /// <summary>
+        /// Remove many blocked domains with a single save
+        /// </summary>
+        /// <returns>The domains that were on the list and have been removed</returns>
+        public List<string> RemoveBlockedDomains(IEnumerable<string> domains)
+        {
+            var removed = new List<string>();
+            foreach (var domain in domains)
+            {
+                var normalized = domain.ToLowerInvariant();
+                if (_blockedDomains.Remove(normalized))
+                {
+                    _domainCategories.Remove(normalized);
+                    removed.Add(normalized);
+                }
+            }
+
+            if (removed.Count > 0)
+            {
+                ClearCache();
+                SaveConfiguration();
+            }
+            return removed;
+        }
+
+        /// <summary>
+        /// Blocked domains with their category, if one was imported
+        /// </summary>
+        public List<(string Domain, string? Category)> GetBlockedDomainEntries()
+        {
+            return _blockedDomains
+                .OrderBy(d => d, StringComparer.OrdinalIgnoreCase)
+                .Select(d => (d, _domainCategories.TryGetValue(d, out var category) ? category : null))
+                .ToList();
+        }
+
         private void SaveConfiguration()
         {
             try
             {
                 var config = new
                 {
+                    IsEnabled = _isEnabled,
                     FilterRules = _filterRules,
                     BlockedDomains = _blockedDomains,
+                    DomainCategories = _domainCategories,
                     MaliciousCategories = _maliciousCategories
                 };
                 
@@ -381,11 +665,35 @@ namespace PocketFence_Simple.Services
                 if (File.Exists(_configPath))
                 {
                     var json = File.ReadAllText(_configPath);
-                    var config = JsonSerializer.Deserialize<dynamic>(json);
+                    var config = JsonSerializer.Deserialize<FilterConfiguration>(json);
                     
-                    // Load saved configuration
-                    // Note: In a real implementation, you'd properly deserialize the JSON
-                    // This is simplified for the example
+                    // Saved configuration replaces the defaults; a missing section keeps them
+                    if (config?.IsEnabled is { } isEnabled)
+                    {
+                        _isEnabled = isEnabled;
+                    }
+                    if (config?.FilterRules is { } rules)
+                    {
+                        _filterRules.Clear();
+                        _filterRules.AddRange(rules);
+                    }
+                    if (config?.BlockedDomains is { } domains)
+                    {
+                        _blockedDomains.Clear();
+                        _blockedDomains.UnionWith(domains);
+                    }
+                    if (config?.DomainCategories is { } domainCategories)
+                    {
+                        foreach (var (domain, category) in domainCategories.Where(c => _blockedDomains.Contains(c.Key)))
+                        {
+                            _domainCategories[domain] = category;
+                        }
+                    }
+                    if (config?.MaliciousCategories is { } categories)
+                    {
+                        _maliciousCategories.Clear();
+                        _maliciousCategories.UnionWith(categories);
+                    }
                 }
                 
                 // Rebuild the rule index for O(1) lookups
@@ -431,4 +739,13 @@ namespace PocketFence_Simple.Services
             }
         }
     }
-}
\ No newline at end of file
+
+    internal class FilterConfiguration
+    {
+        public bool? IsEnabled { get; set; }
+        public List<FilterRule>? FilterRules { get; set; }
+        public List<string>? BlockedDomains { get; set; }
+        public Dictionary<string, string>? DomainCategories { get; set; }
+        public List<string>? MaliciousCategories { get; set; }
+    }
+}
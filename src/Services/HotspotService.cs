@@ -4,28 +4,53 @@ using System.Management;
 using System.Net;
 using System.Net.NetworkInformation;
 using System.Runtime.InteropServices;
+using System.Security.Cryptography;
 using PocketFence_Simple.Models;
 
 namespace PocketFence_Simple.Services
 {
-    public class HotspotService
+    public class HotspotService : IDisposable
     {
         private readonly INetworkModeService _networkModeService;
         private bool _isHotspotEnabled = false;
         private readonly Dictionary<string, ConnectedDevice> _deviceCache = new(); // O(1) device lookup by MAC
         private Timer? _statusMonitor; // Monitor hotspot status to detect unexpected shutdowns
+        private readonly Dictionary<string, DeviceSettings> _deviceSettings = new(StringComparer.OrdinalIgnoreCase); // Saved settings by MAC
+        private readonly object _settingsLock = new();
+        private readonly object _fileLock = new(); // Taken before _settingsLock, never after
+        private readonly Timer _saveTimer;
+        private bool _savePending; // Guarded by _settingsLock
+        private readonly string _settingsPath;
+        private readonly string _credentialsPath;
+        private HotspotCredentials? _credentials;
+        private const int MaxBlockedHistory = 200;
+        private static readonly TimeSpan SaveDelay = TimeSpan.FromSeconds(5);
         
         public HotspotService(INetworkModeService networkModeService)
         {
             _networkModeService = networkModeService;
+            _settingsPath = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "device_settings.json");
+            _credentialsPath = Path.Combine(AppDomain.CurrentDomain.BaseDirectory, "hotspot_credentials.json");
+            _saveTimer = new Timer(_ => WriteDeviceSettings());
+            LoadDeviceSettings();
         }
         
         public event EventHandler<string>? HotspotStatusChanged;
         public event EventHandler<ConnectedDevice>? DeviceConnected;
         public event EventHandler<ConnectedDevice>? DeviceDisconnected;
+        public event EventHandler<ConnectedDevice>? DeviceAccessChanged;
         
         public bool IsActive => _isHotspotEnabled;
 
+        /// <summary>
+        /// Enable the hotspot with the saved network name and password
+        /// </summary>
+        public Task<bool> EnableHotspotAsync()
+        {
+            var credentials = GetHotspotCredentials();
+            return EnableHotspotAsync(credentials.Ssid, credentials.Password);
+        }
+
         public async Task<bool> EnableHotspotAsync(string ssid, string password)
         {
             try
@@ -173,9 +198,21 @@ namespace PocketFence_Simple.Services
                             device.BlockedSites = existingDevice.BlockedSites;
                             device.Category = existingDevice.Category;
                         }
+                        else if (_deviceSettings.TryGetValue(device.MacAddress, out var settings))
+                        {
+                            // First sighting since startup - restore what the parent configured
+                            ApplySettings(device, settings);
+                        }
                         device.LastSeen = DateTime.Now;
                         _deviceCache[device.MacAddress] = device;
                     }
+                    
+                    // Devices missing from the ARP table stay known but are reported offline
+                    var currentMacs = devices.Select(d => d.MacAddress).ToHashSet();
+                    foreach (var cachedDevice in _deviceCache.Values)
+                    {
+                        cachedDevice.IsOnline = currentMacs.Contains(cachedDevice.MacAddress);
+                    }
                 }
             }
             catch (Exception ex)
@@ -544,6 +581,239 @@ namespace PocketFence_Simple.Services
             return _deviceCache.TryGetValue(macAddress, out var device) ? device : null;
         }
 
+        /// <summary>
+        /// Get every device seen since startup, including ones that have since disconnected
+        /// </summary>
+        /// <returns>Known devices with IsOnline reflecting the latest scan</returns>
+        public IReadOnlyList<ConnectedDevice> GetKnownDevices()
+        {
+            return _deviceCache.Values.ToList();
+        }
+
+        /// <summary>
+        /// Block or restore internet access for a device
+        /// </summary>
+        /// <param name="macAddress">MAC address of the device</param>
+        /// <param name="isBlocked">True to block the device, false to allow it</param>
+        /// <returns>The updated device, or null if the device is unknown</returns>
+        public ConnectedDevice? SetDeviceBlocked(string macAddress, bool isBlocked)
+        {
+            if (!_deviceCache.TryGetValue(macAddress, out var device))
+                return null;
+
+            if (device.IsBlocked != isBlocked)
+            {
+                device.IsBlocked = isBlocked;
+                SaveDeviceSettings(device);
+                DeviceAccessChanged?.Invoke(this, device);
+            }
+
+            return device;
+        }
+
+        /// <summary>
+        /// Update parent-managed device settings and persist them
+        /// </summary>
+        /// <param name="macAddress">MAC address of the device</param>
+        /// <returns>The updated device, or null if the device is unknown</returns>
+        public ConnectedDevice? UpdateDeviceSettings(string macAddress, string? deviceName, DeviceCategory? category, bool? isChildDevice, bool? isFiltered)
+        {
+            if (!_deviceCache.TryGetValue(macAddress, out var device))
+                return null;
+
+            if (!string.IsNullOrWhiteSpace(deviceName))
+                device.DeviceName = deviceName.Trim();
+            if (category.HasValue)
+                device.Category = category.Value;
+            if (isChildDevice.HasValue)
+                device.IsChildDevice = isChildDevice.Value;
+            if (isFiltered.HasValue)
+                device.IsFiltered = isFiltered.Value;
+
+            SaveDeviceSettings(device);
+            return device;
+        }
+
+        /// <summary>
+        /// Add a blocked request to the device's history. Called on the traffic path, so the history is saved
+        /// at most once per <see cref="SaveDelay"/>
+        /// </summary>
+        public void RecordBlockedSite(BlockedSite site)
+        {
+            if (string.IsNullOrEmpty(site.DeviceMac))
+                return;
+
+            lock (_settingsLock)
+            {
+                var settings = GetOrCreateSettings(site.DeviceMac);
+                settings.BlockedHistory.Add(site);
+                if (settings.BlockedHistory.Count > MaxBlockedHistory)
+                    settings.BlockedHistory.RemoveRange(0, settings.BlockedHistory.Count - MaxBlockedHistory);
+
+                // Replaced rather than changed, so an API response already listing the old sites isn't disturbed
+                if (_deviceCache.TryGetValue(site.DeviceMac, out var device))
+                    device.BlockedSites = [.. device.BlockedSites.TakeLast(MaxBlockedHistory - 1), site.Url];
+
+                ScheduleSave();
+            }
+        }
+
+        /// <summary>
+        /// Get the blocked request history for a device, newest first
+        /// </summary>
+        public List<BlockedSite> GetBlockedSites(string macAddress)
+        {
+            lock (_settingsLock)
+            {
+                return _deviceSettings.TryGetValue(macAddress, out var settings)
+                    ? settings.BlockedHistory.AsEnumerable().Reverse().ToList()
+                    : new List<BlockedSite>();
+            }
+        }
+
+        /// <summary>
+        /// MAC addresses of devices saved as blocked, so enforcement can be restored at startup
+        /// </summary>
+        public List<string> GetBlockedDeviceMacs()
+        {
+            lock (_settingsLock)
+            {
+                return _deviceSettings.Values.Where(s => s.IsBlocked).Select(s => s.MacAddress).ToList();
+            }
+        }
+
+        private static void ApplySettings(ConnectedDevice device, DeviceSettings settings)
+        {
+            if (!string.IsNullOrWhiteSpace(settings.DeviceName))
+                device.DeviceName = settings.DeviceName;
+            device.Category = settings.Category;
+            device.IsChildDevice = settings.IsChildDevice;
+            device.IsFiltered = settings.IsFiltered;
+            device.IsBlocked = settings.IsBlocked;
+            device.BlockedSites = settings.BlockedHistory.Select(b => b.Url).ToList();
+        }
+
+        private DeviceSettings GetOrCreateSettings(string macAddress)
+        {
+            if (!_deviceSettings.TryGetValue(macAddress, out var settings))
+            {
+                settings = new DeviceSettings { MacAddress = macAddress };
+                _deviceSettings[macAddress] = settings;
+            }
+            return settings;
+        }
+
+        private void SaveDeviceSettings(ConnectedDevice device)
+        {
+            lock (_settingsLock)
+            {
+                var settings = GetOrCreateSettings(device.MacAddress);
+                settings.DeviceName = device.DeviceName;
+                settings.Category = device.Category;
+                settings.IsChildDevice = device.IsChildDevice;
+                settings.IsFiltered = device.IsFiltered;
+                settings.IsBlocked = device.IsBlocked;
+            }
+
+            WriteDeviceSettings();
+        }
+
+        // Called with _settingsLock held
+        private void ScheduleSave()
+        {
+            if (_savePending) return;
+            _savePending = true;
+            _saveTimer.Change(SaveDelay, Timeout.InfiniteTimeSpan);
+        }
+
+        private void WriteDeviceSettings()
+        {
+            // The snapshot is taken inside the file lock so an older one can never be written over a newer one
+            lock (_fileLock)
+            {
+                try
+                {
+                    string json;
+                    lock (_settingsLock)
+                    {
+                        _savePending = false;
+                        json = JsonSerializer.Serialize(_deviceSettings.Values, new JsonSerializerOptions { WriteIndented = true });
+                    }
+                    File.WriteAllText(_settingsPath, json);
+                }
+                catch (Exception ex)
+                {
+                    System.Diagnostics.Debug.WriteLine($"Error saving device settings: {ex.Message}");
+                }
+            }
+        }
+
+        /// <summary>
+        /// Saved hotspot credentials; a name and random password are generated and saved on first use
+        /// </summary>
+        public HotspotCredentials GetHotspotCredentials()
+        {
+            lock (_settingsLock)
+            {
+                if (_credentials is not null)
+                    return _credentials;
+
+                try
+                {
+                    if (File.Exists(_credentialsPath))
+                    {
+                        _credentials = JsonSerializer.Deserialize<HotspotCredentials>(File.ReadAllText(_credentialsPath));
+                    }
+                }
+                catch (Exception ex)
+                {
+                    System.Diagnostics.Debug.WriteLine($"Error loading hotspot credentials: {ex.Message}");
+                }
+
+                if (string.IsNullOrEmpty(_credentials?.Ssid) || string.IsNullOrEmpty(_credentials.Password))
+                {
+                    _credentials = new HotspotCredentials
+                    {
+                        Ssid = $"PocketFence-{RandomNumberGenerator.GetHexString(4)}",
+                        // No look-alike characters, so the password can be typed from the screen
+                        Password = RandomNumberGenerator.GetString("abcdefghjkmnpqrstuvwxyz23456789", 12)
+                    };
+
+                    try
+                    {
+                        File.WriteAllText(_credentialsPath, JsonSerializer.Serialize(_credentials, new JsonSerializerOptions { WriteIndented = true }));
+                    }
+                    catch (Exception ex)
+                    {
+                        System.Diagnostics.Debug.WriteLine($"Error saving hotspot credentials: {ex.Message}");
+                    }
+                }
+
+                return _credentials;
+            }
+        }
+
+        private void LoadDeviceSettings()
+        {
+            try
+            {
+                if (!File.Exists(_settingsPath))
+                    return;
+
+                var json = File.ReadAllText(_settingsPath);
+                var saved = JsonSerializer.Deserialize<List<DeviceSettings>>(json) ?? new List<DeviceSettings>();
+                foreach (var settings in saved.Where(s => !string.IsNullOrEmpty(s.MacAddress)))
+                {
+                    _deviceSettings[settings.MacAddress] = settings;
+                }
+            }
+            catch (Exception ex)
+            {
+                // Invalid file - start with no saved settings rather than failing startup
+                System.Diagnostics.Debug.WriteLine($"Error loading device settings: {ex.Message}");
+            }
+        }
+
         /// <summary>
         /// Check if device is connected with O(1) lookup performance
         /// </summary>
@@ -640,6 +910,21 @@ namespace PocketFence_Simple.Services
             _statusMonitor = null;
         }
 
+        public void Dispose()
+        {
+            StopStatusMonitoring();
+
+            // Write blocked-site history still waiting for the timer
+            _saveTimer.Dispose();
+            bool pending;
+            lock (_settingsLock)
+            {
+                pending = _savePending;
+            }
+            if (pending)
+                WriteDeviceSettings();
+        }
+
         private async Task<bool> CheckActualHotspotStatus()
         {
             try
@@ -0,0 +1,250 @@
+using PocketFence_Simple.Hubs;
+using PocketFence_Simple.Models;
+
+namespace PocketFence_Simple.Services;
+
+/// <summary>
+/// Keeps 24 hours of network statistics for the network page: adapter throughput sampled every few seconds,
+/// and per-device and per-destination request counts from the traffic filter.
+/// Each sample is broadcast to the dashboard hub's network group.
+/// </summary>
+public sealed class NetworkStatsService : IDisposable
+{
+    private static readonly TimeSpan SampleInterval = TimeSpan.FromSeconds(5);
+    private static readonly TimeSpan BucketLength = TimeSpan.FromMinutes(1);
+    private static readonly TimeSpan Retention = TimeSpan.FromHours(24);
+    private const int MaxChartPoints = 120;
+    private const int TopCount = 10;
+
+    public static readonly IReadOnlyDictionary<string, TimeSpan> Ranges = new Dictionary<string, TimeSpan>
+    {
+        ["15m"] = TimeSpan.FromMinutes(15),
+        ["1h"] = TimeSpan.FromHours(1),
+        ["6h"] = TimeSpan.FromHours(6),
+        ["24h"] = TimeSpan.FromHours(24)
+    };
+
+    private readonly NetworkTrafficService _trafficService;
+    private readonly HotspotService _hotspotService;
+    private readonly IHubContext<DashboardHub> _hubContext;
+    private readonly ILogger<NetworkStatsService> _logger;
+    private readonly LinkedList<TrafficSample> _samples = new();   // Oldest first
+    private readonly LinkedList<RequestBucket> _buckets = new();   // Oldest first, one per minute
+    private readonly object _lock = new();
+    private readonly Timer _timer;
+    private (long BytesReceived, long BytesSent)? _lastCounters;
+    private DateTime _lastCountersAt;
+    private int _pendingAllowed;
+    private int _pendingBlocked;
+
+    public NetworkStatsService(
+        NetworkTrafficService trafficService,
+        HotspotService hotspotService,
+        IHubContext<DashboardHub> hubContext,
+        ILogger<NetworkStatsService> logger)
+    {
+        _trafficService = trafficService;
+        _hotspotService = hotspotService;
+        _hubContext = hubContext;
+        _logger = logger;
+
+        _trafficService.RequestProcessed += OnRequestProcessed;
+        _timer = new Timer(_ => Sample(), null, TimeSpan.Zero, SampleInterval);
+    }
+
+    /// <summary>
+    /// The most recent sample, or null before the second adapter reading
+    /// </summary>
+    public TrafficSample? GetLatestSample()
+    {
+        lock (_lock)
+        {
+            return _samples.Last?.Value;
+        }
+    }
+
+    /// <summary>
+    /// Statistics for one of the <see cref="Ranges"/>, with throughput averaged into at most
+    /// <see cref="MaxChartPoints"/> points
+    /// </summary>
+    public NetworkStats GetStats(string range)
+    {
+        var length = Ranges[range];
+        var to = DateTime.UtcNow;
+        var from = to - length;
+        var pointLength = TimeSpan.FromTicks(Math.Max(SampleInterval.Ticks, length.Ticks / MaxChartPoints));
+
+        lock (_lock)
+        {
+            var throughput = _samples
+                .Where(s => s.Timestamp > from)
+                .GroupBy(s => (s.Timestamp - from).Ticks / pointLength.Ticks)
+                .Select(g => new TrafficSample
+                {
+                    Timestamp = g.Last().Timestamp,
+                    BytesInPerSecond = g.Average(s => s.BytesInPerSecond),
+                    BytesOutPerSecond = g.Average(s => s.BytesOutPerSecond),
+                    AllowedRequests = g.Sum(s => s.AllowedRequests),
+                    BlockedRequests = g.Sum(s => s.BlockedRequests)
+                })
+                .ToList();
+
+            var buckets = _buckets.Where(b => b.Start + BucketLength > from).ToList();
+
+            var devices = buckets
+                .SelectMany(b => b.Devices)
+                .GroupBy(d => d.Key, StringComparer.OrdinalIgnoreCase)
+                .Select(g => new DeviceTraffic
+                {
+                    MacAddress = g.Key,
+                    DeviceName = _hotspotService.GetDeviceByMacAddress(g.Key)?.DeviceName ?? g.Key,
+                    Bytes = g.Sum(d => d.Value.Bytes),
+                    Requests = g.Sum(d => d.Value.Requests),
+                    BlockedRequests = g.Sum(d => d.Value.Blocked)
+                })
+                .OrderByDescending(d => d.Bytes)
+                .ThenByDescending(d => d.Requests)
+                .Take(TopCount)
+                .ToList();
+
+            var destinations = buckets
+                .SelectMany(b => b.Destinations)
+                .GroupBy(d => d.Key, StringComparer.OrdinalIgnoreCase)
+                .Select(g => new DestinationTraffic
+                {
+                    Domain = g.Key,
+                    Requests = g.Sum(d => d.Value.Requests),
+                    BlockedRequests = g.Sum(d => d.Value.Blocked)
+                })
+                .OrderByDescending(d => d.Requests)
+                .Take(TopCount)
+                .ToList();
+
+            return new NetworkStats
+            {
+                Range = range,
+                From = from,
+                To = to,
+                BucketSeconds = (int)pointLength.TotalSeconds,
+                IsMonitoring = _trafficService.IsMonitoring,
+                Throughput = throughput,
+                Devices = devices,
+                Destinations = destinations,
+                AllowedRequests = buckets.Sum(b => b.Allowed),
+                BlockedRequests = buckets.Sum(b => b.Blocked)
+            };
+        }
+    }
+
+    private void Sample()
+    {
+        try
+        {
+            var counters = _trafficService.GetInterfaceCounters();
+            var now = DateTime.UtcNow;
+            TrafficSample sample;
+
+            lock (_lock)
+            {
+                var previous = _lastCounters;
+                var seconds = (now - _lastCountersAt).TotalSeconds;
+                _lastCounters = counters;
+                _lastCountersAt = now;
+
+                // The first reading is only a baseline
+                if (previous is null || seconds <= 0)
+                    return;
+
+                // Counters restart when an adapter goes down; count that interval as idle rather than negative
+                sample = new TrafficSample
+                {
+                    Timestamp = now,
+                    BytesInPerSecond = Math.Max(0, counters.BytesReceived - previous.Value.BytesReceived) / seconds,
+                    BytesOutPerSecond = Math.Max(0, counters.BytesSent - previous.Value.BytesSent) / seconds,
+                    AllowedRequests = _pendingAllowed,
+                    BlockedRequests = _pendingBlocked
+                };
+                _pendingAllowed = 0;
+                _pendingBlocked = 0;
+
+                _samples.AddLast(sample);
+                while (_samples.First!.Value.Timestamp < now - Retention)
+                    _samples.RemoveFirst();
+                while (_buckets.First is { } oldest && oldest.Value.Start < now - Retention)
+                    _buckets.RemoveFirst();
+            }
+
+            _ = BroadcastAsync(sample);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to sample network traffic");
+        }
+    }
+
+    private void OnRequestProcessed(object? sender, TrafficRequest request)
+    {
+        var start = new DateTime(request.Timestamp.Ticks - request.Timestamp.Ticks % BucketLength.Ticks, DateTimeKind.Utc);
+
+        lock (_lock)
+        {
+            if (_buckets.Last?.Value.Start != start)
+                _buckets.AddLast(new RequestBucket(start));
+            var bucket = _buckets.Last!.Value;
+
+            var device = bucket.Devices.TryGetValue(request.DeviceMac, out var d) ? d : bucket.Devices[request.DeviceMac] = new Tally();
+            device.Requests++;
+            device.Bytes += request.Bytes;
+
+            var destination = bucket.Destinations.TryGetValue(request.Domain, out var t) ? t : bucket.Destinations[request.Domain] = new Tally();
+            destination.Requests++;
+
+            if (request.IsBlocked)
+            {
+                device.Blocked++;
+                destination.Blocked++;
+                bucket.Blocked++;
+                _pendingBlocked++;
+            }
+            else
+            {
+                bucket.Allowed++;
+                _pendingAllowed++;
+            }
+        }
+    }
+
+    private async Task BroadcastAsync(TrafficSample sample)
+    {
+        try
+        {
+            await DashboardHub.NotifyTrafficUpdated(_hubContext, sample);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to broadcast network traffic");
+        }
+    }
+
+    public void Dispose()
+    {
+        _timer.Dispose();
+        _trafficService.RequestProcessed -= OnRequestProcessed;
+    }
+
+    private sealed class RequestBucket(DateTime start)
+    {
+        public DateTime Start { get; } = start;
+        public Dictionary<string, Tally> Devices { get; } = new(StringComparer.OrdinalIgnoreCase);
+        public Dictionary<string, Tally> Destinations { get; } = new(StringComparer.OrdinalIgnoreCase);
+        public int Allowed { get; set; }
+        public int Blocked { get; set; }
+    }
+
+    private sealed class Tally
+    {
+        public int Requests { get; set; }
+        public int Blocked { get; set; }
+        public long Bytes { get; set; }
+    }
+}
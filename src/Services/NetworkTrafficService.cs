@@ -1,5 +1,7 @@
 using System.Diagnostics;
 using System.Net;
+using System.Net.NetworkInformation;
+using PocketFence_Simple.Models;
 
 namespace PocketFence_Simple.Services
 {
@@ -9,6 +11,7 @@ namespace PocketFence_Simple.Services
         private bool _isMonitoring = false;
         
         public event EventHandler<string>? TrafficMonitoringStatusChanged;
+        public event EventHandler<TrafficRequest>? RequestProcessed;
 
         public NetworkTrafficService(ContentFilterService contentFilter)
         {
@@ -163,7 +166,8 @@ namespace PocketFence_Simple.Services
                 var deviceMac = await GetMacAddressFromIp(clientIp);
                 
                 // Check if request should be blocked
-                if (_contentFilter.ShouldBlockRequest(url, deviceMac))
+                var isBlocked = _contentFilter.ShouldBlockRequest(url, deviceMac);
+                if (isBlocked)
                 {
                     // Block the request without disrupting the hotspot connection
                     await SendBlockedPageAsync(response, url);
@@ -176,6 +180,15 @@ namespace PocketFence_Simple.Services
                     response.StatusCode = 204; // No Content
                     response.Close();
                 }
+                
+                RequestProcessed?.Invoke(this, new TrafficRequest
+                {
+                    DeviceMac = deviceMac,
+                    Domain = request.Url?.Host ?? string.Empty,
+                    Url = url,
+                    IsBlocked = isBlocked,
+                    Bytes = Math.Max(0, request.ContentLength64) + (isBlocked ? response.ContentLength64 : 0)
+                });
             }
             catch (Exception ex)
             {
@@ -338,6 +351,34 @@ namespace PocketFence_Simple.Services
             }
         }
 
+        /// <summary>
+        /// Total bytes received and sent by all active network adapters since they came up
+        /// </summary>
+        public (long BytesReceived, long BytesSent) GetInterfaceCounters()
+        {
+            long received = 0, sent = 0;
+            
+            foreach (var adapter in NetworkInterface.GetAllNetworkInterfaces())
+            {
+                if (adapter.OperationalStatus != OperationalStatus.Up ||
+                    adapter.NetworkInterfaceType == NetworkInterfaceType.Loopback)
+                    continue;
+                
+                try
+                {
+                    var stats = adapter.GetIPStatistics();
+                    received += stats.BytesReceived;
+                    sent += stats.BytesSent;
+                }
+                catch (Exception ex)
+                {
+                    System.Diagnostics.Debug.WriteLine($"Error reading statistics for {adapter.Name}: {ex.Message}");
+                }
+            }
+            
+            return (received, sent);
+        }
+
         public bool IsMonitoring => _isMonitoring;
     }
 }
\ No newline at end of file
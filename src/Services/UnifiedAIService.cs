@@ -1,14 +1,18 @@
 using Microsoft.Extensions.Logging;
+using PocketFence_Simple.Hubs;
 
 namespace PocketFence_Simple.Services;
 
 /// <summary>
 /// Unified AI service that combines behavioral analysis, wellness monitoring, and content analysis
 /// </summary>
-public class UnifiedAIService(ILogger<UnifiedAIService> logger) : BackgroundService
+public class UnifiedAIService(ILogger<UnifiedAIService> logger, IHubContext<DashboardHub> hubContext) : BackgroundService
 {
-    private readonly Dictionary<string, DeviceProfile> _deviceProfiles = new();
-    private readonly Dictionary<string, List<ActivityLog>> _activityHistory = new();
+    // Keyed by device MAC address, in whatever case the caller used
+    private readonly Dictionary<string, DeviceProfile> _deviceProfiles = new(StringComparer.OrdinalIgnoreCase);
+    private readonly Dictionary<string, List<ActivityLog>> _activityHistory = new(StringComparer.OrdinalIgnoreCase);
+    private readonly Dictionary<string, string> _lastInsightSignatures = new(StringComparer.OrdinalIgnoreCase);
+    private readonly object _lock = new(); // Guards profiles and history: the API logs activity while the timer loop reads it
     
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
     {
@@ -16,20 +20,34 @@ public class UnifiedAIService(ILogger<UnifiedAIService> logger) : BackgroundServ
         
         while (await timer.WaitForNextTickAsync(stoppingToken))
         {
-            await UpdateDeviceProfiles();
-            await GenerateInsights();
+            // An exception escaping ExecuteAsync stops the host, so a failed tick is logged and the next one tried
+            try
+            {
+                await UpdateDeviceProfiles();
+                await GenerateInsights();
+            }
+            catch (Exception ex)
+            {
+                logger.LogError(ex, "Failed to update device insights");
+            }
         }
     }
     
     public async Task<DeviceInsights> GetDeviceInsightsAsync(string deviceId)
     {
-        if (!_deviceProfiles.ContainsKey(deviceId))
-            return new DeviceInsights { DeviceId = deviceId };
-            
-        var profile = _deviceProfiles[deviceId];
-        var recentActivity = _activityHistory.GetValueOrDefault(deviceId, [])
-            .Where(a => a.Timestamp > DateTime.Now.AddDays(-7))
-            .ToList();
+        DeviceProfile profile;
+        List<ActivityLog> recentActivity;
+        
+        lock (_lock)
+        {
+            if (!_deviceProfiles.TryGetValue(deviceId, out var savedProfile))
+                return new DeviceInsights { DeviceId = deviceId };
+                
+            profile = savedProfile with { };
+            recentActivity = _activityHistory.GetValueOrDefault(deviceId, [])
+                .Where(a => a.Timestamp > DateTime.Now.AddDays(-7))
+                .ToList();
+        }
             
         return new DeviceInsights
         {
@@ -43,20 +61,23 @@ public class UnifiedAIService(ILogger<UnifiedAIService> logger) : BackgroundServ
         };
     }
     
-    public async Task<ContentAnalysisResult> AnalyzeContentAsync(string content, string deviceId)
+    public async Task<ContentAnalysisResult> AnalyzeContentAsync(string content, string? deviceId)
     {
         var threatScore = CalculateSimpleThreatScore(content);
         var shouldBlock = threatScore > 0.7f;
         
-        // Log the activity
-        await LogActivity(deviceId, new ActivityLog
+        // Log the activity; content from an unknown device has no profile to count towards
+        if (deviceId is not null)
         {
-            Type = "ContentAccess",
-            Content = content.Length > 100 ? content[..100] + "..." : content,
-            ThreatScore = threatScore,
-            Timestamp = DateTime.Now,
-            Action = shouldBlock ? "Blocked" : "Allowed"
-        });
+            await LogActivity(deviceId, new ActivityLog
+            {
+                Type = "ContentAccess",
+                Content = content.Length > 100 ? content[..100] + "..." : content,
+                ThreatScore = threatScore,
+                Timestamp = DateTime.Now,
+                Action = shouldBlock ? "Blocked" : "Allowed"
+            });
+        }
         
         return new ContentAnalysisResult
         {
@@ -82,30 +103,39 @@ public class UnifiedAIService(ILogger<UnifiedAIService> logger) : BackgroundServ
     
     private async Task UpdateDeviceProfiles()
     {
-        foreach (var (deviceId, activities) in _activityHistory)
+        lock (_lock)
         {
-            var profile = _deviceProfiles.GetValueOrDefault(deviceId) ?? new DeviceProfile { DeviceId = deviceId };
-            
-            var recentActivities = activities.Where(a => a.Timestamp > DateTime.Now.AddDays(-7)).ToList();
-            
-            profile.TotalScreenTime += recentActivities
-                .Where(a => a.Type == "ScreenTime")
-                .Sum(a => a.Duration?.TotalMinutes ?? 0);
+            foreach (var (deviceId, activities) in _activityHistory)
+            {
+                var profile = _deviceProfiles.GetValueOrDefault(deviceId) ?? new DeviceProfile { DeviceId = deviceId };
                 
-            profile.AverageThreatScore = recentActivities
-                .Where(a => a.ThreatScore > 0)
-                .Select(a => a.ThreatScore)
-                .DefaultIfEmpty(0)
-                .Average();
+                var recentActivities = activities.Where(a => a.Timestamp > DateTime.Now.AddDays(-7)).ToList();
                 
-            profile.LastUpdated = DateTime.Now;
-            _deviceProfiles[deviceId] = profile;
+                profile.TotalScreenTime += recentActivities
+                    .Where(a => a.Type == "ScreenTime")
+                    .Sum(a => a.Duration?.TotalMinutes ?? 0);
+                    
+                profile.AverageThreatScore = recentActivities
+                    .Where(a => a.ThreatScore > 0)
+                    .Select(a => a.ThreatScore)
+                    .DefaultIfEmpty(0)
+                    .Average();
+                    
+                profile.LastUpdated = DateTime.Now;
+                _deviceProfiles[deviceId] = profile;
+            }
         }
     }
     
     private async Task GenerateInsights()
     {
-        foreach (var (deviceId, profile) in _deviceProfiles)
+        List<string> deviceIds;
+        lock (_lock)
+        {
+            deviceIds = _deviceProfiles.Keys.ToList();
+        }
+        
+        foreach (var deviceId in deviceIds)
         {
             var insights = await GetDeviceInsightsAsync(deviceId);
             
@@ -114,6 +144,29 @@ public class UnifiedAIService(ILogger<UnifiedAIService> logger) : BackgroundServ
                 logger.LogWarning("Device {DeviceId} needs attention: Wellness={WellnessScore}, Threat={ThreatLevel}", 
                     deviceId, insights.WellnessScore, insights.ThreatLevel);
             }
+            
+            await PublishInsightsIfChanged(insights);
+        }
+    }
+    
+    private async Task PublishInsightsIfChanged(DeviceInsights insights)
+    {
+        // LastActivity moves with every request, so only the parts a parent would notice count as a change
+        var signature = string.Join("|", insights.WellnessScore, insights.BehaviorPattern, insights.ThreatLevel,
+            (int)insights.ScreenTimeToday.TotalMinutes, string.Join(";", insights.Recommendations));
+        
+        if (_lastInsightSignatures.GetValueOrDefault(insights.DeviceId) == signature)
+            return;
+            
+        _lastInsightSignatures[insights.DeviceId] = signature;
+        
+        try
+        {
+            await DashboardHub.NotifyDeviceInsightsUpdated(hubContext, insights.DeviceId, insights);
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(ex, "Failed to publish insights for device {DeviceId}", insights.DeviceId);
         }
     }
     
@@ -231,14 +284,17 @@ public class UnifiedAIService(ILogger<UnifiedAIService> logger) : BackgroundServ
     
     private async Task LogActivity(string deviceId, ActivityLog activity)
     {
-        if (!_activityHistory.ContainsKey(deviceId))
-            _activityHistory[deviceId] = [];
+        lock (_lock)
+        {
+            if (!_activityHistory.ContainsKey(deviceId))
+                _activityHistory[deviceId] = [];
+                
+            _activityHistory[deviceId].Add(activity);
             
-        _activityHistory[deviceId].Add(activity);
-        
-        // Keep only last 1000 entries per device
-        if (_activityHistory[deviceId].Count > 1000)
-            _activityHistory[deviceId] = _activityHistory[deviceId].TakeLast(1000).ToList();
+            // Keep only last 1000 entries per device
+            if (_activityHistory[deviceId].Count > 1000)
+                _activityHistory[deviceId] = _activityHistory[deviceId].TakeLast(1000).ToList();
+        }
     }
     
     private async Task ApplyLocationRules(string deviceId, string location)
@@ -0,0 +1,79 @@
+using System.Text;
+using System.Text.Json.Serialization;
+
+namespace PocketFence_Simple.Services.iOS;
+
+[JsonConverter(typeof(JsonStringEnumConverter<WiFiSecurity>))]
+public enum WiFiSecurity
+{
+    None,
+    WEP,
+    WPA,
+    WPA2,
+    WPA3
+}
+
+/// <summary>
+/// Builds the WIFI: payload that phone cameras read from a join-network QR code, e.g.
+/// <c>WIFI:T:WPA;S:My\;Network;P:secret;H:true;;</c>. Special characters in the SSID and
+/// password are backslash-escaped so names containing ; , : \ or " survive intact.
+/// </summary>
+public static class WiFiQrPayload
+{
+    public static string Build(string ssid, string? password, WiFiSecurity security = WiFiSecurity.WPA2, bool hidden = false)
+    {
+        ArgumentException.ThrowIfNullOrEmpty(ssid);
+        if (security != WiFiSecurity.None && string.IsNullOrEmpty(password))
+        {
+            throw new ArgumentException($"A password is required for {security} networks", nameof(password));
+        }
+
+        var payload = new StringBuilder("WIFI:");
+        payload.Append("T:").Append(security switch
+        {
+            WiFiSecurity.None => "nopass",
+            WiFiSecurity.WEP => "WEP",
+            // WPA, WPA2 and WPA3 Personal all use the WPA type; the phone negotiates the rest
+            _ => "WPA"
+        }).Append(';');
+        payload.Append("S:").Append(Escape(ssid)).Append(';');
+
+        if (security != WiFiSecurity.None)
+        {
+            payload.Append("P:").Append(Escape(password!)).Append(';');
+        }
+
+        // Transition disable (WPA3 specification): don't fall back to WPA2 for this network
+        if (security == WiFiSecurity.WPA3)
+        {
+            payload.Append("R:1;");
+        }
+
+        if (hidden)
+        {
+            payload.Append("H:true;");
+        }
+
+        return payload.Append(';').ToString();
+    }
+
+    /// <summary>
+    /// Escape a field value. Values made only of hex digits are quoted so readers don't decode them as hex.
+    /// </summary>
+    public static string Escape(string value)
+    {
+        var escaped = new StringBuilder(value.Length);
+        foreach (var c in value)
+        {
+            if (c is '\\' or ';' or ',' or ':' or '"')
+            {
+                escaped.Append('\\');
+            }
+            escaped.Append(c);
+        }
+
+        return value.Length % 2 == 0 && value.All(Uri.IsHexDigit)
+            ? $"\"{escaped}\""
+            : escaped.ToString();
+    }
+}
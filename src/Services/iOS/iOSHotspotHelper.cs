@@ -1,6 +1,8 @@
 using System.Net;
 using System.Net.NetworkInformation;
-using System.Text.Json;
+using System.Security.Cryptography;
+using System.Text;
+using System.Xml.Linq;
 using PocketFence_Simple.Models;
 
 namespace PocketFence_Simple.Services.iOS;
@@ -9,7 +11,12 @@ public sealed class iOSHotspotHelper(ILogger<iOSHotspotHelper> logger)
 {
     private readonly Dictionary<string, iOSDeviceInfo> _iOSDevices = [];
     
-    public async ValueTask<iOSConnectionInfo> GenerateConnectionInfoAsync(string ssid, string password, CancellationToken cancellationToken = default)
+    public async ValueTask<iOSConnectionInfo> GenerateConnectionInfoAsync(
+        string ssid,
+        string password,
+        WiFiSecurity security = WiFiSecurity.WPA2,
+        bool hidden = false,
+        CancellationToken cancellationToken = default)
     {
         try
         {
@@ -26,8 +33,8 @@ public sealed class iOSHotspotHelper(ILogger<iOSHotspotHelper> logger)
                 HostIpAddress = hostIpAddress,
                 DashboardUrl = $"http://{hostIpAddress}:5000",
                 SecureDashboardUrl = $"https://{hostIpAddress}:5001",
-                QRCodeData = GenerateQRCodeData(ssid, password),
-                iOSWiFiProfile = GenerateiOSWiFiProfile(ssid, password),
+                QRCodeData = WiFiQrPayload.Build(ssid, password, security, hidden),
+                iOSWiFiProfile = GenerateiOSWiFiProfile(ssid, password, security, hidden),
                 ConnectionInstructions = GenerateConnectionInstructions(ssid, hostIpAddress)
             };
             
@@ -72,15 +79,20 @@ public sealed class iOSHotspotHelper(ILogger<iOSHotspotHelper> logger)
         }
     }
     
-    public async ValueTask<string> GenerateWiFiQRCodeAsync(string ssid, string password, CancellationToken cancellationToken = default)
+    public ValueTask<string> GenerateWiFiQRCodeAsync(
+        string ssid,
+        string? password,
+        WiFiSecurity security = WiFiSecurity.WPA2,
+        bool hidden = false,
+        CancellationToken cancellationToken = default)
     {
         try
         {
-            // Generate WiFi QR code in standard format: WIFI:T:WPA;S:ssid;P:password;;
-            var wifiString = $"WIFI:T:WPA;S:{ssid};P:{password};;";
+            // Standard join-network payload, e.g. WIFI:T:WPA;S:ssid;P:password;;
+            var wifiString = WiFiQrPayload.Build(ssid, password, security, hidden);
             
             logger.LogInformation("📱 Generated WiFi QR code for iOS devices");
-            return Convert.ToBase64String(System.Text.Encoding.UTF8.GetBytes(wifiString));
+            return ValueTask.FromResult(Convert.ToBase64String(System.Text.Encoding.UTF8.GetBytes(wifiString)));
         }
         catch (Exception ex)
         {
@@ -194,21 +206,76 @@ public sealed class iOSHotspotHelper(ILogger<iOSHotspotHelper> logger)
         };
     }
     
-    private static string GenerateQRCodeData(string ssid, string password)
+    /// <summary>
+    /// Configuration profile (.mobileconfig) with a single Wi-Fi payload. Identifiers are derived from the SSID,
+    /// so installing a newer profile for the same network replaces the old one instead of adding a second.
+    /// </summary>
+    private static string GenerateiOSWiFiProfile(string ssid, string password, WiFiSecurity security, bool hidden)
     {
-        return $"WIFI:T:WPA;S:{ssid};P:{password};;";
+        var profileId = new Guid(MD5.HashData(Encoding.UTF8.GetBytes($"pocketfence-profile:{ssid}")));
+        var wifiId = new Guid(MD5.HashData(Encoding.UTF8.GetBytes($"pocketfence-wifi:{ssid}")));
+
+        var wifiPayload = new List<object>
+        {
+            "AutoJoin", true,
+            "EncryptionType", security.ToString(),
+            "HIDDEN_NETWORK", hidden,
+            "SSID_STR", ssid
+        };
+        if (security != WiFiSecurity.None)
+        {
+            wifiPayload.AddRange(["Password", password]);
+        }
+        wifiPayload.AddRange([
+            "PayloadDisplayName", $"Wi-Fi ({ssid})",
+            "PayloadIdentifier", $"com.pocketfence.wifi.{wifiId}",
+            "PayloadType", "com.apple.wifi.managed",
+            "PayloadUUID", wifiId.ToString().ToUpperInvariant(),
+            "PayloadVersion", 1
+        ]);
+
+        var profile = PlistDict(
+            "PayloadContent", new XElement("array", PlistDict(wifiPayload.ToArray())),
+            "PayloadDescription", $"Joins the {ssid} Wi-Fi network provided by PocketFence.",
+            "PayloadDisplayName", $"PocketFence Wi-Fi ({ssid})",
+            "PayloadIdentifier", $"com.pocketfence.profile.{profileId}",
+            "PayloadOrganization", "PocketFence",
+            "PayloadRemovalDisallowed", false,
+            "PayloadType", "Configuration",
+            "PayloadUUID", profileId.ToString().ToUpperInvariant(),
+            "PayloadVersion", 1);
+
+        var document = new XDocument(
+            new XDeclaration("1.0", "UTF-8", null),
+            new XDocumentType("plist", "-//Apple//DTD PLIST 1.0//EN", "http://www.apple.com/DTDs/PropertyList-1.0.dtd", null),
+            new XElement("plist", new XAttribute("version", "1.0"), profile));
+
+        using var writer = new Utf8StringWriter();
+        document.Save(writer);
+        return writer.ToString();
     }
-    
-    private static string GenerateiOSWiFiProfile(string ssid, string password)
+
+    // Property list <dict> from alternating keys and values
+    private static XElement PlistDict(params object[] keysAndValues)
     {
-        // Generate a simplified iOS WiFi configuration
-        return JsonSerializer.Serialize(new
+        var dict = new XElement("dict");
+        for (var i = 0; i < keysAndValues.Length; i += 2)
         {
-            ssid,
-            password,
-            security = "WPA2",
-            autoConnect = true
-        });
+            dict.Add(new XElement("key", keysAndValues[i]));
+            dict.Add(keysAndValues[i + 1] switch
+            {
+                XElement element => element,
+                bool value => new XElement(value ? "true" : "false"),
+                int value => new XElement("integer", value),
+                var value => new XElement("string", value)
+            });
+        }
+        return dict;
+    }
+
+    private sealed class Utf8StringWriter : StringWriter
+    {
+        public override Encoding Encoding => Encoding.UTF8;
     }
     
     private static IEnumerable<string> GenerateConnectionInstructions(string ssid, string hostIpAddress)
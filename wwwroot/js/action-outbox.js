@@ -0,0 +1,99 @@
+// PocketFence offline action outbox
+// Control actions that could not reach the host are kept in localStorage and replayed, oldest first,
+// once the connection returns. Each action remembers the server state it was based on so replay
+// can notice when the same setting was changed somewhere else in the meantime.
+class ActionOutbox {
+    constructor(storageKey = 'pocketfence-outbox') {
+        this.storageKey = storageKey;
+        this.actions = this.read();
+        this.listeners = new Set();
+        this.replaying = false;
+
+        // Keep tabs in step when another one queues or replays an action
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.storageKey) return;
+            this.actions = this.read();
+            this.notify();
+        });
+    }
+
+    get size() {
+        return this.actions.length;
+    }
+
+    get(key) {
+        return this.actions.find(action => action.key === key) ?? null;
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Queue an action. A newer action for the same key replaces the queued one.
+     * @param {string} key - what the action controls, e.g. 'hotspot'
+     * @param {object} payload - what to send when replaying
+     * @param {*} baseline - the server state the user saw when queueing
+     */
+    enqueue(key, payload, baseline) {
+        this.actions = this.actions.filter(action => action.key !== key);
+        this.actions.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            key,
+            payload,
+            baseline,
+            queuedAt: new Date().toISOString()
+        });
+        this.write();
+    }
+
+    remove(key) {
+        this.actions = this.actions.filter(action => action.key !== key);
+        this.write();
+    }
+
+    /**
+     * Replay queued actions in order. The handler resolves to 'offline' to stop and keep the
+     * action; any other result ('done', 'conflict', 'failed') removes it.
+     * @param {(action: object) => Promise<string>} handler
+     */
+    async replay(handler) {
+        if (this.replaying) return;
+        this.replaying = true;
+
+        try {
+            for (const action of [...this.actions]) {
+                const result = await handler(action);
+                if (result === 'offline') break;
+
+                // Only drop this exact action; it may have been replaced while the handler ran
+                this.actions = this.actions.filter(queued => queued.id !== action.id);
+                this.write();
+            }
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) ?? [];
+        } catch {
+            return [];
+        }
+    }
+
+    write() {
+        if (this.actions.length) {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.actions));
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+        this.notify();
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.actions));
+    }
+}
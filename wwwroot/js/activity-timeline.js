@@ -0,0 +1,252 @@
+// PocketFence activity timeline
+// Activity history for the dashboard, newest first. Older entries are paged in from /api/dashboard/activity
+// as the list is scrolled, new ones arrive from the hub at the top, and every time shown is relative and
+// kept current. Entries can be filtered by device, event type and date range.
+class ActivityTimeline {
+    static pageSize = 30;
+
+    static typeLabels = {
+        DeviceConnected: 'Device connected',
+        DeviceDisconnected: 'Device disconnected',
+        ContentBlocked: 'Content blocked',
+        DeviceAccessChanged: 'Internet access changed'
+    };
+
+    constructor(element) {
+        this.element = element;
+        this.form = element.querySelector('.timeline-filters');
+        this.scroller = element.querySelector('.timeline-scroll');
+        this.list = element.querySelector('.timeline-list');
+        this.footer = element.querySelector('.timeline-footer');
+
+        this.filters = { device: '', type: '', from: '', to: '' };
+        this.ids = new Set();
+        this.count = 0;
+        this.cursor = null;         // id of the oldest entry shown; the next page starts below it
+        this.hasMore = true;
+        this.loading = false;
+        this.error = null;
+        this.generation = 0;        // bumped when filters change so late pages for old filters are dropped
+    }
+
+    static formatRelativeTime(timestamp) {
+        const seconds = Math.round((Date.now() - new Date(timestamp).getTime()) / 1000);
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) {
+            const minutes = Math.floor(seconds / 60);
+            return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+        }
+        if (seconds < 86400) {
+            const hours = Math.floor(seconds / 3600);
+            return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+        }
+        if (seconds < 7 * 86400) {
+            const days = Math.floor(seconds / 86400);
+            return days === 1 ? 'yesterday' : `${days} days ago`;
+        }
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    init() {
+        const typeSelect = this.form.elements.type;
+        insertHtml(typeSelect, 'beforeend', Object.entries(ActivityTimeline.typeLabels)
+            .map(([type, label]) => html`<option value="${type}">${label}</option>`));
+
+        this.form.addEventListener('change', () => this.applyFilters());
+        this.form.addEventListener('reset', () => setTimeout(() => this.applyFilters()));
+        this.footer.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="retry"]')) this.loadMore();
+        });
+
+        // Load the next page as the end of the list scrolls into view
+        this.observer = new IntersectionObserver((observed) => {
+            if (observed.some(entry => entry.isIntersecting)) this.loadMore();
+        }, { root: this.scroller, rootMargin: '200px' });
+        this.observer.observe(this.footer);
+
+        this.timesTimer = setInterval(() => this.refreshTimes(), 30000);
+
+        this.loadDevices();
+        this.renderFooter();
+    }
+
+    get isFiltered() {
+        return Object.values(this.filters).some(Boolean);
+    }
+
+    async loadDevices() {
+        try {
+            const response = await fetch('/api/devices');
+            if (!response.ok) return;
+
+            const { devices } = await response.json();
+            const select = this.form.elements.device;
+            insertHtml(select, 'beforeend', devices
+                .map(device => html`<option value="${device.macAddress}">${device.deviceName || device.macAddress}</option>`));
+        } catch (error) {
+            // The device filter just stays at "All devices"
+            console.warn('⚠️ Could not load devices for the activity filter:', error);
+        }
+    }
+
+    applyFilters() {
+        const fields = this.form.elements;
+        this.filters = {
+            device: fields.device.value,
+            type: fields.type.value,
+            from: fields.from.value,
+            to: fields.to.value
+        };
+
+        this.reset();
+        if (this.filters.from && this.filters.to && this.filters.from > this.filters.to) {
+            this.hasMore = false;
+            this.error = 'The start date is after the end date.';
+            this.renderFooter();
+            return;
+        }
+        this.loadMore();
+    }
+
+    reset() {
+        this.generation++;
+        this.ids.clear();
+        this.count = 0;
+        this.cursor = null;
+        this.hasMore = true;
+        this.loading = false;
+        this.error = null;
+        this.list.replaceChildren();
+        this.scroller.scrollTop = 0;
+    }
+
+    /**
+     * Merge the unfiltered first page loaded with the rest of the dashboard (also what the offline
+     * snapshot holds). Entries already shown are skipped, so repeated refreshes only add what is new.
+     */
+    mergeLatest(entries) {
+        if (this.isFiltered) return;
+
+        if (this.count === 0) {
+            this.addPage(entries);
+            return;
+        }
+        [...entries].reverse().forEach(entry => this.prepend(entry));
+    }
+
+    async loadMore() {
+        if (this.loading || !this.hasMore) return;
+
+        const generation = this.generation;
+        const params = new URLSearchParams({ limit: ActivityTimeline.pageSize });
+        if (this.cursor !== null) params.set('before', this.cursor);
+        if (this.filters.device) params.set('device', this.filters.device);
+        if (this.filters.type) params.set('type', this.filters.type);
+        // Date inputs are local calendar days; the range covers the whole of the "to" day
+        if (this.filters.from) params.set('from', new Date(`${this.filters.from}T00:00`).toISOString());
+        if (this.filters.to) {
+            const end = new Date(`${this.filters.to}T00:00`);
+            end.setDate(end.getDate() + 1);
+            params.set('to', end.toISOString());
+        }
+
+        this.loading = true;
+        this.error = null;
+        this.renderFooter();
+
+        try {
+            const response = await fetch(`/api/dashboard/activity?${params}`);
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            const entries = await response.json();
+
+            if (generation !== this.generation) return;
+            this.loading = false;
+            this.addPage(entries);
+        } catch (error) {
+            if (generation !== this.generation) return;
+            console.error('❌ Failed to load activity:', error);
+            this.loading = false;
+            this.error = `Could not load activity (${error.message}).`;
+            this.renderFooter();
+        }
+    }
+
+    addPage(entries) {
+        // The server has already filtered; checking again keeps demo fixtures honest too
+        const fresh = entries.filter(entry => !this.ids.has(entry.id) && this.matches(entry));
+        fresh.forEach(entry => this.ids.add(entry.id));
+        this.count += fresh.length;
+
+        if (entries.length > 0) {
+            this.cursor = Math.min(this.cursor ?? Infinity, ...entries.map(entry => entry.id));
+        }
+        this.hasMore = entries.length >= ActivityTimeline.pageSize;
+
+        insertHtml(this.list, 'beforeend', fresh.map(entry => this.renderEntry(entry)));
+        this.renderFooter();
+    }
+
+    // A new entry from the hub, shown at the top if it passes the current filters
+    prepend(entry) {
+        if (entry.id != null && this.ids.has(entry.id)) return;
+        if (!this.matches(entry)) return;
+
+        if (entry.id != null) this.ids.add(entry.id);
+        this.count++;
+        insertHtml(this.list, 'afterbegin', this.renderEntry(entry, true));
+        this.renderFooter();
+    }
+
+    // Events that happen in this browser only, such as replayed offline changes
+    addLocal(icon, message, device = 'System') {
+        this.prepend({ type: 'System', icon, message, device, timestamp: new Date().toISOString() });
+    }
+
+    matches(entry) {
+        const { device, type, from, to } = this.filters;
+        if (device && entry.deviceId?.toLowerCase() !== device.toLowerCase()) return false;
+        if (type && entry.type !== type) return false;
+
+        const time = new Date(entry.timestamp).getTime();
+        if (from && time < new Date(`${from}T00:00`).getTime()) return false;
+        if (to) {
+            const end = new Date(`${to}T00:00`);
+            end.setDate(end.getDate() + 1);
+            if (time >= end.getTime()) return false;
+        }
+        return true;
+    }
+
+    renderEntry(entry, isNew = false) {
+        return html`
+            <div class="activity-item${isNew ? ' new' : ''}">
+                <div class="activity-icon">${entry.icon}</div>
+                <div class="activity-content">
+                    <div>${entry.message}</div>
+                    <div class="activity-time">
+                        ${entry.device} •
+                        <time datetime="${entry.timestamp}" title="${new Date(entry.timestamp).toLocaleString()}">${ActivityTimeline.formatRelativeTime(entry.timestamp)}</time>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderFooter() {
+        if (this.error) {
+            setHtml(this.footer, html`${this.error} ${this.hasMore && html`<button class="btn-small" data-action="retry">Retry</button>`}`);
+        } else if (this.loading) {
+            this.footer.textContent = 'Loading activity…';
+        } else if (this.count === 0) {
+            this.footer.textContent = this.isFiltered ? '🔍 No activity matches these filters' : '📊 No recent activity';
+        } else {
+            this.footer.textContent = this.hasMore ? '' : 'Start of activity history';
+        }
+    }
+
+    refreshTimes() {
+        this.list.querySelectorAll('time[datetime]').forEach(time => {
+            time.textContent = ActivityTimeline.formatRelativeTime(time.dateTime);
+        });
+    }
+}
@@ -0,0 +1,174 @@
+// PocketFence AI actions log
+// Shows the audit trail from /api/aiactions: each automatic action taken by threat detection, self-healing or
+// notifications, with its reasoning and whether a parent later reversed it. The list can be filtered by device,
+// type and date, and the filtered log downloaded as CSV or JSON.
+class AIActionsLog {
+    static limit = 100;
+
+    static typeLabels = {
+        ThreatDetection: '🚨 Threat detection',
+        SelfHealing: '🩺 Self-healing',
+        Notification: '🔔 Notifications'
+    };
+
+    constructor(modal) {
+        this.modal = modal;
+        this.form = modal.querySelector('.ai-actions-filters');
+        this.container = modal.querySelector('#ai-actions-container');
+        this.generation = 0;    // bumped on each load so a slow response for old filters is dropped
+
+        insertHtml(this.form.elements.type, 'beforeend', Object.entries(AIActionsLog.typeLabels)
+            .map(([type, label]) => html`<option value="${type}">${label}</option>`));
+
+        this.form.addEventListener('change', () => this.load());
+        this.form.addEventListener('reset', () => setTimeout(() => this.load()));
+        this.form.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-format]');
+            if (button) this.export(button.dataset.format, button);
+        });
+
+        this.loadDevices();
+    }
+
+    open() {
+        this.modal.style.display = 'block';
+        this.load();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    async loadDevices() {
+        try {
+            const response = await fetch('/api/devices');
+            if (!response.ok) return;
+
+            const { devices } = await response.json();
+            insertHtml(this.form.elements.device, 'beforeend', devices
+                .map(device => html`<option value="${device.macAddress}">${device.deviceName || device.macAddress}</option>`));
+        } catch (error) {
+            // The device filter just stays at "All devices"
+            console.warn('⚠️ Could not load devices for the AI actions filter:', error);
+        }
+    }
+
+    // Date inputs are local calendar days; the range covers the whole of the "to" day
+    get filterParams() {
+        const { device, type, from, to } = this.form.elements;
+        const params = new URLSearchParams();
+        if (device.value) params.set('device', device.value);
+        if (type.value) params.set('type', type.value);
+        if (from.value) params.set('from', new Date(`${from.value}T00:00`).toISOString());
+        if (to.value) {
+            const end = new Date(`${to.value}T00:00`);
+            end.setDate(end.getDate() + 1);
+            params.set('to', end.toISOString());
+        }
+        return params;
+    }
+
+    async load() {
+        const generation = ++this.generation;
+        const { from, to } = this.form.elements;
+        if (from.value && to.value && from.value > to.value) {
+            setHtml(this.container, html`<p class="empty-state">The start date is after the end date.</p>`);
+            return;
+        }
+
+        setHtml(this.container, html`<p class="loading">Loading AI actions...</p>`);
+
+        const params = this.filterParams;
+        params.set('limit', AIActionsLog.limit);
+        try {
+            const response = await fetch(`/api/aiactions?${params}`);
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            const { total, entries } = await response.json();
+            if (generation !== this.generation) return;
+
+            this.render(total, entries);
+        } catch (error) {
+            console.error('❌ Failed to load AI actions:', error);
+            if (generation === this.generation) {
+                setHtml(this.container, html`<p class="empty-state">⚠️ Could not load the AI actions log.</p>`);
+            }
+        }
+    }
+
+    render(total, entries) {
+        if (!entries.length) {
+            setHtml(this.container, html`<p class="empty-state">No automatic actions match these filters.</p>`);
+            return;
+        }
+
+        setHtml(this.container, html`
+            ${total > entries.length && html`<p class="ai-actions-summary">Showing the latest ${entries.length} of ${total} actions. Export to see them all.</p>`}
+            ${entries.map(entry => html`
+                <div class="ai-action-item${entry.reversedAt && ' reversed'}">
+                    <div class="action-header">
+                        <div>
+                            <strong>${AIActionsLog.typeLabels[entry.type] ?? entry.type}</strong>
+                            <div class="action-meta">
+                                ${entry.deviceName ?? 'System-wide'} -
+                                <time datetime="${entry.timestamp}" title="${new Date(entry.timestamp).toLocaleString()}">${ActivityTimeline.formatRelativeTime(entry.timestamp)}</time>
+                            </div>
+                        </div>
+                        <div class="action-status">${entry.reversedAt ? 'Reversed by parent' : 'Executed'}</div>
+                    </div>
+                    <p>${entry.action}</p>
+                    <div class="action-justification">
+                        <strong>AI Reasoning:</strong> ${entry.reasoning}
+                    </div>
+                    ${entry.reversedAt && html`
+                        <div class="action-reversal">
+                            <strong>Reversed ${new Date(entry.reversedAt).toLocaleString()}:</strong> ${entry.reversalReason}
+                        </div>`}
+                </div>
+            `)}
+        `);
+    }
+
+    async export(format, button) {
+        const params = this.filterParams;
+        params.set('format', format);
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`/api/aiactions/export?${params}`);
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `Server responded with ${response.status}`);
+            }
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = `pocketfence-ai-actions.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (error) {
+            console.error('❌ AI actions export failed:', error);
+            alert(`Could not export the AI actions log: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Fill in the dashboard card's "automated today" count without opening the modal
+    static async refreshTodayCount() {
+        const element = document.getElementById('ai-actions');
+        if (!element) return;
+
+        const midnight = new Date();
+        midnight.setHours(0, 0, 0, 0);
+        try {
+            const response = await fetch(`/api/aiactions?from=${encodeURIComponent(midnight.toISOString())}&limit=1`);
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            const { total } = await response.json();
+            element.textContent = total;
+        } catch (error) {
+            console.error('❌ Failed to load AI action count:', error);
+        }
+    }
+}
@@ -0,0 +1,167 @@
+// PocketFence assistant chat
+// Sends questions to /api/assistant, which answers with navigation help, usage insights or safety guidance,
+// and shows earlier questions from the server's guidance history when the chat opens.
+// Answers are written out a few words at a time rather than appearing as one block.
+class AssistantChat {
+    static wordsPerFrame = 3;
+
+    static welcome = 'Hi! I can help you find your way around PocketFence, look at how your family\'s devices are being used, ' +
+        'and suggest ways to talk about online safety. What would you like to know?';
+
+    constructor(modal) {
+        this.modal = modal;
+        this.messages = modal.querySelector('#ai-chat-messages');
+        this.form = modal.querySelector('#ai-chat-form');
+        this.input = this.form.elements.question;
+        this.ageGroup = modal.querySelector('#ai-age-group');
+        this.busy = false;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const message = this.input.value.trim();
+            if (!message) return;
+            this.input.value = '';
+            this.ask({ message });
+        });
+
+        modal.querySelector('.ai-quick-actions').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-kind]');
+            if (!button) return;
+            // The label goes along as the question so the quick action shows up in the history too
+            this.ask({ message: button.textContent.trim(), kind: button.dataset.kind, topic: button.dataset.topic });
+        });
+    }
+
+    open() {
+        this.modal.style.display = 'block';
+        this.loadHistory();
+        this.input.focus();
+    }
+
+    async loadHistory() {
+        setHtml(this.messages, html`<p class="loading">Loading conversation...</p>`);
+
+        let history = [];
+        let failed = false;
+        try {
+            const response = await fetch('/api/assistant/history');
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            history = await response.json();
+        } catch (error) {
+            console.error('❌ Failed to load assistant history:', error);
+            failed = true;
+        }
+
+        this.messages.replaceChildren();
+        if (!history.length) {
+            this.addMessage('assistant', html`<div class="ai-message-text">${AssistantChat.welcome}</div>`);
+        }
+        history.forEach(reply => {
+            if (reply.question) this.addMessage('user', html`<div class="ai-message-text">${reply.question}</div>`, reply.timestamp);
+            this.addReply(reply, false);
+        });
+        if (failed) {
+            this.addMessage('assistant', html`<div class="ai-message-text">⚠️ Earlier conversation could not be loaded.</div>`);
+        }
+    }
+
+    async ask(request) {
+        if (this.busy) return;
+        this.busy = true;
+        this.form.querySelector('button').disabled = true;
+
+        this.addMessage('user', html`<div class="ai-message-text">${request.message}</div>`);
+        const typing = this.addMessage('assistant', html`<div class="ai-message-text ai-typing">Thinking…</div>`);
+
+        try {
+            const response = await fetch('/api/assistant/ask', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...request, ageGroup: this.ageGroup.value })
+            });
+            const reply = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(reply.error || `Server responded with ${response.status}`);
+
+            typing.remove();
+            await this.addReply(reply, true);
+        } catch (error) {
+            console.error('❌ Assistant request failed:', error);
+            setHtml(typing.querySelector('.ai-message-text'), html`⚠️ Sorry, I couldn't answer that: ${error.message}`);
+            typing.querySelector('.ai-message-text').classList.remove('ai-typing');
+        } finally {
+            this.busy = false;
+            this.form.querySelector('button').disabled = false;
+        }
+    }
+
+    addMessage(sender, body, timestamp = new Date().toISOString()) {
+        const message = document.createElement('div');
+        message.className = `ai-message ${sender}`;
+        setHtml(message, html`
+            <div class="ai-message-sender">${sender === 'user' ? 'You' : '🤖 AI Assistant'}</div>
+            ${body}
+            <div class="ai-message-time">${new Date(timestamp).toLocaleTimeString()}</div>
+        `);
+        this.messages.appendChild(message);
+        this.scrollToEnd();
+        return message;
+    }
+
+    // Write the content out progressively, then show the lists that go with it
+    async addReply(reply, animate) {
+        const message = this.addMessage('assistant', html`
+            <div class="ai-message-text"></div>
+            <div class="ai-reply-details" hidden>
+                ${this.renderList('What you can do', reply.actionItems)}
+                ${this.renderList('Warning signs to watch for', reply.warningSigns)}
+                ${this.renderList('Helpful resources', reply.resources)}
+            </div>
+        `, reply.timestamp);
+
+        const text = message.querySelector('.ai-message-text');
+        const details = message.querySelector('.ai-reply-details');
+
+        const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        if (!animate || reduceMotion) {
+            text.textContent = reply.content;
+        } else {
+            await this.typeOut(text, reply.content);
+        }
+
+        details.hidden = !details.children.length;
+        this.scrollToEnd();
+    }
+
+    typeOut(element, content) {
+        // Keep the whitespace between words so line breaks in the content survive
+        const parts = content.split(/(\s+)/);
+        let shown = 0;
+
+        return new Promise(resolve => {
+            const step = () => {
+                shown = Math.min(parts.length, shown + AssistantChat.wordsPerFrame * 2);
+                element.textContent = parts.slice(0, shown).join('');
+                this.scrollToEnd();
+                if (shown < parts.length) {
+                    requestAnimationFrame(step);
+                } else {
+                    resolve();
+                }
+            };
+            requestAnimationFrame(step);
+        });
+    }
+
+    renderList(title, items) {
+        return items?.length > 0 && html`
+            <div class="ai-reply-section">
+                <strong>${title}</strong>
+                <ul>${items.map(item => html`<li>${item}</li>`)}</ul>
+            </div>
+        `;
+    }
+
+    scrollToEnd() {
+        this.messages.scrollTop = this.messages.scrollHeight;
+    }
+}
@@ -0,0 +1,181 @@
+// PocketFence blocklist formats
+// Parses and writes blocked-domain lists as hosts files, AdBlock filter lists, plain text and CSV.
+const BlocklistFormats = {
+    formats: {
+        hosts: { label: 'Hosts file', extension: 'txt', mime: 'text/plain' },
+        adblock: { label: 'AdBlock list', extension: 'txt', mime: 'text/plain' },
+        plain: { label: 'Plain text', extension: 'txt', mime: 'text/plain' },
+        csv: { label: 'CSV with categories', extension: 'csv', mime: 'text/csv' }
+    },
+
+    // Names hosts files map to themselves; they are not blocklist entries
+    hostsIgnored: new Set([
+        'localhost', 'localhost.localdomain', 'local', 'broadcasthost',
+        'ip6-localhost', 'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix',
+        'ip6-allnodes', 'ip6-allrouters', 'ip6-allhosts', '0.0.0.0'
+    ]),
+
+    detect(text, fileName = '') {
+        if (/\.csv$/i.test(fileName)) return 'csv';
+
+        const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#') && !l.startsWith('!'));
+        const sample = lines.slice(0, 50);
+        if (/^\[adblock/i.test(text.trim()) || sample.some(l => l.startsWith('||'))) return 'adblock';
+        if (sample.some(l => /^(0\.0\.0\.0|127\.0\.0\.1|::1?)\s+/.test(l))) return 'hosts';
+        if (sample.some(l => l.includes(','))) return 'csv';
+        return 'plain';
+    },
+
+    /**
+     * Parse a blocklist file.
+     * @returns {{ entries: {domain: string, category: string|null, line: number}[], invalid: {line: number, text: string, reason: string}[], ignored: number }}
+     */
+    parse(text, format) {
+        const result = { entries: [], invalid: [], ignored: 0 };
+        const lines = text.split(/\r?\n/);
+
+        lines.forEach((raw, index) => {
+            const lineNumber = index + 1;
+            const line = raw.trim();
+            if (!line) return;
+
+            const parsed = this.parseLine(line, format, lineNumber);
+            if (parsed === null) return;                 // comment or header
+            if (parsed.ignored) {
+                result.ignored += parsed.ignored;
+                return;
+            }
+            if (parsed.error) {
+                result.invalid.push({ line: lineNumber, text: line, reason: parsed.error });
+                return;
+            }
+
+            for (const candidate of parsed.domains) {
+                const domain = this.normalizeDomain(candidate);
+                if (domain) {
+                    result.entries.push({ domain, category: parsed.category || null, line: lineNumber });
+                } else {
+                    result.invalid.push({ line: lineNumber, text: line, reason: `"${candidate}" is not a valid domain` });
+                }
+            }
+        });
+
+        return result;
+    },
+
+    parseLine(line, format, lineNumber) {
+        switch (format) {
+            case 'hosts': {
+                if (line.startsWith('#')) return null;
+                const [address, ...names] = line.split('#')[0].trim().split(/\s+/);
+                if (!names.length) return { error: 'Expected "address domain"' };
+                if (!/^(0\.0\.0\.0|127\.0\.0\.1|::1?|\d{1,3}(\.\d{1,3}){3})$/.test(address)) {
+                    return { error: `"${address}" is not an IP address` };
+                }
+                const domains = names.filter(name => !this.hostsIgnored.has(name.toLowerCase()));
+                return domains.length ? { domains } : { ignored: names.length };
+            }
+
+            case 'adblock': {
+                if (line.startsWith('!') || line.startsWith('[')) return null;
+                if (line.startsWith('@@')) return { error: 'Exception (allow) rules are not supported' };
+                if (line.includes('##') || line.includes('#@#')) return { error: 'Element hiding rules are not supported' };
+
+                const match = /^\|\|([^\/^$|*]+)\^?(\$.*)?$/.exec(line);
+                if (!match) return { error: 'Only ||domain^ rules can be imported' };
+                return { domains: [match[1]] };
+            }
+
+            case 'csv': {
+                const [domain, category] = this.parseCsvLine(line);
+                if (lineNumber === 1 && /^(domain|host|hostname)$/i.test(domain)) return null;
+                if (!domain) return { error: 'Missing domain column' };
+                return { domains: [domain], category: category?.trim() || null };
+            }
+
+            default: {
+                if (line.startsWith('#')) return null;
+                const domain = line.split('#')[0].trim();
+                if (/\s/.test(domain)) return { error: 'Expected one domain per line' };
+                return { domains: [domain] };
+            }
+        }
+    },
+
+    parseCsvLine(line) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field.trim());
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field.trim());
+        return fields;
+    },
+
+    normalizeDomain(value) {
+        let domain = value.trim().toLowerCase().replace(/\.$/, '');
+        if (domain.startsWith('*.')) domain = domain.slice(2);
+
+        // Lets the browser convert international names to punycode (e.g. bücher.de -> xn--bcher-kva.de)
+        try {
+            domain = new URL(`http://${domain}`).hostname;
+        } catch {
+            return null;
+        }
+
+        const valid = domain.length <= 253
+            && /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/.test(domain);
+        return valid ? domain : null;
+    },
+
+    serialize(entries, format) {
+        const date = new Date().toISOString();
+        switch (format) {
+            case 'hosts':
+                return [
+                    `# PocketFence blocklist exported ${date}`,
+                    ...entries.map(e => `0.0.0.0 ${e.domain}`)
+                ].join('\n') + '\n';
+
+            case 'adblock':
+                return [
+                    '[Adblock Plus 2.0]',
+                    '! Title: PocketFence blocklist',
+                    `! Exported: ${date}`,
+                    ...entries.map(e => `||${e.domain}^`)
+                ].join('\n') + '\n';
+
+            case 'csv':
+                return [
+                    'domain,category',
+                    ...entries.map(e => `${e.domain},${this.csvField(e.category ?? '')}`)
+                ].join('\n') + '\n';
+
+            default:
+                return entries.map(e => e.domain).join('\n') + '\n';
+        }
+    },
+
+    csvField(value) {
+        return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+};
@@ -0,0 +1,223 @@
+// PocketFence blocked domains import/export (filters.html)
+// Files are parsed locally so the preview can show exactly what an import would change before anything is saved.
+class BlocklistManager {
+    constructor() {
+        this.entries = [];          // { domain, category } currently on the server
+        this.pendingImport = null;  // parsed file waiting for confirmation
+        this.lastImport = null;     // domains added by the last import, for undo
+
+        this.summary = document.getElementById('blocklist-summary');
+        this.preview = document.getElementById('import-preview');
+        this.status = document.getElementById('blocklist-status');
+        this.fileInput = document.getElementById('import-file');
+    }
+
+    static previewLimit = 50;
+
+    async init() {
+        document.getElementById('import-button').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => this.readFile(this.fileInput.files[0]));
+        document.getElementById('export-button').addEventListener('click', () => this.export());
+        this.preview.addEventListener('click', (e) => this.handlePreviewClick(e));
+        this.status.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="undo"]')) this.undo();
+        });
+
+        await this.load();
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/blocklist');
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            this.entries = await response.json();
+            this.renderSummary();
+        } catch (error) {
+            console.error('❌ Failed to load blocklist:', error);
+            this.summary.textContent = '⚠️ Could not load the blocked domain list.';
+        }
+    }
+
+    renderSummary() {
+        const categories = new Map();
+        this.entries.forEach(e => {
+            if (e.category) categories.set(e.category, (categories.get(e.category) || 0) + 1);
+        });
+
+        const breakdown = [...categories.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 6)
+            .map(([category, count]) => html` <span class="badge info">${category}: ${count}</span>`);
+
+        setHtml(this.summary, html`<strong>${this.entries.length.toLocaleString()}</strong> blocked domains${breakdown}`);
+    }
+
+    async readFile(file) {
+        if (!file) return;
+
+        const text = await file.text();
+        const selected = document.getElementById('import-format').value;
+        const format = selected === 'auto' ? BlocklistFormats.detect(text, file.name) : selected;
+        const parsed = BlocklistFormats.parse(text, format);
+
+        // Split the parsed entries into new domains and duplicates (already blocked, or repeated in the file)
+        const existing = new Set(this.entries.map(e => e.domain));
+        const seen = new Set();
+        const added = [];
+        const duplicates = [];
+        for (const entry of parsed.entries) {
+            if (existing.has(entry.domain) || seen.has(entry.domain)) {
+                duplicates.push(entry);
+            } else {
+                seen.add(entry.domain);
+                added.push(entry);
+            }
+        }
+
+        this.pendingImport = { fileName: file.name, format, added, duplicates, invalid: parsed.invalid, ignored: parsed.ignored };
+        this.fileInput.value = '';
+        this.renderPreview();
+    }
+
+    renderPreview() {
+        const pending = this.pendingImport;
+        if (!pending) {
+            this.preview.hidden = true;
+            this.preview.replaceChildren();
+            return;
+        }
+
+        const limit = BlocklistManager.previewLimit;
+        const more = (items) => items.length > limit && html`<li class="form-hint">…and ${(items.length - limit).toLocaleString()} more</li>`;
+
+        this.preview.hidden = false;
+        setHtml(this.preview, html`
+            <h3>Import preview: ${pending.fileName}</h3>
+            <p class="form-hint">Read as ${BlocklistFormats.formats[pending.format].label}</p>
+            <div class="import-counts">
+                <span class="badge success">${pending.added.length.toLocaleString()} new</span>
+                <span class="badge">${pending.duplicates.length.toLocaleString()} duplicates</span>
+                <span class="badge danger">${pending.invalid.length.toLocaleString()} invalid</span>
+                ${pending.ignored > 0 && html`<span class="badge">${pending.ignored.toLocaleString()} local entries skipped</span>`}
+            </div>
+            <details${pending.added.length ? ' open' : ''}>
+                <summary>New domains</summary>
+                <ul class="import-list">
+                    ${pending.added.slice(0, limit).map(e => html`
+                        <li>${e.domain}${e.category && html` <span class="badge info">${e.category}</span>`}</li>
+                    `)}
+                    ${more(pending.added)}
+                </ul>
+            </details>
+            <details>
+                <summary>Duplicates (will be skipped)</summary>
+                <ul class="import-list">
+                    ${pending.duplicates.slice(0, limit).map(e => html`<li>Line ${e.line}: ${e.domain}</li>`)}
+                    ${more(pending.duplicates)}
+                </ul>
+            </details>
+            <details${pending.invalid.length && !pending.added.length ? ' open' : ''}>
+                <summary>Invalid entries (will be skipped)</summary>
+                <ul class="import-list">
+                    ${pending.invalid.slice(0, limit).map(e => html`<li>Line ${e.line}: <code>${e.text}</code> – ${e.reason}</li>`)}
+                    ${more(pending.invalid)}
+                </ul>
+            </details>
+            <div class="form-actions">
+                <button class="btn success" data-action="confirm"${pending.added.length ? '' : ' disabled'}>Import ${pending.added.length.toLocaleString()} Domains</button>
+                <button class="btn secondary" data-action="cancel">Cancel</button>
+            </div>
+        `);
+    }
+
+    handlePreviewClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'confirm') {
+            this.confirmImport(button);
+        } else if (button.dataset.action === 'cancel') {
+            this.pendingImport = null;
+            this.renderPreview();
+        }
+    }
+
+    async confirmImport(button) {
+        const pending = this.pendingImport;
+        button.disabled = true;
+
+        try {
+            const response = await fetch('/api/blocklist/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ entries: pending.added.map(({ domain, category }) => ({ domain, category })) })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `Server responded with ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.lastImport = result.added;
+            this.pendingImport = null;
+            this.renderPreview();
+            await this.load();
+
+            const skipped = result.duplicates.length + result.invalid.length;
+            this.showStatus(
+                `Imported ${result.added.length.toLocaleString()} domains${skipped ? ` (${skipped.toLocaleString()} skipped by the server)` : ''}.`,
+                'success',
+                result.added.length > 0);
+        } catch (error) {
+            console.error('❌ Blocklist import failed:', error);
+            this.showStatus(`Import failed: ${error.message}`, 'error');
+            button.disabled = false;
+        }
+    }
+
+    async undo() {
+        if (!this.lastImport?.length) return;
+
+        try {
+            const response = await fetch('/api/blocklist/remove', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ domains: this.lastImport })
+            });
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+
+            const { removed } = await response.json();
+            this.lastImport = null;
+            await this.load();
+            this.showStatus(`Undone: removed ${removed.length.toLocaleString()} imported domains.`, 'success');
+        } catch (error) {
+            console.error('❌ Undo failed:', error);
+            this.showStatus(`Could not undo the import: ${error.message}`, 'error', true);
+        }
+    }
+
+    export() {
+        const format = document.getElementById('export-format').value;
+        const { extension, mime } = BlocklistFormats.formats[format];
+        const content = BlocklistFormats.serialize(this.entries, format);
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type: mime }));
+        link.download = `pocketfence-blocklist-${format}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    showStatus(message, type, undoable = false) {
+        this.status.className = `status-message ${type}`;
+        setHtml(this.status, html`${message}${undoable && html` <button class="btn small secondary" data-action="undo">Undo</button>`}`);
+        this.status.hidden = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new BlocklistManager().init();
+});
@@ -0,0 +1,108 @@
+// PocketFence browser notifications
+// Opt-in system notifications for the most urgent notification center categories: Critical threats, devices the
+// parent hasn't identified joining the hotspot, and attempts to get around filtering. They are shown through the
+// service worker, so they appear while the dashboard is in a background tab, and clicking one brings the dashboard
+// back and runs the notification's action. Which categories notify is remembered per browser.
+class BrowserNotifications {
+    static storageKey = 'pocketfence-browser-notifications';
+
+    // Keyed by the "categories" the server lists in a notification's data
+    static categories = {
+        'critical-threat': { label: '🚨 Critical threats', description: 'A device reaches a site the AI rated Critical, whether or not it was blocked' },
+        'unknown-device': { label: '📱 Unknown devices', description: 'A device you haven\'t identified joins the hotspot' },
+        'bypass-attempt': { label: '🔓 Bypass attempts', description: 'A device tries a VPN or proxy to get around filtering' }
+    };
+
+    static get supported() {
+        return 'Notification' in window && 'serviceWorker' in navigator;
+    }
+
+    constructor(connection) {
+        this.preferences = this.loadPreferences();
+
+        connection?.on('NotificationCreated', (notification) => this.show(notification));
+
+        // Sent by the service worker when a notification is clicked while this dashboard is open
+        navigator.serviceWorker?.addEventListener('message', (e) => {
+            if (e.data?.type === 'notification-action') {
+                NotificationCenter.run(e.data.action, e.data.parameters);
+            }
+        });
+    }
+
+    // 'unsupported', 'blocked' (the browser denied permission), 'on' or 'off'
+    get status() {
+        if (!BrowserNotifications.supported) return 'unsupported';
+        if (Notification.permission === 'denied') return 'blocked';
+        return this.preferences.enabled && Notification.permission === 'granted' ? 'on' : 'off';
+    }
+
+    isCategoryEnabled(category) {
+        return this.preferences.categories[category] ?? true;
+    }
+
+    // Must be called from a click: browsers only ask for permission in response to the user
+    async enable() {
+        const permission = await Notification.requestPermission();
+        this.preferences.enabled = permission === 'granted';
+        this.savePreferences();
+        return permission;
+    }
+
+    disable() {
+        this.preferences.enabled = false;
+        this.savePreferences();
+    }
+
+    setCategoryEnabled(category, enabled) {
+        this.preferences.categories[category] = enabled;
+        this.savePreferences();
+    }
+
+    async show(notification) {
+        // Shown when any of its categories is turned on
+        const categories = (notification.data?.categories ?? []).filter(c => c in BrowserNotifications.categories);
+        if (this.status !== 'on' || !categories.some(c => this.isCategoryEnabled(c))) {
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            // Tagged with the notification id, so several open dashboards show it only once
+            await registration.showNotification(notification.title, {
+                body: notification.message,
+                tag: notification.id,
+                timestamp: Date.parse(notification.timestamp),
+                requireInteraction: notification.priority === 'Critical',
+                actions: notification.actions.slice(0, 2).map(action => ({ action: action.id, title: action.label })),
+                data: { actions: notification.actions }
+            });
+        } catch (error) {
+            console.error('❌ Failed to show browser notification:', error);
+        }
+    }
+
+    // A dashboard opened from a notification gets its action in the URL fragment
+    static runActionFromUrl() {
+        const params = new URLSearchParams(location.hash.slice(1));
+        const action = params.get('notification-action');
+        if (!action) return;
+
+        params.delete('notification-action');
+        history.replaceState(null, '', location.pathname + location.search);
+        NotificationCenter.run(action, Object.fromEntries(params));
+    }
+
+    loadPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(BrowserNotifications.storageKey));
+            return { enabled: Boolean(saved?.enabled), categories: { ...saved?.categories } };
+        } catch {
+            return { enabled: false, categories: {} };
+        }
+    }
+
+    savePreferences() {
+        localStorage.setItem(BrowserNotifications.storageKey, JSON.stringify(this.preferences));
+    }
+}
@@ -0,0 +1,156 @@
+// PocketFence canvas charts
+// Small dependency-free charts for the secondary pages. Each chart keeps its last data
+// and redraws itself when its canvas is resized.
+class CanvasChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.data = null;
+
+        new ResizeObserver(() => this.data && this.draw()).observe(canvas);
+    }
+
+    render(data) {
+        this.data = data;
+        this.draw();
+    }
+
+    // Sizes the backing store for the device pixel ratio and returns the CSS size to draw in
+    prepare() {
+        const ratio = window.devicePixelRatio || 1;
+        const { width, height } = this.canvas.getBoundingClientRect();
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.context.clearRect(0, 0, width, height);
+        this.context.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        return { width, height };
+    }
+
+    static color(name) {
+        return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || name;
+    }
+}
+
+// Time series with one line per series.
+// data: { from, to, points: [{ time, values: [number, ...] }] }
+class LineChart extends CanvasChart {
+    constructor(canvas, options) {
+        super(canvas);
+        this.series = options.series;               // [{ label, color }]
+        this.formatValue = options.formatValue ?? (v => String(Math.round(v)));
+    }
+
+    draw() {
+        const ctx = this.context;
+        const { width, height } = this.prepare();
+        const { from, to, points } = this.data;
+        const padding = { top: 10, right: 12, bottom: 24, left: 72 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        if (plotWidth <= 0 || plotHeight <= 0) return;
+
+        const max = Math.max(1, ...points.flatMap(p => p.values)) * 1.1;
+        const x = time => padding.left + ((time - from) / (to - from)) * plotWidth;
+        const y = value => padding.top + plotHeight - (value / max) * plotHeight;
+
+        // Grid and value labels
+        ctx.strokeStyle = '#eee';
+        ctx.fillStyle = CanvasChart.color('--text-secondary');
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const value = (max / 4) * i;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y(value));
+            ctx.lineTo(width - padding.right, y(value));
+            ctx.stroke();
+            ctx.fillText(this.formatValue(value), padding.left - 8, y(value));
+        }
+
+        // Time labels
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const showDate = to - from > 12 * 60 * 60 * 1000;
+        for (let i = 0; i <= 4; i++) {
+            const time = from + ((to - from) / 4) * i;
+            const date = new Date(time);
+            const label = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            ctx.fillText(showDate && i === 0 ? `${date.toLocaleDateString([], { weekday: 'short' })} ${label}` : label,
+                Math.min(Math.max(x(time), padding.left + 20), width - padding.right - 20),
+                height - padding.bottom + 6);
+        }
+
+        if (points.length === 0) {
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No data for this period yet', padding.left + plotWidth / 2, padding.top + plotHeight / 2);
+            return;
+        }
+
+        this.series.forEach((series, index) => {
+            ctx.strokeStyle = CanvasChart.color(series.color);
+            ctx.lineWidth = 2;
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                const px = x(point.time);
+                const py = y(point.values[index]);
+                if (i === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+        });
+        ctx.lineWidth = 1;
+    }
+}
+
+// Share of a whole, drawn as a ring with the total in the middle.
+// data: [{ label, value, color }]
+class DonutChart extends CanvasChart {
+    draw() {
+        const ctx = this.context;
+        const { width, height } = this.prepare();
+        const radius = Math.min(width, height) / 2 - 4;
+        if (radius <= 0) return;
+
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const total = this.data.reduce((sum, segment) => sum + segment.value, 0);
+        ctx.lineWidth = radius * 0.35;
+
+        if (total === 0) {
+            ctx.strokeStyle = '#eee';
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius - ctx.lineWidth / 2, 0, Math.PI * 2);
+            ctx.stroke();
+        } else {
+            let start = -Math.PI / 2;
+            for (const segment of this.data) {
+                const angle = (segment.value / total) * Math.PI * 2;
+                ctx.strokeStyle = CanvasChart.color(segment.color);
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, radius - ctx.lineWidth / 2, start, start + angle);
+                ctx.stroke();
+                start += angle;
+            }
+        }
+
+        ctx.lineWidth = 1;
+        ctx.fillStyle = CanvasChart.color('--text-primary');
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `600 ${Math.round(radius * 0.3)}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+        ctx.fillText(total.toLocaleString(), centerX, centerY);
+    }
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(value >= 10 || unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
@@ -0,0 +1,231 @@
+// PocketFence real-time connection manager
+// Owns the SignalR hub connection: reconnects with exponential backoff,
+// reports live/reconnecting/offline status and restores hub group membership.
+// Falls back to PollingTransport when the SignalR client library failed to load.
+class DashboardConnection {
+    constructor(hubUrl = '/hub/dashboard', options = {}) {
+        this.hubUrl = hubUrl;
+        this.connection = null;
+        this.status = 'offline';
+        this.handlers = new Map();      // event name -> Set of handlers
+        this.groups = new Set();        // hub groups to (re)join after every connect
+        this.statusListeners = new Set();
+        this.retryAttempt = 0;
+        this.retryTimer = null;
+        this.nextRetryAt = null;
+        this.stopped = false;
+
+        this.baseDelay = options.baseDelay ?? 1000;
+        this.maxDelay = options.maxDelay ?? 30000;
+        this.offlineAfterAttempts = options.offlineAfterAttempts ?? 5;
+
+        // Retry immediately when the browser regains network access
+        window.addEventListener('online', () => this.retryNow());
+    }
+
+    on(eventName, handler) {
+        if (!this.handlers.has(eventName)) {
+            this.handlers.set(eventName, new Set());
+        }
+        this.handlers.get(eventName).add(handler);
+        this.connection?.on(eventName, handler);
+    }
+
+    off(eventName, handler) {
+        this.handlers.get(eventName)?.delete(handler);
+        this.connection?.off(eventName, handler);
+    }
+
+    onStatusChange(listener) {
+        this.statusListeners.add(listener);
+        listener(this.status, this);
+        return () => this.statusListeners.delete(listener);
+    }
+
+    get isLive() {
+        return this.status === 'live';
+    }
+
+    get transportName() {
+        return this.connection?.transportName ?? 'signalr';
+    }
+
+    async start() {
+        this.stopped = false;
+        if (!this.connection) {
+            this.connection = this.buildConnection();
+        }
+        await this.connect();
+    }
+
+    async stop() {
+        this.stopped = true;
+        this.clearRetryTimer();
+        if (this.connection) {
+            await this.connection.stop();
+        }
+        this.setStatus('offline');
+    }
+
+    buildConnection() {
+        let connection;
+        if (window.signalR) {
+            connection = new signalR.HubConnectionBuilder()
+                .withUrl(this.hubUrl)
+                .build();
+        } else {
+            console.warn('⚠️ SignalR client unavailable, falling back to API polling for live updates');
+            connection = new PollingTransport();
+        }
+
+        for (const [eventName, handlers] of this.handlers) {
+            handlers.forEach(handler => connection.on(eventName, handler));
+        }
+
+        connection.onclose((error) => {
+            if (this.stopped) return;
+            console.warn('⚠️ Real-time connection lost:', error || 'closed by server');
+            this.scheduleReconnect();
+        });
+
+        return connection;
+    }
+
+    async connect() {
+        this.clearRetryTimer();
+        if (this.retryAttempt > 0 && this.retryAttempt < this.offlineAfterAttempts) {
+            this.setStatus('reconnecting');
+        }
+
+        try {
+            await this.connection.start();
+            this.retryAttempt = 0;
+            await this.rejoinGroups();
+            this.setStatus('live');
+            console.log('🔄 Real-time connection established');
+        } catch (err) {
+            console.warn('⚠️ Real-time connection failed:', err);
+            this.scheduleReconnect();
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.stopped || this.retryTimer) return;
+
+        const delay = this.getRetryDelay(this.retryAttempt);
+        this.retryAttempt++;
+        this.nextRetryAt = Date.now() + delay;
+        this.setStatus(this.retryAttempt > this.offlineAfterAttempts ? 'offline' : 'reconnecting');
+
+        console.log(`⏳ Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.retryAttempt})`);
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    retryNow() {
+        if (this.stopped || this.isLive || !this.retryTimer) return;
+        this.clearRetryTimer();
+        this.connect();
+    }
+
+    getRetryDelay(attempt) {
+        // Exponential backoff with up to 20% jitter so dashboards don't reconnect in lockstep
+        const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+        return Math.round(exponential + exponential * 0.2 * Math.random());
+    }
+
+    clearRetryTimer() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this.nextRetryAt = null;
+    }
+
+    async joinGroup(groupName) {
+        this.groups.add(groupName);
+        if (this.isLive) {
+            await this.invokeSafely('JoinGroup', groupName);
+        }
+    }
+
+    async leaveGroup(groupName) {
+        this.groups.delete(groupName);
+        if (this.isLive) {
+            await this.invokeSafely('LeaveGroup', groupName);
+        }
+    }
+
+    async rejoinGroups() {
+        // Group membership is tied to the connection id, so it is lost on every reconnect
+        for (const groupName of this.groups) {
+            await this.invokeSafely('JoinGroup', groupName);
+        }
+    }
+
+    async invokeSafely(methodName, ...args) {
+        try {
+            return await this.connection.invoke(methodName, ...args);
+        } catch (err) {
+            console.warn(`⚠️ Hub call ${methodName} failed:`, err);
+            return undefined;
+        }
+    }
+
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.statusListeners.forEach(listener => listener(status, this));
+    }
+}
+
+// Header indicator showing the state of the real-time connection
+class ConnectionStatusIndicator {
+    constructor(elementId = 'connection-status') {
+        this.element = document.getElementById(elementId);
+        this.countdownTimer = null;
+    }
+
+    attach(connection) {
+        connection.onStatusChange((status) => this.render(status, connection));
+    }
+
+    render(status, connection) {
+        if (!this.element) return;
+
+        clearInterval(this.countdownTimer);
+        this.element.className = `connection-status ${status}`;
+
+        const label = this.element.querySelector('.connection-label');
+        const labels = {
+            live: 'Live',
+            reconnecting: 'Reconnecting…',
+            offline: 'Offline'
+        };
+        label.textContent = labels[status] || status;
+
+        if (status === 'live') {
+            const polling = connection.transportName === 'polling';
+            if (polling) {
+                label.textContent = 'Live (polling)';
+            }
+            this.element.title = polling
+                ? 'Real-time library could not be loaded. Updates are fetched every few seconds instead.'
+                : 'Receiving real-time updates';
+            return;
+        }
+
+        const updateTitle = () => {
+            const seconds = connection.nextRetryAt
+                ? Math.max(0, Math.ceil((connection.nextRetryAt - Date.now()) / 1000))
+                : null;
+            this.element.title = seconds !== null
+                ? `Real-time updates paused, retrying in ${seconds}s. Data refreshes every 30 seconds meanwhile.`
+                : 'Real-time updates paused. Data refreshes every 30 seconds meanwhile.';
+        };
+        updateTitle();
+        this.countdownTimer = setInterval(updateTitle, 1000);
+    }
+}
@@ -2,6 +2,13 @@
 class PocketFenceDashboard {
     constructor() {
         this.connection = null;
+        this.pollingTimer = null;
+        this.outbox = new ActionOutbox();
+        this.demo = false;
+        this.loaded = false;    // true once real (or demo) data has arrived
+        this.timeline = null;
+        this.notificationCenter = null;
+        this.browserNotifications = null;
         this.data = {
             hotspotEnabled: false,
             deviceCount: 0,
@@ -10,7 +17,6 @@ class PocketFenceDashboard {
             activeRules: 0,
             warningCount: 0,
             filterEnabled: true,
-            recentActivity: [],
             wellnessInsights: {},
             behaviorAnalysis: {},
             geofenceZones: [],
@@ -29,51 +35,112 @@ class PocketFenceDashboard {
 
     async init() {
         console.log('🚀 Initializing PocketFence Dashboard...');
-        
-        // Initialize SignalR connection for real-time updates
-        await this.initializeSignalR();
+
+        document.getElementById('load-error-retry')?.addEventListener('click', () => this.retryLoad());
+
+        const timelineElement = document.getElementById('activity-timeline');
+        if (timelineElement) {
+            this.timeline = new ActivityTimeline(timelineElement);
+            this.timeline.init();
+        }
+
+        this.demo = DemoMode.enabled;
+        if (this.demo) {
+            try {
+                await DemoMode.install();
+            } catch (error) {
+                console.error('❌ Failed to start demo mode:', error);
+                this.showLoadError(error.message);
+                return;
+            }
+            this.showDemoStatus();
+        } else {
+            // Initialize SignalR connection for real-time updates
+            await this.initializeSignalR();
+        }
+
+        this.browserNotifications = new BrowserNotifications(this.connection);
+        const bell = document.getElementById('notification-bell');
+        if (bell) {
+            this.notificationCenter = new NotificationCenter(bell, this.connection, this.browserNotifications);
+            this.notificationCenter.load();
+        }
         
         // Load initial data
-        await this.loadDashboardData();
+        await Promise.all([this.loadDashboardData(), this.loadFeatureFlags()]);
         
         // Update UI
         this.updateUI();
-        
-        // Set up periodic updates
-        setInterval(() => this.loadDashboardData(), 30000); // Update every 30 seconds
+
+        this.outbox.onChange(() => this.updateUI());
+        await this.replayOutbox();
+
+        BrowserNotifications.runActionFromUrl();
         
         console.log('✅ Dashboard initialized successfully');
     }
 
     async initializeSignalR() {
-        try {
-            this.connection = new signalR.HubConnectionBuilder()
-                .withUrl("/dashboardHub")
-                .build();
+        this.connection = new DashboardConnection('/hub/dashboard');
 
-            this.connection.on("DeviceConnected", (device) => {
-                this.handleDeviceUpdate('connected', device);
-            });
+        this.connection.on("DeviceConnected", (device) => {
+            this.handleDeviceUpdate('connected', device);
+        });
 
-            this.connection.on("DeviceDisconnected", (device) => {
-                this.handleDeviceUpdate('disconnected', device);
-            });
+        this.connection.on("DeviceDisconnected", (device) => {
+            this.handleDeviceUpdate('disconnected', device);
+        });
 
-            this.connection.on("ContentBlocked", (blockInfo) => {
-                this.handleContentBlocked(blockInfo);
-            });
+        this.connection.on("ContentBlocked", (blockInfo) => {
+            this.handleContentBlocked(blockInfo);
+        });
 
-            this.connection.on("StatsUpdated", (stats) => {
-                this.updateStats(stats);
-            });
+        this.connection.on("ActivityRecorded", (entry) => {
+            this.timeline?.prepend(entry);
+        });
+
+        this.connection.on("StatsUpdated", (stats) => {
+            this.updateStats(stats);
+        });
+
+        this.connection.on("SettingsChanged", (settings) => {
+            this.applyFeatureFlags(settings.features);
+        });
+
+        new ConnectionStatusIndicator('connection-status').attach(this.connection);
+        this.connection.onStatusChange((status) => this.handleConnectionStatus(status));
+
+        await this.connection.start();
+    }
+
+    handleConnectionStatus(status) {
+        if (status === 'live') {
+            this.replayOutbox();
 
-            await this.connection.start();
-            console.log('🔄 Real-time connection established');
-        } catch (err) {
-            console.warn('⚠️ Real-time connection failed, using polling mode:', err);
+            // Events may have been missed while disconnected, so catch up once
+            if (this.pollingTimer) {
+                this.stopPolling();
+                this.loadDashboardData();
+            }
+        } else {
+            this.startPolling();
         }
     }
 
+    startPolling() {
+        if (this.pollingTimer) return;
+        console.log('⚠️ Real-time updates unavailable, polling every 30 seconds');
+        this.pollingTimer = setInterval(() => {
+            this.loadDashboardData();
+            this.replayOutbox();
+        }, 30000);
+    }
+
+    stopPolling() {
+        clearInterval(this.pollingTimer);
+        this.pollingTimer = null;
+    }
+
     async loadDashboardData() {
         try {
             // Load data from API endpoints including network mode
@@ -84,30 +151,121 @@ class PocketFenceDashboard {
                 fetch('/api/networkmode/status')
             ]);
 
+            const failed = responses.find(r => !r.ok);
+            if (failed) throw new Error(`Server responded with ${failed.status}`);
+
             const [status, stats, activity, networkMode] = await Promise.all(
                 responses.map(r => r.json())
             );
 
+            // The service worker answers from its snapshot when the host can't be reached
+            const cachedAt = responses
+                .map(r => r.headers.get('X-PocketFence-Cached-At'))
+                .filter(Boolean)
+                .sort()[0];
+            this.showSnapshotMarker(cachedAt);
+
             // Update local data
             this.data = {
                 ...this.data,
                 ...status,
                 ...stats,
-                recentActivity: activity,
                 networkMode: networkMode  // Store network mode data
             };
 
+            this.loaded = true;
+            this.showLoadError(null);
+            this.timeline?.mergeLatest(activity);
+
             // Load unified insights for connected devices
             await this.loadUnifiedInsights();
 
             this.updateUI();
         } catch (error) {
             console.error('❌ Failed to load dashboard data:', error);
-            // Use mock data for demonstration
-            this.loadMockData();
+            this.showLoadError(error.message);
+            this.updateUI();
+        }
+    }
+
+    // Real failures are shown as such; the dashboard never fills in made-up numbers
+    showLoadError(message) {
+        const banner = document.getElementById('load-error');
+        if (!banner) return;
+
+        banner.hidden = !message;
+        if (message) {
+            banner.querySelector('.load-error-message').textContent = this.loaded
+                ? `Could not refresh dashboard data (${message}). Showing the last values received.`
+                : `Could not load dashboard data (${message}).`;
+        }
+    }
+
+    async retryLoad() {
+        const button = document.getElementById('load-error-retry');
+        button.disabled = true;
+        button.textContent = 'Retrying…';
+        try {
+            await this.loadDashboardData();
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Retry';
+        }
+    }
+
+    showDemoStatus() {
+        const status = document.getElementById('connection-status');
+        if (!status) return;
+
+        status.className = 'connection-status demo';
+        status.title = 'Demo mode: sample data, no connection to a PocketFence host';
+        status.querySelector('.connection-label').textContent = 'Demo';
+    }
+
+    showSnapshotMarker(cachedAt) {
+        const banner = document.getElementById('snapshot-banner');
+        if (!banner) return;
+
+        banner.hidden = !cachedAt;
+        if (!cachedAt) return;
+
+        const time = new Date(cachedAt);
+        const sameDay = time.toDateString() === new Date().toDateString();
+        const label = time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        banner.querySelector('time').dateTime = cachedAt;
+        banner.querySelector('time').textContent = sameDay
+            ? label
+            : `${time.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${label}`;
+    }
+
+    async loadFeatureFlags() {
+        try {
+            const response = await fetch('/api/settings/features');
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            this.applyFeatureFlags(await response.json());
+        } catch (error) {
+            // Leave every card visible rather than hiding features that may be on
+            console.warn('⚠️ Could not load feature flags:', error);
         }
     }
 
+    applyFeatureFlags(features) {
+        document.querySelectorAll('[data-feature]').forEach(element => {
+            element.hidden = features[element.dataset.feature] === false;
+        });
+
+        // Drop a section's title when none of its cards are left
+        document.querySelectorAll('.section-title').forEach(title => {
+            const section = title.nextElementSibling;
+            if (!section) return;
+
+            const cards = section.matches('[data-feature]') ? [section] : [...section.children];
+            const empty = cards.length > 0 && cards.every(card => card.hidden);
+            title.hidden = empty;
+            if (!section.matches('[data-feature]')) section.hidden = empty;
+        });
+    }
+
     async loadUnifiedInsights() {
         try {
             // For demo purposes, using mock device IDs
@@ -138,45 +296,6 @@ class PocketFenceDashboard {
         }
     }
 
-    loadMockData() {
-        this.data = {
-            hotspotEnabled: true,
-            deviceCount: 3,
-            blockedCount: 47,
-            dataUsage: 1.2,
-            activeRules: 12,
-            warningCount: 2,
-            filterEnabled: true,
-            recentActivity: [
-                {
-                    icon: '🚫',
-                    message: 'Blocked access to social-media.com',
-                    device: 'iPhone-12',
-                    time: '2 minutes ago'
-                },
-                {
-                    icon: '📱',
-                    message: 'New device connected: Android-Phone',
-                    device: 'Android-Phone',
-                    time: '5 minutes ago'
-                },
-                {
-                    icon: '🛡️',
-                    message: 'Added new filter rule: gaming sites',
-                    device: 'System',
-                    time: '10 minutes ago'
-                },
-                {
-                    icon: '⚠️',
-                    message: 'Suspicious activity detected',
-                    device: 'Laptop-01',
-                    time: '15 minutes ago'
-                }
-            ]
-        };
-        this.updateUI();
-    }
-
     updateUI() {
         console.log('🔄 Updating UI with hotspot state:', this.data.hotspotEnabled);
         console.log('📡 Network mode:', this.data.networkMode);
@@ -190,9 +309,10 @@ class PocketFenceDashboard {
         const hotspotButton = document.getElementById('hotspot-button');
         
         if (hotspotStatus && hotspotToggle) {
-            hotspotStatus.textContent = this.data.hotspotEnabled ? 'Enabled' : 'Disabled';
+            hotspotStatus.textContent = !this.loaded ? 'Unknown' : this.data.hotspotEnabled ? 'Enabled' : 'Disabled';
             hotspotToggle.classList.toggle('active', this.data.hotspotEnabled);
         }
+        this.updatePendingMarker('hotspot');
         
         if (hotspotButton) {
             const canCreateHotspot = this.data.networkMode?.canCreateHotspot !== false;
@@ -211,26 +331,42 @@ class PocketFenceDashboard {
             }
         }
 
+        // Counts stay blank until the host has actually reported them
+        const known = (value) => this.loaded ? value : '—';
+
         // Update device count
         const deviceCount = document.getElementById('device-count');
         if (deviceCount) {
-            deviceCount.textContent = this.data.deviceCount;
+            deviceCount.textContent = known(this.data.deviceCount);
         }
 
         // Update statistics
-        this.updateElement('blocked-count', this.data.blockedCount);
-        this.updateElement('data-usage', `${this.data.dataUsage.toFixed(1)} GB`);
-        this.updateElement('active-rules', this.data.activeRules);
-        this.updateElement('warning-count', this.data.warningCount);
+        this.updateElement('blocked-count', known(this.data.blockedCount));
+        this.updateElement('data-usage', known(`${this.data.dataUsage.toFixed(1)} GB`));
+        this.updateElement('active-rules', known(this.data.activeRules));
+        this.updateElement('warning-count', known(this.data.warningCount));
 
         // Update filter toggle
         const filterToggle = document.getElementById('filter-toggle');
         if (filterToggle) {
             filterToggle.classList.toggle('active', this.data.filterEnabled);
         }
+        this.updateElement('filter-status', !this.loaded ? 'Filtering status unknown' : this.data.filterEnabled ? 'Filtering Enabled' : 'Filtering Disabled');
+        this.updatePendingMarker('filter');
+    }
 
-        // Update activity list
-        this.updateActivityList();
+    // Shows what a queued change will do once PocketFence is reachable again
+    updatePendingMarker(key) {
+        const marker = document.getElementById(`${key}-pending`);
+        if (!marker) return;
+
+        // Demo mode never sends queued changes, so don't suggest it will
+        const action = this.demo ? null : this.outbox.get(key);
+        marker.hidden = !action;
+        if (action) {
+            const { label } = PocketFenceDashboard.controls[key];
+            marker.textContent = `⏳ ${label} will be ${action.payload.enabled ? 'enabled' : 'disabled'} when PocketFence is back online. Tap again to cancel.`;
+        }
     }
 
     updateElement(id, value) {
@@ -240,44 +376,22 @@ class PocketFenceDashboard {
         }
     }
 
-    updateActivityList() {
-        const activityList = document.getElementById('activity-list');
-        if (!activityList) return;
-
-        if (this.data.recentActivity.length === 0) {
-            activityList.innerHTML = `
-                <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
-                    📊 No recent activity
-                </div>
-            `;
-            return;
-        }
-
-        activityList.innerHTML = this.data.recentActivity.map(activity => `
-            <div class="activity-item">
-                <div class="activity-icon">${activity.icon}</div>
-                <div class="activity-content">
-                    <div>${activity.message}</div>
-                    <div class="activity-time">${activity.device} • ${activity.time}</div>
-                </div>
-            </div>
-        `).join('');
+    formatRelativeTime(timestamp) {
+        return ActivityTimeline.formatRelativeTime(timestamp);
     }
 
+    // The matching timeline entries arrive separately as ActivityRecorded
     handleDeviceUpdate(action, device) {
         if (action === 'connected') {
             this.data.deviceCount++;
-            this.addActivity('📱', `New device connected: ${device.name}`, device.name, 'just now');
         } else {
             this.data.deviceCount = Math.max(0, this.data.deviceCount - 1);
-            this.addActivity('📱', `Device disconnected: ${device.name}`, device.name, 'just now');
         }
         this.updateUI();
     }
 
     handleContentBlocked(blockInfo) {
         this.data.blockedCount++;
-        this.addActivity('🚫', `Blocked access to ${blockInfo.domain}`, blockInfo.deviceName, 'just now');
         this.updateUI();
     }
 
@@ -286,43 +400,131 @@ class PocketFenceDashboard {
         this.updateUI();
     }
 
-    addActivity(icon, message, device, time) {
-        this.data.recentActivity.unshift({ icon, message, device, time });
-        if (this.data.recentActivity.length > 10) {
-            this.data.recentActivity = this.data.recentActivity.slice(0, 10);
-        }
+    // Activity that only this browser knows about; it isn't part of the server's log
+    addActivity(icon, message, device) {
+        this.timeline?.addLocal(icon, message, device);
     }
 
+    // Switches the dashboard can flip. The server is the source of truth: state only changes
+    // here once the host confirms it, and changes made while it is unreachable wait in the outbox.
+    static controls = {
+        hotspot: { url: '/api/dashboard/hotspot', stateKey: 'hotspotEnabled', label: 'Hotspot' },
+        filter: { url: '/api/dashboard/filter', stateKey: 'filterEnabled', label: 'Content filtering' }
+    };
+
     // API interaction methods
-    async toggleHotspot() {
-        console.log('🔥 Toggling hotspot from:', this.data.hotspotEnabled, 'to:', !this.data.hotspotEnabled);
+    toggleHotspot() {
+        return this.toggleControl('hotspot');
+    }
+
+    toggleFilter() {
+        return this.toggleControl('filter');
+    }
+
+    async toggleControl(key) {
+        const { stateKey, label } = PocketFenceDashboard.controls[key];
+
+        // Tapping again while a change is waiting takes it back
+        if (this.outbox.get(key)) {
+            this.outbox.remove(key);
+            return;
+        }
+
+        // Without a known current state there is nothing sensible to flip to
+        if (!this.loaded) {
+            alert(`${label} status is unknown until PocketFence can be reached.`);
+            return;
+        }
+
+        await this.setControl(key, !this.data[stateKey]);
+    }
+
+    async setControl(key, enabled) {
+        const { stateKey, label } = PocketFenceDashboard.controls[key];
+        const result = await this.sendControl(key, enabled);
+
+        if (result === null) {
+            console.log(`📮 ${label} change queued until PocketFence is reachable`);
+            this.outbox.enqueue(key, { enabled }, this.data[stateKey]);
+            return;
+        }
+
+        if (!result.ok) {
+            alert(`${label} could not be ${enabled ? 'enabled' : 'disabled'}: ${result.error}`);
+        }
+        if (typeof result.enabled === 'boolean') {
+            this.data[stateKey] = result.enabled;
+        }
+        this.updateUI();
+    }
+
+    // Resolves to null when the host can't be reached, otherwise to the server's answer
+    async sendControl(key, enabled) {
+        const { url } = PocketFenceDashboard.controls[key];
+        let response;
         try {
-            const response = await fetch('/api/hotspot/toggle', { method: 'POST' });
-            const result = await response.json();
-            this.data.hotspotEnabled = result.enabled;
-            console.log('✅ Hotspot API response:', result);
-            this.updateUI();
+            response = await fetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled })
+            });
         } catch (error) {
-            console.error('Failed to toggle hotspot:', error);
-            // Mock toggle for demo
-            this.data.hotspotEnabled = !this.data.hotspotEnabled;
-            console.log('🎯 Mock toggle - hotspot now:', this.data.hotspotEnabled);
-            this.updateUI();
+            console.error(`Failed to reach ${url}:`, error);
+            return null;
         }
+
+        const body = await response.json().catch(() => ({}));
+        return {
+            ok: response.ok,
+            enabled: body.enabled,
+            error: body.error || `Server responded with ${response.status}`
+        };
     }
 
-    async toggleFilter() {
+    // Send queued changes, skipping any whose setting was changed elsewhere since it was queued
+    async replayOutbox() {
+        if (this.demo || this.outbox.size === 0) return;
+
+        let status;
         try {
-            const response = await fetch('/api/filter/toggle', { method: 'POST' });
-            const result = await response.json();
-            this.data.filterEnabled = result.enabled;
-            this.updateUI();
-        } catch (error) {
-            console.error('Failed to toggle filter:', error);
-            // Mock toggle for demo
-            this.data.filterEnabled = !this.data.filterEnabled;
-            this.updateUI();
+            const response = await fetch('/api/dashboard/status', { cache: 'no-store' });
+            // A snapshot from the service worker means the host is still unreachable
+            if (!response.ok || response.headers.has('X-PocketFence-Cached-At')) return;
+            status = await response.json();
+        } catch {
+            return;
         }
+
+        await this.outbox.replay(async (action) => {
+            const control = PocketFenceDashboard.controls[action.key];
+            if (!control) return 'done';
+
+            const current = status[control.stateKey];
+            const wanted = action.payload.enabled;
+
+            if (current === wanted) return 'done';
+
+            if (current !== action.baseline) {
+                this.data[control.stateKey] = current;
+                this.addActivity('⚠️', `Queued ${control.label.toLowerCase()} change discarded: it was changed elsewhere while offline`, 'System');
+                return 'conflict';
+            }
+
+            const result = await this.sendControl(action.key, wanted);
+            if (result === null) return 'offline';
+
+            if (typeof result.enabled === 'boolean') {
+                this.data[control.stateKey] = result.enabled;
+            }
+            if (!result.ok) {
+                this.addActivity('❌', `Queued ${control.label.toLowerCase()} change failed: ${result.error}`, 'System');
+                return 'failed';
+            }
+            this.addActivity('✅', `${control.label} ${wanted ? 'enabled' : 'disabled'} (queued while offline)`, 'System');
+            return 'done';
+        });
+
+        this.updateUI();
     }
 
     updateNetworkModeDisplay() {
@@ -332,7 +534,7 @@ class PocketFenceDashboard {
         const mode = this.data.networkMode;
         const modeInfo = this.getNetworkModeInfo(mode.mode);
         
-        networkModeElement.innerHTML = `
+        setHtml(networkModeElement, html`
             <div class="network-mode-display">
                 <div class="mode-header">
                     <span class="mode-icon">${modeInfo.icon}</span>
@@ -340,13 +542,13 @@ class PocketFenceDashboard {
                     <span class="mode-status ${modeInfo.statusClass}">${mode.mode}</span>
                 </div>
                 <div class="network-name">📡 ${mode.networkName}</div>
-                ${mode.recommendations && mode.recommendations.length > 0 ? `
+                ${mode.recommendations?.length > 0 && html`
                 <div class="mode-recommendations">
-                    ${mode.recommendations.slice(0, 2).map(rec => `<div class="recommendation">💡 ${rec}</div>`).join('')}
+                    ${mode.recommendations.slice(0, 2).map(rec => html`<div class="recommendation">💡 ${rec}</div>`)}
                 </div>
-                ` : ''}
+                `}
             </div>
-        `;
+        `);
     }
 
     getNetworkModeInfo(mode) {
@@ -426,65 +628,11 @@ function toggleFilter() {
 }
 
 function showDevices() {
-    // Create modal for connected devices
-    const modal = document.createElement('div');
-    modal.className = 'modal';
-    modal.style.display = 'block';
-    modal.innerHTML = `
-        <div class="modal-content">
-            <div class="modal-header">
-                <h2>📱 Connected Devices</h2>
-                <button class="close-btn" onclick="this.closest('.modal').remove()">&times;</button>
-            </div>
-            <div class="modal-body">
-                <div id="devices-container">
-                    ${generateDevicesList()}
-                </div>
-            </div>
-        </div>
-    `;
-    document.body.appendChild(modal);
-}
-
-function generateDevicesList() {
-    const mockDevices = [
-        { name: "Sarah's iPhone", type: "Mobile", ip: "192.168.254.145", status: "Active", dataUsage: "2.1 GB", lastSeen: "2 minutes ago" },
-        { name: "Alex's Laptop", type: "Computer", ip: "192.168.254.156", status: "Active", dataUsage: "5.7 GB", lastSeen: "5 minutes ago" },
-        { name: "Mom's iPad", type: "Tablet", ip: "192.168.254.178", status: "Idle", dataUsage: "890 MB", lastSeen: "1 hour ago" }
-    ];
-
-    return mockDevices.map(device => `
-        <div class="device-card">
-            <div class="device-header">
-                <span class="device-icon">${device.type === 'Mobile' ? '📱' : device.type === 'Tablet' ? '📱' : '💻'}</span>
-                <div class="device-info">
-                    <h3>${device.name}</h3>
-                    <p class="device-type">${device.type} • ${device.ip}</p>
-                </div>
-                <div class="device-status ${device.status.toLowerCase()}">${device.status}</div>
-            </div>
-            <div class="device-stats">
-                <div class="stat">
-                    <span class="stat-label">Data Usage:</span>
-                    <span class="stat-value">${device.dataUsage}</span>
-                </div>
-                <div class="stat">
-                    <span class="stat-label">Last Seen:</span>
-                    <span class="stat-value">${device.lastSeen}</span>
-                </div>
-            </div>
-            <div class="device-actions">
-                <button class="btn small secondary" onclick="alert('🔧 Device management: Block/Allow internet access, Set time limits, Configure restrictions')">Manage</button>
-                <button class="btn small ${device.status === 'Active' ? 'danger' : 'success'}" onclick="toggleDeviceAccess('${device.name}')">
-                    ${device.status === 'Active' ? 'Block' : 'Allow'}
-                </button>
-            </div>
-        </div>
-    `).join('');
-}
+    const dashboard = window.dashboard;
+    if (!dashboard) return;
 
-function toggleDeviceAccess(deviceName) {
-    alert(`🔄 Access ${deviceName.includes('Block') ? 'blocked' : 'restored'} for ${deviceName}. This feature will integrate with network controls in production.`);
+    dashboard.devicesPanel ??= new DevicesPanel(dashboard.connection);
+    dashboard.devicesPanel.open();
 }
 
 function configureFilters() {
@@ -502,7 +650,7 @@ function openSettings() {
 // ServiceWorker for offline support
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
+        navigator.serviceWorker.register('/sw.js', { updateViaCache: 'none' })
             .then(() => console.log('📱 PWA features enabled'))
             .catch(err => console.log('PWA registration failed:', err));
     });
@@ -530,19 +678,3 @@ function installApp() {
         });
     }
 }
-
-// SignalR library (CDN fallback)
-if (!window.signalR) {
-    window.signalR = {
-        HubConnectionBuilder: function() {
-            return {
-                withUrl: () => this,
-                build: () => ({
-                    start: () => Promise.resolve(),
-                    on: () => {},
-                    invoke: () => Promise.resolve()
-                })
-            };
-        }
-    };
-}
\ No newline at end of file
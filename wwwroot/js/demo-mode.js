@@ -0,0 +1,72 @@
+// PocketFence demo mode
+// Turned on with ?demo=1 and remembered in this browser until ?demo=0. While on, API requests are
+// answered from the bundled sample data in /demo/fixtures.json instead of the PocketFence host,
+// changes are refused, and the page is watermarked so sample data is never mistaken for a real network.
+class DemoMode {
+    static storageKey = 'pocketfence-demo';
+    static fixturesUrl = '/demo/fixtures.json';
+
+    static get enabled() {
+        const param = new URLSearchParams(window.location.search).get('demo');
+        if (param !== null) {
+            if (['0', 'false', 'off'].includes(param.toLowerCase())) {
+                localStorage.removeItem(DemoMode.storageKey);
+            } else {
+                localStorage.setItem(DemoMode.storageKey, '1');
+            }
+        }
+        return localStorage.getItem(DemoMode.storageKey) === '1';
+    }
+
+    /**
+     * Load the fixtures, route API requests to them and show the watermark.
+     */
+    static async install() {
+        const realFetch = window.fetch.bind(window);
+        const response = await realFetch(DemoMode.fixturesUrl);
+        if (!response.ok) throw new Error(`Could not load demo data (${response.status})`);
+
+        const now = Date.now();
+        const { responses } = JSON.parse(await response.text(), (key, value) => DemoMode.resolveTime(value, now));
+
+        window.fetch = async (input, init = {}) => {
+            const url = new URL(input instanceof Request ? input.url : input, window.location.origin);
+            if (url.origin !== window.location.origin || !url.pathname.startsWith('/api/')) {
+                return realFetch(input, init);
+            }
+
+            const method = (init.method ?? (input instanceof Request ? input.method : 'GET')).toUpperCase();
+            if (method !== 'GET') {
+                return DemoMode.json({ error: 'Changes are turned off in demo mode' }, 403);
+            }
+
+            // Fixture keys are written unescaped, e.g. device MAC addresses with their colons
+            const path = decodeURIComponent(url.pathname);
+            return path in responses
+                ? DemoMode.json(responses[path], 200)
+                : DemoMode.json({ error: 'Not available in demo mode' }, 404);
+        };
+
+        document.body.classList.add('demo-mode');
+        const banner = document.getElementById('demo-banner');
+        if (banner) banner.hidden = false;
+
+        console.log('🎭 Demo mode: showing sample data from', DemoMode.fixturesUrl);
+    }
+
+    // "@now-15m" style placeholders keep the sample activity looking recent
+    static resolveTime(value, now) {
+        const match = typeof value === 'string' && /^@now-(\d+)([mhd])$/.exec(value);
+        if (!match) return value;
+
+        const unit = { m: 60000, h: 3600000, d: 86400000 }[match[2]];
+        return new Date(now - Number(match[1]) * unit).toISOString();
+    }
+
+    static json(body, status) {
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
@@ -0,0 +1,246 @@
+// PocketFence per-device live view
+// Joins the hub group for a single device so the view only receives that device's
+// blocks, connects and insight changes, and leaves the group again when closed.
+class DeviceLiveView {
+    constructor(connection, options = {}) {
+        this.connection = connection;
+        this.maxEntries = options.maxEntries ?? 50;
+        this.deviceId = null;
+        this.modal = null;
+        this.relativeTimeTimer = null;
+
+        this.handleActivity = (entry) => this.onActivity(entry);
+        this.handleInsights = (insights) => this.onInsights(insights);
+        this.handleStatus = (status) => this.renderStatus(status);
+    }
+
+    // Matches DashboardHub.DeviceGroup, which upper-cases the MAC
+    static groupName(deviceId) {
+        return `device:${deviceId.toUpperCase()}`;
+    }
+
+    get isOpen() {
+        return this.modal !== null;
+    }
+
+    async open(deviceId, deviceName) {
+        if (this.isOpen) {
+            await this.close();
+        }
+
+        this.deviceId = deviceId;
+        this.render(deviceName || deviceId);
+        const modal = this.modal;    // each open gets its own modal, so it tells whether this view is still open
+
+        this.connection.on('DeviceActivity', this.handleActivity);
+        this.connection.on('DeviceInsightsUpdated', this.handleInsights);
+        this.unsubscribeStatus = this.connection.onStatusChange(this.handleStatus);
+        await this.connection.joinGroup(DeviceLiveView.groupName(deviceId));
+
+        console.log(`📡 Watching device ${deviceId}`);
+        await this.loadInitialData();
+
+        // Closed, or switched to another device, while joining or loading
+        if (this.modal !== modal) return;
+
+        clearInterval(this.relativeTimeTimer);
+        this.relativeTimeTimer = setInterval(() => this.refreshTimes(), 30000);
+    }
+
+    async close() {
+        if (!this.isOpen) return;
+
+        const deviceId = this.deviceId;
+        clearInterval(this.relativeTimeTimer);
+        this.relativeTimeTimer = null;
+        this.connection.off('DeviceActivity', this.handleActivity);
+        this.connection.off('DeviceInsightsUpdated', this.handleInsights);
+        this.unsubscribeStatus?.();
+
+        this.modal.remove();
+        this.modal = null;
+        this.deviceId = null;
+
+        await this.connection.leaveGroup(DeviceLiveView.groupName(deviceId));
+        console.log(`📡 Stopped watching device ${deviceId}`);
+    }
+
+    render(deviceName) {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal device-live-view';
+        this.modal.style.display = 'flex';
+        setHtml(this.modal, html`
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>📡 <span class="live-device-name">${deviceName}</span></h2>
+                    <span class="live-view-status"></span>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="live-insights">
+                        <p class="loading">Loading insights...</p>
+                    </div>
+                    <h3>Live Activity</h3>
+                    <div class="live-activity-list">
+                        <p class="loading">Loading recent activity...</p>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        this.modal.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        document.body.appendChild(this.modal);
+    }
+
+    renderStatus(status) {
+        const element = this.modal?.querySelector('.live-view-status');
+        if (!element) return;
+
+        element.className = `live-view-status ${status}`;
+        element.textContent = status === 'live' ? '● Live' : '○ Paused';
+        element.title = status === 'live'
+            ? 'New activity for this device appears as it happens'
+            : 'Waiting for the real-time connection to come back';
+    }
+
+    async loadInitialData() {
+        const deviceId = this.deviceId;
+        const encoded = encodeURIComponent(deviceId);
+
+        const [activity, insights] = await Promise.all([
+            this.fetchJson(`/api/dashboard/activity?device=${encoded}&limit=${this.maxEntries}`),
+            this.fetchJson(`/api/dashboard/insights/${encoded}`)
+        ]);
+
+        // The view may have been closed or switched while the requests were in flight
+        if (this.deviceId !== deviceId) return;
+
+        const list = this.modal.querySelector('.live-activity-list');
+        list.replaceChildren();
+        if (activity) {
+            // Entries arrive newest first; prepend oldest first so the newest ends up on top
+            [...activity].reverse().forEach(entry => this.prependEntry(entry));
+        }
+        if (!list.children.length) {
+            setHtml(list, html`<p class="empty-state">No activity yet. New events will appear here live.</p>`);
+        }
+
+        if (insights) {
+            this.onInsights(insights);
+        } else {
+            setHtml(this.modal.querySelector('.live-insights'),
+                html`<p class="empty-state">Insights are not available for this device.</p>`);
+        }
+    }
+
+    onActivity(entry) {
+        if (!this.isOpen || !this.matchesDevice(entry.deviceId)) return;
+
+        this.modal.querySelector('.live-activity-list .empty-state')?.remove();
+        this.prependEntry(entry, true);
+    }
+
+    prependEntry(entry, highlight = false) {
+        const list = this.modal.querySelector('.live-activity-list');
+
+        const item = document.createElement('div');
+        item.className = `activity-item${highlight ? ' new' : ''}`;
+        item.dataset.timestamp = entry.timestamp;
+        setHtml(item, html`
+            <div class="activity-icon">${entry.icon}</div>
+            <div class="activity-content">
+                <div class="activity-message">${entry.message}</div>
+                <div class="activity-time">${this.formatTime(entry.timestamp)}</div>
+            </div>
+        `);
+
+        list.prepend(item);
+        while (list.children.length > this.maxEntries) {
+            list.lastElementChild.remove();
+        }
+    }
+
+    onInsights(insights) {
+        if (!this.isOpen || !this.matchesDevice(insights.deviceId)) return;
+
+        const container = this.modal.querySelector('.live-insights');
+        const level = insights.threatLevel === 'High' || insights.wellnessScore < 50
+            ? 'critical'
+            : insights.threatLevel === 'Medium' ? 'warning' : 'info';
+
+        setHtml(container, html`
+            <div class="insight-item ${level}">
+                <div class="device-stats">
+                    <div class="stat">
+                        <span class="stat-label">Wellness Score</span>
+                        <span class="stat-value">${insights.wellnessScore}/100</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Threat Level</span>
+                        <span class="stat-value">${insights.threatLevel || 'Unknown'}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Behavior</span>
+                        <span class="stat-value">${insights.behaviorPattern || 'Insufficient Data'}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Screen Time Today</span>
+                        <span class="stat-value">${this.formatDuration(insights.screenTimeToday)}</span>
+                    </div>
+                </div>
+                <ul class="live-recommendations">
+                    ${(insights.recommendations || []).map(text => html`<li>💡 ${text}</li>`)}
+                </ul>
+            </div>
+        `);
+    }
+
+    refreshTimes() {
+        this.modal?.querySelectorAll('.live-activity-list .activity-item').forEach(item => {
+            item.querySelector('.activity-time').textContent = this.formatTime(item.dataset.timestamp);
+        });
+    }
+
+    matchesDevice(deviceId) {
+        return typeof deviceId === 'string' && deviceId.toLowerCase() === this.deviceId?.toLowerCase();
+    }
+
+    formatTime(timestamp) {
+        return window.dashboard?.formatRelativeTime(timestamp) ?? new Date(timestamp).toLocaleTimeString();
+    }
+
+    formatDuration(value) {
+        // TimeSpan serializes as "hh:mm:ss" (or "d.hh:mm:ss")
+        const match = /^(?:(\d+)\.)?(\d+):(\d+)/.exec(value || '');
+        if (!match) return '0m';
+
+        const hours = Number(match[1] || 0) * 24 + Number(match[2]);
+        const minutes = Number(match[3]);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
+    async fetchJson(url) {
+        try {
+            const response = await fetch(url);
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error(`❌ Failed to load ${url}:`, error);
+            return null;
+        }
+    }
+}
+
+function showDeviceLiveView(deviceId, deviceName) {
+    const dashboard = window.dashboard;
+    if (!dashboard?.connection) {
+        alert('Live view is unavailable until the dashboard has connected.');
+        return;
+    }
+
+    dashboard.deviceLiveView ??= new DeviceLiveView(dashboard.connection);
+    dashboard.deviceLiveView.open(deviceId, deviceName);
+}
@@ -0,0 +1,195 @@
+// PocketFence device management panel
+// Edits the parent-managed settings of one device (name, category, child device, filtering)
+// and shows its blocked-site history. Changes are saved through the devices API.
+class DeviceManagePanel {
+    constructor() {
+        this.modal = null;
+        this.device = null;
+        this.onSaved = null;
+    }
+
+    static categoryLabels = {
+        Unknown: 'Unknown',
+        Smartphone: 'Smartphone',
+        Tablet: 'Tablet',
+        Laptop: 'Laptop',
+        GameConsole: 'Game Console',
+        SmartTV: 'Smart TV',
+        IoTDevice: 'Smart Home / IoT'
+    };
+
+    get isOpen() {
+        return this.modal !== null;
+    }
+
+    async open(device, onSaved) {
+        this.close();
+        this.device = device;
+        this.onSaved = onSaved;
+        this.render();
+
+        await Promise.all([this.loadCategories(), this.loadBlockedSites()]);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.modal.remove();
+        this.modal = null;
+        this.device = null;
+    }
+
+    render() {
+        const device = this.device;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal device-manage-panel';
+        this.modal.style.display = 'flex';
+        setHtml(this.modal, html`
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>🔧 Manage ${device.deviceName || 'Device'}</h2>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <form class="device-settings-form">
+                        <label class="form-field">
+                            <span>Device name</span>
+                            <input type="text" name="deviceName" maxlength="64" required value="${device.deviceName}">
+                        </label>
+                        <label class="form-field">
+                            <span>Category</span>
+                            <select name="category"></select>
+                        </label>
+                        <label class="form-check">
+                            <input type="checkbox" name="isChildDevice"${device.isChildDevice && ' checked'}>
+                            <span>👶 This is a child's device</span>
+                        </label>
+                        <label class="form-check">
+                            <input type="checkbox" name="isFiltered"${device.isFiltered && ' checked'}>
+                            <span>🛡️ Content filtering protection</span>
+                        </label>
+                        <p class="form-error" hidden></p>
+                        <div class="device-actions">
+                            <button type="submit" class="btn small success">Save Changes</button>
+                            <button type="button" class="btn small secondary" data-action="close">Cancel</button>
+                        </div>
+                    </form>
+                    <h3>🚫 Blocked Sites</h3>
+                    <div class="blocked-history">
+                        <p class="loading">Loading blocked sites...</p>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        this.modal.querySelector('.device-settings-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal || e.target.closest('[data-action="close"]')) {
+                this.close();
+            }
+        });
+
+        document.body.appendChild(this.modal);
+    }
+
+    async loadCategories() {
+        let categories = Object.keys(DeviceManagePanel.categoryLabels);
+        try {
+            const response = await fetch('/api/devices/categories');
+            if (response.ok) {
+                categories = await response.json();
+            }
+        } catch (error) {
+            console.warn('⚠️ Using built-in device categories:', error);
+        }
+
+        const select = this.modal?.querySelector('select[name="category"]');
+        if (!select) return;
+
+        setHtml(select, categories.map(category => html`
+            <option value="${category}">${DeviceManagePanel.categoryLabels[category] || category}</option>
+        `));
+        select.value = this.device.category || 'Unknown';
+    }
+
+    async loadBlockedSites() {
+        const device = this.device;
+        let sites = null;
+        try {
+            const response = await fetch(`/api/devices/${encodeURIComponent(device.macAddress)}/blocked-sites`);
+            if (response.ok) {
+                sites = await response.json();
+            }
+        } catch (error) {
+            console.error('❌ Failed to load blocked sites:', error);
+        }
+
+        if (this.device !== device) return;
+
+        const container = this.modal.querySelector('.blocked-history');
+        if (sites === null) {
+            setHtml(container, html`<p class="empty-state">Blocked site history is unavailable right now.</p>`);
+        } else if (!sites.length) {
+            setHtml(container, html`<p class="empty-state">Nothing has been blocked on this device.</p>`);
+        } else {
+            setHtml(container, sites.map(site => html`
+                <div class="activity-item">
+                    <div class="activity-icon">🚫</div>
+                    <div class="activity-content">
+                        <div class="activity-message">${site.url}</div>
+                        <div class="activity-time">${site.reason} • ${new Date(site.blockedAt).toLocaleString()}</div>
+                    </div>
+                </div>
+            `));
+        }
+    }
+
+    async save() {
+        const form = this.modal.querySelector('.device-settings-form');
+        const error = form.querySelector('.form-error');
+        const submit = form.querySelector('[type="submit"]');
+        const device = this.device;
+
+        const update = {
+            deviceName: form.deviceName.value.trim(),
+            category: form.category.value,
+            isChildDevice: form.isChildDevice.checked,
+            isFiltered: form.isFiltered.checked
+        };
+
+        if (!update.deviceName) {
+            error.textContent = 'Please enter a device name.';
+            error.hidden = false;
+            return;
+        }
+
+        submit.disabled = true;
+        error.hidden = true;
+
+        try {
+            const response = await fetch(`/api/devices/${encodeURIComponent(device.macAddress)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(update)
+            });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `Server responded with ${response.status}`);
+            }
+
+            const updated = await response.json();
+            console.log(`🔧 Saved settings for ${updated.deviceName}`);
+            this.onSaved?.(updated);
+            this.close();
+        } catch (err) {
+            console.error('❌ Failed to save device settings:', err);
+            error.textContent = `Could not save changes: ${err.message}`;
+            error.hidden = false;
+            submit.disabled = false;
+        }
+    }
+}
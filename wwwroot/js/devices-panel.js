@@ -0,0 +1,395 @@
+// PocketFence connected devices panel
+// Lists every device the hotspot has seen (merged with iOS detection data by MAC address),
+// with search, sorting and online/offline filtering, kept current from hub device events.
+class DevicesPanel {
+    // DeviceCategory names by enum value, for hub events that carry the raw number
+    static categoryNames = ['Unknown', 'Smartphone', 'Tablet', 'Laptop', 'GameConsole', 'SmartTV', 'IoTDevice'];
+
+    constructor(connection) {
+        this.connection = connection;
+        this.devices = new Map();       // lower-case MAC -> device
+        this.modal = null;
+        this.query = '';
+        this.sortBy = 'status';
+        this.statusFilter = 'all';
+        this.pendingAccess = new Set(); // MACs with an access change in flight
+
+        this.handleConnected = (device) => this.onDeviceEvent(device, true);
+        this.handleDisconnected = (device) => this.onDeviceEvent(device, false);
+        this.handleAccessChanged = (accessInfo) => this.onAccessChanged(accessInfo);
+    }
+
+    get isOpen() {
+        return this.modal !== null;
+    }
+
+    async open() {
+        if (this.isOpen) return;
+
+        this.render();
+        this.connection?.on('DeviceConnected', this.handleConnected);
+        this.connection?.on('DeviceDisconnected', this.handleDisconnected);
+        this.connection?.on('DeviceAccessChanged', this.handleAccessChanged);
+        await this.load();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.connection?.off('DeviceConnected', this.handleConnected);
+        this.connection?.off('DeviceDisconnected', this.handleDisconnected);
+        this.connection?.off('DeviceAccessChanged', this.handleAccessChanged);
+        this.modal.remove();
+        this.modal = null;
+    }
+
+    render() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal devices-panel';
+        this.modal.style.display = 'flex';
+        setHtml(this.modal, html`
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>📱 Connected Devices</h2>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="devices-toolbar">
+                        <input type="search" class="devices-search" placeholder="Search name, IP, MAC or manufacturer">
+                        <select class="devices-filter" aria-label="Filter devices">
+                            <option value="all">All devices</option>
+                            <option value="online">Online</option>
+                            <option value="offline">Offline</option>
+                        </select>
+                        <select class="devices-sort" aria-label="Sort devices">
+                            <option value="status">Online first</option>
+                            <option value="name">Name</option>
+                            <option value="lastSeen">Last seen</option>
+                            <option value="dataUsage">Data usage</option>
+                            <option value="ip">IP address</option>
+                        </select>
+                    </div>
+                    <div class="devices-summary"></div>
+                    <div id="devices-container">
+                        <p class="loading">Loading devices...</p>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        const search = this.modal.querySelector('.devices-search');
+        const filter = this.modal.querySelector('.devices-filter');
+        const sort = this.modal.querySelector('.devices-sort');
+        search.value = this.query;
+        filter.value = this.statusFilter;
+        sort.value = this.sortBy;
+
+        search.addEventListener('input', () => {
+            this.query = search.value.trim().toLowerCase();
+            this.renderList();
+        });
+        filter.addEventListener('change', () => {
+            this.statusFilter = filter.value;
+            this.renderList();
+        });
+        sort.addEventListener('change', () => {
+            this.sortBy = sort.value;
+            this.renderList();
+        });
+
+        this.modal.addEventListener('click', (e) => this.handleClick(e));
+        document.body.appendChild(this.modal);
+    }
+
+    async load() {
+        const container = this.modal.querySelector('#devices-container');
+
+        try {
+            const [hotspot, ios] = await Promise.all([
+                this.fetchJson('/api/devices'),
+                // iOS detection is supplementary; the list still works without it
+                this.fetchJson('/api/ios/devices').catch(err => {
+                    console.warn('⚠️ iOS device data unavailable:', err);
+                    return null;
+                })
+            ]);
+
+            this.devices.clear();
+            hotspot.devices.forEach(device => this.upsert(device));
+            (ios?.devices || []).forEach(device => this.mergeiOSDevice(device));
+            this.renderList();
+        } catch (error) {
+            console.error('❌ Failed to load devices:', error);
+            if (!this.isOpen) return;
+            setHtml(container, html`
+                <div class="error-state">
+                    <p>⚠️ Could not load devices. Check that PocketFence is running.</p>
+                    <button class="btn small" data-action="retry">Try Again</button>
+                </div>
+            `);
+        }
+    }
+
+    upsert(device) {
+        const key = device.macAddress?.toLowerCase();
+        if (!key) return null;
+
+        // Hub events carry the raw ConnectedDevice, whose id is regenerated on every scan and whose category is
+        // a number; keep the category name the devices API sent so the manage panel can select it
+        const existing = this.devices.get(key);
+        const merged = { ...existing, ...device, id: device.macAddress };
+        if (typeof device.category !== 'string') {
+            merged.category = existing?.category ?? DevicesPanel.categoryNames[device.category] ?? 'Unknown';
+        }
+        this.devices.set(key, merged);
+        return merged;
+    }
+
+    mergeiOSDevice(iosDevice) {
+        const key = iosDevice.macAddress?.toLowerCase();
+        if (!key) return;
+
+        const existing = this.devices.get(key);
+        if (existing) {
+            existing.manufacturer ||= 'Apple';
+            existing.deviceType ||= iosDevice.deviceModel;
+            if (!existing.deviceName) existing.deviceName = iosDevice.deviceName;
+            return;
+        }
+
+        this.devices.set(key, {
+            id: iosDevice.macAddress,
+            deviceName: iosDevice.deviceName,
+            ipAddress: iosDevice.ipAddress,
+            macAddress: iosDevice.macAddress,
+            manufacturer: 'Apple',
+            deviceType: iosDevice.deviceModel,
+            dataUsage: 0,
+            lastSeen: iosDevice.lastPWAAccess ?? iosDevice.detectedAt,
+            isOnline: iosDevice.isConnectedToPWA,
+            isBlocked: false,
+            isFiltered: false,
+            filterStatus: 'Unprotected'
+        });
+    }
+
+    onDeviceEvent(device, online) {
+        const updated = this.upsert(device);
+        if (!updated) return;
+
+        updated.isOnline = online;
+        if (online) {
+            updated.lastSeen = new Date().toISOString();
+        }
+        this.renderList();
+    }
+
+    onAccessChanged(accessInfo) {
+        // Our own optimistic update is already shown; the server response settles it
+        const key = accessInfo.macAddress?.toLowerCase();
+        if (!key || this.pendingAccess.has(key)) return;
+
+        const device = this.devices.get(key);
+        if (!device) return;
+
+        device.isBlocked = accessInfo.isBlocked;
+        this.renderList();
+    }
+
+    async setDeviceAccess(device, blocked) {
+        const key = device.macAddress.toLowerCase();
+        if (this.pendingAccess.has(key)) return;
+
+        const previous = device.isBlocked;
+        device.isBlocked = blocked;
+        this.pendingAccess.add(key);
+        this.renderList();
+
+        try {
+            const response = await fetch(`/api/devices/${encodeURIComponent(device.macAddress)}/access`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ blocked })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+
+            this.upsert(await response.json());
+            console.log(`${blocked ? '⛔' : '✅'} Access ${blocked ? 'blocked' : 'restored'} for ${device.deviceName}`);
+        } catch (error) {
+            console.error('❌ Failed to change device access:', error);
+            device.isBlocked = previous;
+            alert(`❌ Could not ${blocked ? 'block' : 'allow'} ${device.deviceName || device.macAddress}. Please try again.`);
+        } finally {
+            this.pendingAccess.delete(key);
+            this.renderList();
+        }
+    }
+
+    getVisibleDevices() {
+        const matchesQuery = (device) => !this.query || [device.deviceName, device.ipAddress, device.macAddress, device.manufacturer]
+            .some(value => value?.toLowerCase().includes(this.query));
+
+        const matchesStatus = (device) => this.statusFilter === 'all'
+            || (this.statusFilter === 'online') === Boolean(device.isOnline);
+
+        const byName = (a, b) => (a.deviceName || '').localeCompare(b.deviceName || '');
+        const comparers = {
+            status: (a, b) => Number(b.isOnline) - Number(a.isOnline) || byName(a, b),
+            name: byName,
+            lastSeen: (a, b) => new Date(b.lastSeen) - new Date(a.lastSeen),
+            dataUsage: (a, b) => (b.dataUsage || 0) - (a.dataUsage || 0),
+            ip: (a, b) => this.ipSortKey(a.ipAddress) - this.ipSortKey(b.ipAddress)
+        };
+
+        return [...this.devices.values()]
+            .filter(device => matchesQuery(device) && matchesStatus(device))
+            .sort(comparers[this.sortBy] || comparers.status);
+    }
+
+    renderList() {
+        if (!this.isOpen) return;
+
+        const all = [...this.devices.values()];
+        const online = all.filter(d => d.isOnline).length;
+        this.modal.querySelector('.devices-summary').textContent =
+            `${online} online • ${all.length - online} offline`;
+
+        const container = this.modal.querySelector('#devices-container');
+        const visible = this.getVisibleDevices();
+
+        if (!all.length) {
+            setHtml(container, html`<p class="empty-state">No devices have connected yet.</p>`);
+            return;
+        }
+        if (!visible.length) {
+            setHtml(container, html`<p class="empty-state">No devices match the current search or filter.</p>`);
+            return;
+        }
+
+        setHtml(container, visible.map(device => this.renderCard(device)));
+    }
+
+    renderCard(device) {
+        const name = device.deviceName || 'Unknown device';
+        const details = [device.manufacturer, device.deviceType].filter(Boolean).join(' • ') || 'Unknown manufacturer';
+        const lastSeen = device.isOnline
+            ? 'Now'
+            : device.lastSeen ? this.formatTime(device.lastSeen) : 'Never';
+
+        return html`
+            <div class="device-card ${device.isOnline ? 'online' : 'offline'}" data-device-id="${device.macAddress}">
+                <div class="device-header">
+                    <span class="device-icon">${this.deviceIcon(device)}</span>
+                    <div class="device-info">
+                        <h3>${name}</h3>
+                        <p class="device-type">${details}</p>
+                    </div>
+                    <div class="device-status ${device.isOnline ? 'online' : 'offline'}">${device.isOnline ? 'Online' : 'Offline'}</div>
+                </div>
+                <div class="device-badges">
+                    <span class="device-badge ${device.isFiltered ? 'protected' : 'unprotected'}">${device.filterStatus || (device.isFiltered ? 'Protected' : 'Unprotected')}</span>
+                    ${device.isBlocked && html`<span class="device-badge blocked">Blocked</span>`}
+                </div>
+                <div class="device-stats">
+                    <div class="stat">
+                        <span class="stat-label">IP Address:</span>
+                        <span class="stat-value">${device.ipAddress || '—'}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">MAC Address:</span>
+                        <span class="stat-value">${device.macAddress}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Data Usage:</span>
+                        <span class="stat-value">${this.formatBytes(device.dataUsage)}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Last Seen:</span>
+                        <span class="stat-value">${lastSeen}</span>
+                    </div>
+                </div>
+                <div class="device-actions">
+                    <button class="btn small" data-action="live">📡 Live</button>
+                    <button class="btn small secondary" data-action="manage">Manage</button>
+                    <button class="btn small ${device.isBlocked ? 'success' : 'danger'}" data-action="toggle-access"${this.pendingAccess.has(device.macAddress.toLowerCase()) && ' disabled'}>
+                        ${device.isBlocked ? 'Allow' : 'Block'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    handleClick(e) {
+        if (e.target === this.modal) {
+            this.close();
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const card = button.closest('.device-card');
+        const device = card ? this.devices.get(card.dataset.deviceId.toLowerCase()) : null;
+
+        switch (button.dataset.action) {
+            case 'close':
+                this.close();
+                break;
+            case 'retry':
+                setHtml(this.modal.querySelector('#devices-container'), html`<p class="loading">Loading devices...</p>`);
+                this.load();
+                break;
+            case 'live':
+                showDeviceLiveView(device.macAddress, device.deviceName);
+                break;
+            case 'manage':
+                this.managePanel ??= new DeviceManagePanel();
+                this.managePanel.open(device, (updated) => {
+                    this.upsert(updated);
+                    this.renderList();
+                });
+                break;
+            case 'toggle-access':
+                this.setDeviceAccess(device, !device.isBlocked);
+                break;
+        }
+    }
+
+    deviceIcon(device) {
+        const type = `${device.deviceType || ''} ${device.category || ''}`.toLowerCase();
+        if (type.includes('tv')) return '📺';
+        if (type.includes('console') || type.includes('game')) return '🎮';
+        if (type.includes('laptop') || type.includes('desktop') || type.includes('computer')) return '💻';
+        if (type.includes('iot')) return '🔌';
+        return '📱';
+    }
+
+    ipSortKey(ip) {
+        const parts = (ip || '').split('.').map(Number);
+        if (parts.length !== 4 || parts.some(Number.isNaN)) return Number.MAX_SAFE_INTEGER;
+        return parts.reduce((key, part) => key * 256 + part, 0);
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        const value = bytes / Math.pow(1024, exponent);
+        return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+    }
+
+    formatTime(timestamp) {
+        return window.dashboard?.formatRelativeTime(timestamp) ?? new Date(timestamp).toLocaleString();
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${url} responded with ${response.status}`);
+        }
+        return response.json();
+    }
+}
@@ -0,0 +1,347 @@
+// PocketFence filter rules editor (filters.html)
+// Create, edit, delete and drag-to-reorder the rules ContentFilterService checks in priority order.
+class FilterRulesEditor {
+    constructor() {
+        this.rules = [];
+        this.editingId = null;
+        this.draggedId = null;
+
+        this.list = document.getElementById('rule-list');
+        this.editor = document.getElementById('rule-editor');
+        this.form = document.getElementById('rule-form');
+        this.fields = this.form.elements; // form.name/form.action would be shadowed by the built-in properties
+        this.status = document.getElementById('status');
+    }
+
+    static patternHints = {
+        Domain: 'Matches when the domain contains this text, e.g. tiktok.com',
+        URL: 'Matches when the full URL contains this text, e.g. youtube.com/shorts',
+        Keyword: 'Matches when this word appears anywhere in the URL',
+        Category: 'Optional for Category rules; the categories below are used for matching',
+        IPAddress: 'IP address, e.g. 203.0.113.10',
+        Port: 'Port number, e.g. 25565'
+    };
+
+    async init() {
+        document.getElementById('add-rule').addEventListener('click', () => this.openEditor());
+        document.getElementById('cancel-edit').addEventListener('click', () => this.closeEditor());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        this.fields.type.addEventListener('change', () => this.updatePatternHint());
+
+        this.list.addEventListener('click', (e) => this.handleListClick(e));
+        this.list.addEventListener('change', (e) => this.handleListChange(e));
+        this.bindDragAndDrop();
+
+        await this.load();
+        this.openFromHash();
+        window.addEventListener('hashchange', () => this.openFromHash());
+    }
+
+    async load() {
+        try {
+            this.rules = await this.request('/api/filters');
+            this.render();
+        } catch (error) {
+            console.error('❌ Failed to load filter rules:', error);
+            setHtml(this.list, html`
+                <li class="error-state">
+                    ⚠️ Could not load filter rules.
+                    <button class="btn small" data-action="reload">Try Again</button>
+                </li>
+            `);
+        }
+    }
+
+    render() {
+        const enabled = this.rules.filter(r => r.isEnabled).length;
+        document.getElementById('rule-count').textContent =
+            `${this.rules.length} rules • ${enabled} enabled`;
+
+        if (!this.rules.length) {
+            setHtml(this.list, html`<li class="empty-state">No filter rules yet. Add one to get started.</li>`);
+            return;
+        }
+
+        setHtml(this.list, this.rules.map((rule, index) => html`
+            <li class="rule-item${rule.isEnabled ? '' : ' disabled'}" id="rule-${rule.id}" data-rule-id="${rule.id}" draggable="true">
+                <span class="drag-handle" title="Drag to change priority">⠿</span>
+                <span class="rule-priority" title="Priority">${index + 1}</span>
+                <div class="rule-body">
+                    <div class="rule-name">
+                        ${rule.name}
+                        <span class="badge ${this.actionBadge(rule.action)}">${rule.action}</span>
+                        <span class="badge">${rule.type}</span>
+                    </div>
+                    <div class="rule-meta">${this.describeMatch(rule)}</div>
+                    ${rule.description && html`<div class="rule-meta">${rule.description}</div>`}
+                </div>
+                <label class="form-check" title="Enable or disable this rule">
+                    <input type="checkbox" data-action="toggle"${rule.isEnabled ? ' checked' : ''}>
+                </label>
+                <div class="rule-actions">
+                    <button class="btn small secondary" data-action="move-up" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                    <button class="btn small secondary" data-action="move-down" title="Move down"${index === this.rules.length - 1 ? ' disabled' : ''}>↓</button>
+                    <button class="btn small" data-action="edit">Edit</button>
+                    <button class="btn small danger" data-action="delete">Delete</button>
+                </div>
+            </li>
+        `));
+    }
+
+    describeMatch(rule) {
+        const parts = [];
+        if (rule.pattern) parts.push(`Pattern: ${rule.pattern}`);
+        if (rule.categories?.length) parts.push(`Categories: ${rule.categories.join(', ')}`);
+        return parts.join(' • ') || 'No pattern';
+    }
+
+    actionBadge(action) {
+        return { Block: 'danger', Allow: 'success', Redirect: 'warning', Monitor: 'info' }[action] || '';
+    }
+
+    handleListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'reload') {
+            this.load();
+            return;
+        }
+
+        const ruleId = button.closest('.rule-item')?.dataset.ruleId;
+        const index = this.rules.findIndex(r => r.id === ruleId);
+        if (index < 0) return;
+
+        switch (button.dataset.action) {
+            case 'edit':
+                this.openEditor(this.rules[index]);
+                break;
+            case 'delete':
+                this.remove(this.rules[index]);
+                break;
+            case 'move-up':
+                this.move(index, index - 1);
+                break;
+            case 'move-down':
+                this.move(index, index + 1);
+                break;
+        }
+    }
+
+    async handleListChange(e) {
+        if (e.target.dataset.action !== 'toggle') return;
+
+        const ruleId = e.target.closest('.rule-item').dataset.ruleId;
+        const rule = this.rules.find(r => r.id === ruleId);
+        try {
+            const updated = await this.request(`/api/filters/${encodeURIComponent(rule.id)}`, 'PUT', { ...rule, isEnabled: e.target.checked });
+            Object.assign(rule, updated);
+            this.showStatus(`${rule.isEnabled ? 'Enabled' : 'Disabled'} "${rule.name}"`, 'success');
+        } catch (error) {
+            e.target.checked = rule.isEnabled;
+            this.showStatus(`Could not update "${rule.name}": ${error.message}`, 'error');
+        }
+        this.render();
+    }
+
+    bindDragAndDrop() {
+        this.list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.rule-item');
+            if (!item) return;
+            this.draggedId = item.dataset.ruleId;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.draggedId);
+        });
+
+        this.list.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.rule-item');
+            if (!this.draggedId || !item) return;
+            e.preventDefault();
+            this.list.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            if (item.dataset.ruleId !== this.draggedId) {
+                item.classList.add('drop-target');
+            }
+        });
+
+        this.list.addEventListener('drop', (e) => {
+            const item = e.target.closest('.rule-item');
+            if (!this.draggedId || !item) return;
+            e.preventDefault();
+
+            const from = this.rules.findIndex(r => r.id === this.draggedId);
+            const to = this.rules.findIndex(r => r.id === item.dataset.ruleId);
+            if (from >= 0 && to >= 0 && from !== to) {
+                this.move(from, to);
+            }
+        });
+
+        this.list.addEventListener('dragend', () => {
+            this.draggedId = null;
+            this.list.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+        });
+    }
+
+    async move(from, to) {
+        if (to < 0 || to >= this.rules.length) return;
+
+        const previous = [...this.rules];
+        const [rule] = this.rules.splice(from, 1);
+        this.rules.splice(to, 0, rule);
+        this.render();
+
+        try {
+            this.rules = await this.request('/api/filters/order', 'PUT', { ruleIds: this.rules.map(r => r.id) });
+            this.render();
+        } catch (error) {
+            this.rules = previous;
+            this.render();
+            this.showStatus(`Could not save the new order: ${error.message}`, 'error');
+        }
+    }
+
+    openEditor(rule = null) {
+        this.editingId = rule?.id ?? null;
+        document.getElementById('editor-title').textContent = rule ? `Edit "${rule.name}"` : 'New Rule';
+
+        this.form.reset();
+        this.fields.name.value = rule?.name ?? '';
+        this.fields.type.value = rule?.type ?? 'Domain';
+        this.fields.action.value = rule?.action ?? 'Block';
+        this.fields.priority.value = rule ? this.rules.indexOf(rule) + 1 : '';
+        this.fields.pattern.value = rule?.pattern ?? '';
+        this.fields.categories.value = rule?.categories?.join(', ') ?? '';
+        this.fields.description.value = rule?.description ?? '';
+        this.fields.isEnabled.checked = rule?.isEnabled ?? true;
+        this.updatePatternHint();
+        this.setFormError(null);
+
+        this.editor.hidden = false;
+        this.editor.scrollIntoView({ behavior: 'smooth' });
+        this.fields.name.focus();
+    }
+
+    closeEditor() {
+        this.editor.hidden = true;
+        this.editingId = null;
+        if (location.hash.startsWith('#rule-')) {
+            history.replaceState(null, '', location.pathname);
+        }
+    }
+
+    updatePatternHint() {
+        document.getElementById('pattern-hint').textContent = FilterRulesEditor.patternHints[this.fields.type.value] || '';
+    }
+
+    async save() {
+        const priority = this.fields.priority.value ? Number(this.fields.priority.value) : null;
+        const rule = {
+            name: this.fields.name.value.trim(),
+            description: this.fields.description.value.trim(),
+            type: this.fields.type.value,
+            pattern: this.fields.pattern.value.trim(),
+            action: this.fields.action.value,
+            categories: this.fields.categories.value.split(',').map(c => c.trim()).filter(Boolean),
+            isEnabled: this.fields.isEnabled.checked
+        };
+
+        if (!rule.name) {
+            this.setFormError('Please give the rule a name.');
+            return;
+        }
+        if (rule.type === 'Category' ? !rule.categories.length : !rule.pattern) {
+            this.setFormError(rule.type === 'Category' ? 'Category rules need at least one category.' : 'Please enter a pattern.');
+            return;
+        }
+
+        const submit = this.form.querySelector('[type="submit"]');
+        submit.disabled = true;
+
+        try {
+            const saved = this.editingId
+                ? await this.request(`/api/filters/${encodeURIComponent(this.editingId)}`, 'PUT', rule)
+                : await this.request('/api/filters', 'POST', rule);
+
+            // Priority is a position in the list, so move the rule there explicitly
+            await this.load();
+            const index = this.rules.findIndex(r => r.id === saved.id);
+            if (priority !== null && index >= 0 && index !== priority - 1) {
+                await this.move(index, Math.min(priority, this.rules.length) - 1);
+            }
+
+            this.showStatus(`Saved "${saved.name}"`, 'success');
+            this.closeEditor();
+        } catch (error) {
+            this.setFormError(`Could not save the rule: ${error.message}`);
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    async remove(rule) {
+        if (!confirm(`Delete the rule "${rule.name}"? This cannot be undone.`)) return;
+
+        try {
+            await this.request(`/api/filters/${encodeURIComponent(rule.id)}`, 'DELETE');
+            this.rules = this.rules.filter(r => r.id !== rule.id);
+            if (this.editingId === rule.id) this.closeEditor();
+            this.render();
+            this.showStatus(`Deleted "${rule.name}"`, 'success');
+        } catch (error) {
+            this.showStatus(`Could not delete "${rule.name}": ${error.message}`, 'error');
+        }
+    }
+
+    openFromHash() {
+        // Links such as /filters.html#rule-2 open that rule for editing
+        const match = /^#rule-(.+)$/.exec(location.hash);
+        if (!match) return;
+
+        const ruleId = decodeURIComponent(match[1]);
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule) {
+            this.showStatus('That rule no longer exists.', 'error');
+            return;
+        }
+
+        this.list.querySelectorAll('.highlight').forEach(el => el.classList.remove('highlight'));
+        document.getElementById(`rule-${ruleId}`)?.classList.add('highlight');
+        this.openEditor(rule);
+    }
+
+    setFormError(message) {
+        const error = document.getElementById('form-error');
+        error.textContent = message ?? '';
+        error.hidden = !message;
+    }
+
+    showStatus(message, type = 'info') {
+        this.status.textContent = message;
+        this.status.className = `status-message ${type}`;
+        this.status.hidden = false;
+
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => { this.status.hidden = true; }, 4000);
+    }
+
+    async request(url, method = 'GET', body = undefined) {
+        const response = await fetch(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Server responded with ${response.status}`);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new FilterRulesEditor().init();
+});
@@ -0,0 +1,313 @@
+// PocketFence guidance browser
+// Pick a child and a safety topic to get age-appropriate conversation starters and guidance from
+// /api/guidance. Starters and tips can be kept as favorites or marked once the talk has happened;
+// both are saved on the server per child, so every parent's phone sees the same list.
+class GuidanceBrowser {
+    static ageGroups = {
+        YoungChild: 'Under 9',
+        Preteen: '9–12',
+        Teen: '13–17',
+        YoungAdult: '18+'
+    };
+
+    constructor() {
+        this.modal = null;
+        this.children = [];
+        this.topics = [];
+        this.deviceId = null;
+        this.topic = null;
+        this.guidance = null;
+        this.notes = new Map();     // text -> saved note
+        this.pending = new Set();   // texts with a save in flight
+    }
+
+    get isOpen() {
+        return this.modal !== null;
+    }
+
+    async open(topic = null) {
+        if (this.isOpen) return;
+
+        this.render();
+        try {
+            [this.children, this.topics] = await Promise.all([
+                this.fetchJson('/api/guidance/children'),
+                this.fetchJson('/api/guidance/topics')
+            ]);
+        } catch (error) {
+            console.error('❌ Failed to open guidance browser:', error);
+            this.showError('Could not load guidance. Check that PocketFence is running.');
+            return;
+        }
+
+        if (!this.isOpen) return;
+        this.topic = this.topics.includes(topic) ? topic : (this.topic ?? this.topics[0]);
+        if (!this.children.some(child => child.deviceId === this.deviceId)) {
+            this.deviceId = this.children[0]?.deviceId ?? null;
+        }
+        this.renderToolbar();
+        await this.load();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.modal.remove();
+        this.modal = null;
+    }
+
+    render() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal guidance-browser';
+        this.modal.style.display = 'flex';
+        setHtml(this.modal, html`
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>💬 Talk With Your Child</h2>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="guidance-toolbar"></div>
+                    <div class="guidance-content">
+                        <p class="loading">Loading guidance...</p>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        this.modal.addEventListener('click', (e) => this.handleClick(e));
+        this.modal.addEventListener('change', (e) => this.handleChange(e));
+        document.body.appendChild(this.modal);
+    }
+
+    renderToolbar() {
+        const toolbar = this.modal.querySelector('.guidance-toolbar');
+        if (!this.children.length) {
+            toolbar.replaceChildren();
+            setHtml(this.modal.querySelector('.guidance-content'), html`
+                <p class="empty-state">
+                    No child's devices yet. Open <strong>Connected Devices</strong>, choose <strong>Manage</strong> on your child's device
+                    and tick “This is a child's device” to get guidance tailored to them.
+                </p>
+            `);
+            return;
+        }
+
+        const child = this.currentChild;
+        setHtml(toolbar, html`
+            <label class="form-field">
+                <span>Child</span>
+                <select name="child">
+                    ${this.children.map(c => html`<option value="${c.deviceId}"${c.deviceId === this.deviceId && ' selected'}>${c.name}</option>`)}
+                </select>
+            </label>
+            <label class="form-field">
+                <span>Age</span>
+                <select name="ageGroup">
+                    ${Object.entries(GuidanceBrowser.ageGroups).map(([value, label]) =>
+                        html`<option value="${value}"${value === child.ageGroup && ' selected'}>${label}</option>`)}
+                </select>
+            </label>
+            <label class="form-field">
+                <span>Topic</span>
+                <select name="topic">
+                    ${this.topics.map(t => html`<option value="${t}"${t === this.topic && ' selected'}>${GuidanceBrowser.topicLabel(t)}</option>`)}
+                </select>
+            </label>
+        `);
+    }
+
+    get currentChild() {
+        return this.children.find(child => child.deviceId === this.deviceId);
+    }
+
+    async load() {
+        if (!this.deviceId) return;
+
+        const deviceId = this.deviceId;
+        const topic = this.topic;
+        const content = this.modal.querySelector('.guidance-content');
+        setHtml(content, html`<p class="loading">Loading guidance...</p>`);
+
+        try {
+            const guidance = await this.fetchJson(
+                `/api/guidance/${encodeURIComponent(deviceId)}?topic=${encodeURIComponent(topic)}`);
+
+            // The child or topic may have changed while the request was in flight
+            if (!this.isOpen || this.deviceId !== deviceId || this.topic !== topic) return;
+
+            this.guidance = guidance;
+            this.notes = new Map(guidance.notes.map(note => [note.text, note]));
+            this.renderGuidance();
+        } catch (error) {
+            console.error('❌ Failed to load guidance:', error);
+            if (this.isOpen) this.showError('Could not load guidance for this child.');
+        }
+    }
+
+    renderGuidance() {
+        const { starters, safety } = this.guidance;
+        const saved = [...this.notes.values()];
+        const favorites = saved.filter(note => note.isFavorite);
+        const discussed = saved
+            .filter(note => note.discussedAt)
+            .sort((a, b) => new Date(b.discussedAt) - new Date(a.discussedAt));
+
+        setHtml(this.modal.querySelector('.guidance-content'), html`
+            <section>
+                <h3>🗣️ Conversation starters</h3>
+                <ul class="guidance-list">${starters.map(text => this.renderItem(text, null))}</ul>
+            </section>
+            <section>
+                <h3>🛡️ ${GuidanceBrowser.topicLabel(safety.topic)}</h3>
+                <p>${safety.content}</p>
+                <h4>Tips</h4>
+                <ul class="guidance-list">${safety.tips.map(text => this.renderItem(text, safety.topic))}</ul>
+                <h4>Warning signs to watch for</h4>
+                <ul>${safety.warningSigns.map(sign => html`<li>${sign}</li>`)}</ul>
+                <h4>Helpful resources</h4>
+                <ul>${safety.resources.map(resource => html`<li>${resource}</li>`)}</ul>
+            </section>
+            <section>
+                <h3>⭐ Favorites</h3>
+                ${favorites.length
+                    ? html`<ul class="guidance-list">${favorites.map(note => this.renderItem(note.text, note.topic))}</ul>`
+                    : html`<p class="empty-state">Tap ☆ on a starter or tip to keep it here.</p>`}
+            </section>
+            <section>
+                <h3>✅ Talks you've had</h3>
+                ${discussed.length
+                    ? html`<ul class="guidance-list">${discussed.map(note => html`
+                        <li>
+                            <span class="guidance-text">${note.text}</span>
+                            <span class="guidance-date">${new Date(note.discussedAt).toLocaleDateString()}</span>
+                        </li>`)}</ul>`
+                    : html`<p class="empty-state">Mark a starter or tip as discussed once you've talked about it.</p>`}
+            </section>
+        `);
+    }
+
+    renderItem(text, topic) {
+        const note = this.notes.get(text);
+        const busy = this.pending.has(text);
+        return html`
+            <li class="guidance-item${note?.discussedAt && ' discussed'}" data-text="${text}" data-topic="${topic ?? ''}">
+                <span class="guidance-text">${text}</span>
+                <span class="guidance-actions">
+                    <button class="btn small secondary" data-action="favorite" aria-pressed="${Boolean(note?.isFavorite)}"
+                        title="${note?.isFavorite ? 'Remove from favorites' : 'Save as favorite'}"${busy && ' disabled'}>${note?.isFavorite ? '★' : '☆'}</button>
+                    <button class="btn small ${note?.discussedAt ? 'success' : 'secondary'}" data-action="discussed" aria-pressed="${Boolean(note?.discussedAt)}"${busy && ' disabled'}>
+                        ${note?.discussedAt ? '✓ Talked' : 'We talked'}
+                    </button>
+                </span>
+            </li>
+        `;
+    }
+
+    handleClick(e) {
+        if (e.target === this.modal || e.target.closest('[data-action="close"]')) {
+            this.close();
+            return;
+        }
+
+        const button = e.target.closest('button[data-action]');
+        const item = button?.closest('.guidance-item');
+        if (!item) return;
+
+        const { text, topic } = item.dataset;
+        const note = this.notes.get(text);
+        if (button.dataset.action === 'favorite') {
+            this.updateNote(text, topic || null, { isFavorite: !note?.isFavorite });
+        } else if (button.dataset.action === 'discussed') {
+            this.updateNote(text, topic || null, { discussed: !note?.discussedAt });
+        }
+    }
+
+    async handleChange(e) {
+        const { name, value } = e.target;
+        if (name === 'child') {
+            this.deviceId = value;
+            this.renderToolbar();
+            await this.load();
+        } else if (name === 'topic') {
+            this.topic = value;
+            await this.load();
+        } else if (name === 'ageGroup') {
+            await this.saveAgeGroup(value);
+        }
+    }
+
+    async saveAgeGroup(ageGroup) {
+        const child = this.currentChild;
+        try {
+            const response = await fetch(`/api/guidance/${encodeURIComponent(child.deviceId)}/age-group`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ageGroup })
+            });
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `Server responded with ${response.status}`);
+            }
+            child.ageGroup = ageGroup;
+            await this.load();
+        } catch (error) {
+            console.error('❌ Failed to save age group:', error);
+            alert(`Could not change the age group: ${error.message}`);
+            this.renderToolbar();
+        }
+    }
+
+    async updateNote(text, topic, change) {
+        if (this.pending.has(text)) return;
+
+        const deviceId = this.deviceId;
+        this.pending.add(text);
+        this.renderGuidance();
+
+        try {
+            const response = await fetch(`/api/guidance/${encodeURIComponent(deviceId)}/notes`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text, topic, ...change })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || `Server responded with ${response.status}`);
+
+            if (this.deviceId === deviceId) {
+                if (result.note) {
+                    this.notes.set(text, result.note);
+                } else {
+                    this.notes.delete(text);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Failed to save guidance note:', error);
+            alert(`Could not save that change: ${error.message}`);
+        } finally {
+            this.pending.delete(text);
+            if (this.isOpen && this.guidance) this.renderGuidance();
+        }
+    }
+
+    showError(message) {
+        setHtml(this.modal.querySelector('.guidance-content'), html`<p class="empty-state">⚠️ ${message}</p>`);
+    }
+
+    static topicLabel(topic) {
+        const label = topic.replace(/-/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${url} responded with ${response.status}`);
+        }
+        return response.json();
+    }
+}
+
+function showGuidanceBrowser(topic = null) {
+    window.guidanceBrowser ??= new GuidanceBrowser();
+    window.guidanceBrowser.open(topic);
+}
@@ -0,0 +1,67 @@
+// PocketFence HTML helpers shared by the dashboard and secondary pages
+//
+// Markup is built with the html`` tag, which escapes every interpolated value, and written into the page
+// with setHtml/insertHtml, which only accept what html`` (or raw) produced:
+//
+//     setHtml(list, html`<li class="${status}">${device.deviceName}</li>`);
+//
+// Nested html`` fragments and arrays of them are inserted as-is, so templates compose without escaping twice.
+// null, undefined and false render as nothing, which keeps `${condition && html`...`}` readable.
+
+// Escape text before interpolating it into HTML markup
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Markup that is already safe to insert: the output of html`` or raw()
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => {
+        markup += renderHtmlValue(value) + strings[i + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+// Trust a string as markup. Only for fixed markup written in this codebase, never for data.
+function raw(markup) {
+    return new SafeHtml(String(markup));
+}
+
+function renderHtmlValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+function setHtml(element, fragment) {
+    element.innerHTML = toSafeMarkup(fragment);
+}
+
+function insertHtml(element, position, fragment) {
+    element.insertAdjacentHTML(position, toSafeMarkup(fragment));
+}
+
+// Accepts a fragment or a list of fragments, such as the result of items.map(item => html`...`)
+function toSafeMarkup(fragment) {
+    if (Array.isArray(fragment)) return fragment.map(toSafeMarkup).join('');
+    if (!(fragment instanceof SafeHtml)) {
+        throw new TypeError('Expected markup from html`` or raw(); plain strings are not inserted as HTML');
+    }
+    return fragment.markup;
+}
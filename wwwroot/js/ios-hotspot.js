@@ -103,7 +103,7 @@ class iOSHotspotManager {
     }
 
     showInstallPrompt() {
-        const promptHTML = `
+        const promptHTML = html`
             <div id="ios-install-prompt" class="ios-install-banner">
                 <div class="install-content">
                     <div class="install-icon">📱</div>
@@ -119,7 +119,7 @@ class iOSHotspotManager {
             </div>
         `;
 
-        document.body.insertAdjacentHTML('afterbegin', promptHTML);
+        insertHtml(document.body, 'afterbegin', promptHTML);
 
         // Auto-hide after 10 seconds
         setTimeout(() => {
@@ -130,83 +130,237 @@ class iOSHotspotManager {
         }, 10000);
     }
 
-    async generateHotspotQR(ssid, password) {
+    /**
+     * Show a join-network QR code. The payload is built here, so this works even when PocketFence is unreachable.
+     * @param {string} ssid
+     * @param {string} password
+     * @param {object} [options]
+     * @param {'WPA'|'WPA2'|'WPA3'|'WEP'|'None'} [options.security='WPA2']
+     * @param {boolean} [options.hidden=false]
+     */
+    generateHotspotQR(ssid, password, { security = 'WPA2', hidden = false } = {}) {
         try {
-            const response = await fetch(`/api/ios/wifi-qr/${encodeURIComponent(ssid)}?password=${encodeURIComponent(password)}`);
-            const data = await response.json();
-            
-            if (data.success) {
-                this.displayQRCode(data.qrCode, data.wifiString);
-                return data;
-            } else {
-                throw new Error(data.message || 'Failed to generate QR code');
-            }
+            const network = { ssid, password, security, hidden };
+            const wifiString = WiFiQrPayload.build(network);
+            this.displayQRCode(wifiString, network);
+            return wifiString;
         } catch (error) {
             console.error('❌ Failed to generate WiFi QR code:', error);
             throw error;
         }
     }
 
-    displayQRCode(qrCodeData, wifiString) {
-        const qrModal = `
-            <div id="wifi-qr-modal" class="modal-overlay" onclick="this.remove()">
-                <div class="modal-content" onclick="event.stopPropagation()">
+    /**
+     * Everything a phone needs to join the hotspot: the QR code, dashboard addresses, step-by-step
+     * instructions and an installable configuration profile.
+     */
+    async showConnectionInfo() {
+        try {
+            const credentialsResponse = await fetch('/api/dashboard/hotspot/credentials', { cache: 'no-store' });
+            const credentials = await credentialsResponse.json().catch(() => ({}));
+            if (!credentialsResponse.ok) {
+                throw new Error(credentials.error || `Server responded with ${credentialsResponse.status}`);
+            }
+
+            const response = await fetch('/api/ios/generate-connection-info', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ssid: credentials.ssid,
+                    password: credentials.password,
+                    security: credentials.security,
+                    hidden: credentials.hidden
+                })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || `Server responded with ${response.status}`);
+            }
+
+            const info = result.data;
+            this.updateHotspotInfo(info);
+            this.displayQRCode(info.qrCodeData, {
+                ssid: credentials.ssid,
+                password: credentials.password,
+                security: credentials.security,
+                hidden: credentials.hidden
+            }, info);
+        } catch (error) {
+            console.error('❌ Failed to load hotspot connection info:', error);
+            alert(`Could not show the hotspot QR code: ${error.message}`);
+        }
+    }
+
+    // Fill in the network details shown on the hotspot card
+    updateHotspotInfo(info) {
+        const ssid = document.getElementById('network-ssid');
+        const url = document.getElementById('network-url');
+        if (ssid) ssid.textContent = info.ssid;
+        if (url) url.textContent = info.dashboardUrl;
+        if (this.isIOS) {
+            const panel = document.getElementById('ios-info');
+            if (panel) panel.style.display = '';
+        }
+    }
+
+    displayQRCode(wifiString, { ssid, password, security = 'WPA2', hidden = false }, connectionInfo = null) {
+        document.getElementById('wifi-qr-modal')?.remove();
+
+        // High error correction keeps the code readable when printed small or slightly damaged
+        const qr = QRCode.encode(wifiString, { ecc: 'H' });
+
+        const qrModal = html`
+            <div id="wifi-qr-modal" class="modal-overlay">
+                <div class="modal-content">
                     <div class="modal-header">
                         <h3>📱 WiFi QR Code</h3>
-                        <button class="modal-close" onclick="document.getElementById('wifi-qr-modal').remove()">×</button>
+                        <button class="modal-close" data-action="close" aria-label="Close">×</button>
                     </div>
                     <div class="modal-body text-center">
                         <div class="qr-code-container">
-                            <canvas id="qr-canvas"></canvas>
+                            <canvas id="qr-canvas" role="img" aria-label="QR code to join ${ssid}"></canvas>
                         </div>
                         <p class="qr-instructions">
                             <strong>📷 Scan with Camera</strong><br>
                             Point your iOS camera at this QR code to connect automatically
                         </p>
                         <div class="wifi-details">
-                            <p><strong>Network:</strong> ${wifiString.match(/S:([^;]+)/)?.[1] || 'N/A'}</p>
-                            <button class="btn secondary" onclick="navigator.clipboard?.writeText('${wifiString}')">
-                                📋 Copy WiFi String
-                            </button>
+                            <p><strong>Network:</strong> ${ssid}${hidden ? ' (hidden)' : ''}</p>
+                            <p><strong>Security:</strong> ${security === 'None' ? 'Open (no password)' : security}</p>
+                            <div class="qr-actions">
+                                <button class="btn secondary" data-action="copy">📋 Copy WiFi String</button>
+                                <button class="btn secondary" data-action="png">⬇️ PNG</button>
+                                <button class="btn secondary" data-action="svg">⬇️ SVG</button>
+                                <button class="btn secondary" data-action="print">🖨️ Print Card</button>
+                            </div>
                         </div>
+                        ${connectionInfo && this.renderConnectionInfo(connectionInfo)}
                     </div>
                 </div>
             </div>
         `;
 
-        document.body.insertAdjacentHTML('beforeend', qrModal);
-        this.generateQRCodeCanvas(wifiString, 'qr-canvas');
-    }
+        insertHtml(document.body, 'beforeend', qrModal);
+        const modal = document.getElementById('wifi-qr-modal');
+        qr.renderToCanvas(document.getElementById('qr-canvas'), { size: 240 });
 
-    generateQRCodeCanvas(text, canvasId) {
-        // Simple QR code generation using a library (QR.js would be included)
-        // For now, we'll create a placeholder
-        const canvas = document.getElementById(canvasId);
-        const ctx = canvas.getContext('2d');
-        
-        canvas.width = 200;
-        canvas.height = 200;
-        
-        // Draw a simple placeholder QR code pattern
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, 200, 200);
-        ctx.fillStyle = '#fff';
-        ctx.fillRect(10, 10, 180, 180);
-        ctx.fillStyle = '#000';
-        
-        // Draw QR code-like pattern
-        for (let i = 0; i < 20; i++) {
-            for (let j = 0; j < 20; j++) {
-                if ((i + j) % 3 === 0) {
-                    ctx.fillRect(i * 9 + 10, j * 9 + 10, 8, 8);
-                }
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal) {
+                modal.remove();
+                return;
             }
+
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            switch (action) {
+                case 'close':
+                    modal.remove();
+                    break;
+                case 'copy':
+                    navigator.clipboard?.writeText(wifiString);
+                    break;
+                case 'png':
+                    this.downloadFile(await qr.toPNG(), this.qrFileName(ssid, 'png'));
+                    break;
+                case 'svg':
+                    this.downloadFile(new Blob([qr.toSVG()], { type: 'image/svg+xml' }), this.qrFileName(ssid, 'svg'));
+                    break;
+                case 'print':
+                    this.printWiFiCard(qr, { ssid, password, security, hidden });
+                    break;
+                case 'profile':
+                    this.downloadFile(
+                        new Blob([connectionInfo.iOSWiFiProfile], { type: 'application/x-apple-aspen-config' }),
+                        this.qrFileName(ssid, 'mobileconfig'));
+                    break;
+            }
+        });
+    }
+
+    renderConnectionInfo(info) {
+        return html`
+            <div class="connection-info">
+                <h4>🌐 Open the dashboard</h4>
+                <p><a href="${info.dashboardUrl}" target="_blank" rel="noopener">${info.dashboardUrl}</a></p>
+                <p><a href="${info.secureDashboardUrl}" target="_blank" rel="noopener">${info.secureDashboardUrl}</a> (secure)</p>
+
+                <h4>📋 How to connect</h4>
+                <ol class="connection-steps">
+                    ${info.connectionInstructions.map(step => html`<li>${step.replace(/^\d+\.\s*/, '')}</li>`)}
+                </ol>
+
+                <button class="btn full-width" data-action="profile">⬇️ Install WiFi Profile (.mobileconfig)</button>
+                <p class="qr-instructions">On iPhone or iPad, open the downloaded profile in Settings › Profile Downloaded to join automatically.</p>
+            </div>
+        `;
+    }
+
+    qrFileName(ssid, extension) {
+        const name = ssid.replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '') || 'network';
+        return `pocketfence-wifi-${name}.${extension}`;
+    }
+
+    downloadFile(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // A card to print and leave by the door: the code, the network name and the password as a fallback
+    printWiFiCard(qr, { ssid, password, security, hidden }) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.showTemporaryMessage('⚠️ Allow pop-ups to print the WiFi card');
+            return;
         }
-        
-        // Add text overlay
-        ctx.fillStyle = '#fff';
-        ctx.font = '12px monospace';
-        ctx.fillText('QR Code', 75, 105);
+
+        const card = html`<!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <title>WiFi - ${ssid}</title>
+                <style>
+                    @page { margin: 1.5cm; }
+                    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; }
+                    .wifi-card {
+                        width: 9cm;
+                        margin: 0 auto;
+                        padding: 0.8cm;
+                        border: 2px dashed #999;
+                        border-radius: 12px;
+                        text-align: center;
+                        break-inside: avoid;
+                    }
+                    .wifi-card h1 { font-size: 20pt; margin: 0 0 0.3cm; }
+                    .wifi-card .qr { width: 6cm; height: 6cm; margin: 0 auto; }
+                    .wifi-card .qr svg { width: 100%; height: 100%; }
+                    .wifi-card dl { margin: 0.4cm 0 0; font-size: 12pt; }
+                    .wifi-card dt { color: #555; font-size: 9pt; text-transform: uppercase; letter-spacing: 0.05em; }
+                    .wifi-card dd { margin: 0 0 0.25cm; font-family: ui-monospace, Menlo, Consolas, monospace; font-weight: 600; word-break: break-all; }
+                    .wifi-card footer { margin-top: 0.3cm; color: #777; font-size: 8pt; }
+                </style>
+            </head>
+            <body>
+                <div class="wifi-card">
+                    <h1>📶 Join our WiFi</h1>
+                    <div class="qr">${raw(qr.toSVG())}</div>
+                    <dl>
+                        <dt>Network</dt>
+                        <dd>${ssid}${hidden ? ' (hidden)' : ''}</dd>
+                        ${security !== 'None' && html`<dt>Password</dt><dd>${password}</dd>`}
+                    </dl>
+                    <footer>Scan with your phone camera to connect · Protected by PocketFence</footer>
+                </div>
+            </body>
+            </html>`;
+
+        printWindow.document.write(card.toString());
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
     }
 
     async registerIOSDevice() {
@@ -278,7 +432,7 @@ class iOSHotspotManager {
     }
 
     showIOSOnboardingTips() {
-        const tips = `
+        const tips = html`
             <div id="ios-tips-modal" class="modal-overlay">
                 <div class="modal-content">
                     <div class="modal-header">
@@ -292,7 +446,7 @@ class iOSHotspotManager {
                             <li>📱 Use camera to scan WiFi QR codes instantly</li>
                             <li>🔄 Pull down to refresh dashboard data</li>
                             <li>👆 Tap and hold for additional options</li>
-                            <li>🔊 Enable notifications for real-time alerts</li>
+                            <li>🔔 Turn on browser notifications from the bell for real-time alerts</li>
                         </ul>
                         <button class="btn primary full-width" onclick="document.getElementById('ios-tips-modal').remove()">
                             Got it! 👍
@@ -303,7 +457,7 @@ class iOSHotspotManager {
         `;
 
         setTimeout(() => {
-            document.body.insertAdjacentHTML('beforeend', tips);
+            insertHtml(document.body, 'beforeend', tips);
         }, 2000);
     }
 
@@ -352,7 +506,7 @@ class iOSHotspotManager {
         if (!document.getElementById('pull-refresh-indicator')) {
             const indicator = document.createElement('div');
             indicator.id = 'pull-refresh-indicator';
-            indicator.innerHTML = '🔄 Release to refresh';
+            indicator.textContent = '🔄 Release to refresh';
             indicator.style.cssText = `
                 position: fixed;
                 top: 20px;
@@ -380,7 +534,7 @@ class iOSHotspotManager {
     triggerRefresh() {
         console.log('🔄 Pull-to-refresh triggered');
         if (window.dashboard) {
-            window.dashboard.refreshData();
+            window.dashboard.loadDashboardData();
         }
         
         // Show success feedback
@@ -528,6 +682,31 @@ const animationStyles = `
         font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display';
     }
     
+    .connection-info {
+        text-align: left;
+        margin-top: 16px;
+    }
+
+    .connection-info h4 {
+        margin: 16px 0 8px;
+    }
+
+    .connection-info a {
+        word-break: break-all;
+    }
+
+    .connection-steps {
+        padding-left: 20px;
+        margin-bottom: 16px;
+        line-height: 1.6;
+    }
+
+    .qr-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+    }
+
     .tips-list {
         margin: 16px 0;
         padding-left: 0;
@@ -563,4 +742,9 @@ if (document.readyState === 'loading') {
     });
 } else {
     window.iOSManager = new iOSHotspotManager();
-}
\ No newline at end of file
+}
+
+// Hotspot card 📱 button
+function showHotspotQR() {
+    window.iOSManager?.showConnectionInfo();
+}
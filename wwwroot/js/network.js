@@ -0,0 +1,215 @@
+// PocketFence network statistics page (network.html)
+// Loads a time range from the network API, then follows live throughput samples on the hub's network group.
+class NetworkStatsPage {
+    constructor() {
+        this.connection = new DashboardConnection();
+        this.range = localStorage.getItem('network-range') ?? '1h';
+        this.stats = null;
+        this.refreshTimer = null;
+        this.hasBeenLive = false;
+
+        this.throughputChart = new LineChart(document.getElementById('throughput-chart'), {
+            series: [
+                { label: 'Download', color: '--primary' },
+                { label: 'Upload', color: '--warning' }
+            ],
+            formatValue: value => `${formatBytes(value)}/s`
+        });
+        this.ratioChart = new DonutChart(document.getElementById('ratio-chart'));
+    }
+
+    static ranges = {
+        '15m': 15 * 60 * 1000,
+        '1h': 60 * 60 * 1000,
+        '6h': 6 * 60 * 60 * 1000,
+        '24h': 24 * 60 * 60 * 1000
+    };
+
+    // Device and destination totals only arrive with a full reload
+    static refreshInterval = 60000;
+
+    async init() {
+        if (!(this.range in NetworkStatsPage.ranges)) this.range = '1h';
+
+        document.getElementById('range-picker').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-range]');
+            if (button) this.setRange(button.dataset.range);
+        });
+        this.renderRangePicker();
+
+        this.connection.on('TrafficUpdated', (sample) => this.handleSample(sample));
+        this.connection.onStatusChange((status) => this.renderConnectionStatus(status));
+
+        await this.load();
+        await this.connection.start();
+        await this.connection.joinGroup('network');
+    }
+
+    setRange(range) {
+        if (range === this.range) return;
+        this.range = range;
+        localStorage.setItem('network-range', range);
+        this.renderRangePicker();
+        this.load();
+    }
+
+    async load() {
+        clearTimeout(this.refreshTimer);
+        const range = this.range;
+
+        try {
+            const response = await fetch(`/api/network/stats?range=${encodeURIComponent(range)}`, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+
+            const stats = await response.json();
+            if (range !== this.range) return;   // A newer range was picked while loading
+
+            this.stats = stats;
+            document.getElementById('load-error').hidden = true;
+            this.render();
+        } catch (error) {
+            console.error('❌ Failed to load network statistics:', error);
+            const message = document.getElementById('load-error');
+            message.textContent = `Could not load network statistics: ${error.message}`;
+            message.hidden = false;
+        } finally {
+            this.refreshTimer = setTimeout(() => this.load(), NetworkStatsPage.refreshInterval);
+        }
+    }
+
+    handleSample(sample) {
+        const stats = this.stats;
+        if (!stats) return;
+
+        // Fold the sample into the last point while it is still inside that point's bucket
+        const last = stats.throughput.at(-1);
+        const time = new Date(sample.timestamp).getTime();
+        if (last && time - new Date(last.timestamp).getTime() < stats.bucketSeconds * 1000 && stats.bucketSeconds > 5) {
+            const count = (last.samples ?? 1) + 1;
+            last.bytesInPerSecond += (sample.bytesInPerSecond - last.bytesInPerSecond) / count;
+            last.bytesOutPerSecond += (sample.bytesOutPerSecond - last.bytesOutPerSecond) / count;
+            last.samples = count;
+        } else {
+            stats.throughput.push(sample);
+        }
+
+        const from = time - NetworkStatsPage.ranges[stats.range];
+        stats.to = sample.timestamp;
+        stats.from = new Date(from).toISOString();
+        stats.throughput = stats.throughput.filter(p => new Date(p.timestamp).getTime() > from);
+        stats.allowedRequests += sample.allowedRequests;
+        stats.blockedRequests += sample.blockedRequests;
+
+        this.renderThroughput();
+        this.renderRatio();
+    }
+
+    render() {
+        this.renderThroughput();
+        this.renderRatio();
+        this.renderDevices();
+        this.renderDestinations();
+
+        document.getElementById('monitoring-hint').hidden = this.stats.isMonitoring;
+    }
+
+    renderThroughput() {
+        const { throughput, from, to } = this.stats;
+        this.throughputChart.render({
+            from: new Date(from).getTime(),
+            to: new Date(to).getTime(),
+            points: throughput.map(p => ({
+                time: new Date(p.timestamp).getTime(),
+                values: [p.bytesInPerSecond, p.bytesOutPerSecond]
+            }))
+        });
+
+        const latest = throughput.at(-1);
+        document.getElementById('current-download').textContent = latest ? `${formatBytes(latest.bytesInPerSecond)}/s` : '–';
+        document.getElementById('current-upload').textContent = latest ? `${formatBytes(latest.bytesOutPerSecond)}/s` : '–';
+    }
+
+    renderRatio() {
+        const { allowedRequests, blockedRequests } = this.stats;
+        const total = allowedRequests + blockedRequests;
+        this.ratioChart.render([
+            { label: 'Allowed', value: allowedRequests, color: '--success' },
+            { label: 'Blocked', value: blockedRequests, color: '--danger' }
+        ]);
+
+        const percent = value => total ? `${Math.round((value / total) * 100)}%` : '–';
+        setHtml(document.getElementById('ratio-legend'), html`
+            <li><span class="legend-swatch allowed"></span>Allowed <strong>${allowedRequests.toLocaleString()}</strong> (${percent(allowedRequests)})</li>
+            <li><span class="legend-swatch blocked"></span>Blocked <strong>${blockedRequests.toLocaleString()}</strong> (${percent(blockedRequests)})</li>
+        `);
+    }
+
+    renderDevices() {
+        const devices = this.stats.devices;
+        const list = document.getElementById('device-list');
+        if (devices.length === 0) {
+            setHtml(list, html`<li class="empty-state">No device traffic in this period</li>`);
+            return;
+        }
+
+        const max = Math.max(...devices.map(d => d.bytes), 1);
+        setHtml(list, devices.map(device => html`
+            <li class="bar-item">
+                <div class="bar-label">
+                    <span title="${device.macAddress}">${device.deviceName}</span>
+                    <span>${formatBytes(device.bytes)} • ${device.requests.toLocaleString()} requests${device.blockedRequests ? ` • ${device.blockedRequests.toLocaleString()} blocked` : ''}</span>
+                </div>
+                <div class="bar-track">
+                    <div class="bar-fill" style="width: ${(device.bytes / max) * 100}%"></div>
+                </div>
+            </li>
+        `));
+    }
+
+    renderDestinations() {
+        const destinations = this.stats.destinations;
+        const list = document.getElementById('destination-list');
+        if (destinations.length === 0) {
+            setHtml(list, html`<li class="empty-state">No destinations in this period</li>`);
+            return;
+        }
+
+        const max = Math.max(...destinations.map(d => d.requests), 1);
+        setHtml(list, destinations.map(destination => html`
+            <li class="bar-item">
+                <div class="bar-label">
+                    <span>${destination.domain}</span>
+                    <span>${destination.requests.toLocaleString()} requests${destination.blockedRequests ? ` • ${destination.blockedRequests.toLocaleString()} blocked` : ''}</span>
+                </div>
+                <div class="bar-track">
+                    <div class="bar-fill" style="width: ${(destination.requests / max) * 100}%"></div>
+                    <div class="bar-fill blocked" style="width: ${(destination.blockedRequests / max) * 100}%"></div>
+                </div>
+            </li>
+        `));
+    }
+
+    renderRangePicker() {
+        document.querySelectorAll('#range-picker button').forEach(button => {
+            button.classList.toggle('secondary', button.dataset.range !== this.range);
+            button.setAttribute('aria-pressed', button.dataset.range === this.range);
+        });
+    }
+
+    renderConnectionStatus(status) {
+        const badge = document.getElementById('live-status');
+        const labels = { live: '● Live', reconnecting: 'Reconnecting…', offline: 'Offline' };
+        badge.textContent = labels[status] || status;
+        badge.className = `badge ${status === 'live' ? 'success' : 'warning'}`;
+
+        // Samples missed while disconnected are only available from the API
+        if (status === 'live') {
+            if (this.hasBeenLive) this.load();
+            this.hasBeenLive = true;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new NetworkStatsPage().init();
+});
@@ -0,0 +1,316 @@
+// PocketFence notification center
+// The header bell: notifications from /api/notifications grouped by type or priority, with an unread count,
+// dismiss and dismiss-all, and buttons that run each notification's actions. New, read and dismissed
+// notifications arrive over the dashboard hub so every open dashboard stays in step. The panel also holds the
+// settings for browser notifications.
+class NotificationCenter {
+    static typeLabels = {
+        ThreatDetected: '🚨 Threats',
+        SecurityAlert: '🔐 Security',
+        ActionTaken: '🤖 AI actions',
+        InsightDiscovered: '🧠 Insights',
+        ParentalGuidance: '💬 Guidance',
+        SystemHealth: '🩺 System health',
+        SystemUpdate: '⬆️ Updates'
+    };
+
+    // Highest first
+    static priorityLabels = {
+        Critical: '🔴 Critical',
+        Urgent: '🟠 Urgent',
+        High: '🟡 High',
+        Normal: '🔵 Normal',
+        Low: '⚪ Low'
+    };
+
+    // What a notification's action buttons do, by NotificationAction.action
+    static actionHandlers = {
+        'review-threat': () => showThreatAlerts(),
+        'open-guidance': (parameters) => showGuidanceBrowser(parameters.topic),
+        'open-devices': () => showDevices(),
+        'open-ai-actions': () => showAIActions(),
+        'open-insights': () => showAIInsights()
+    };
+
+    // Run a notification action by name; false when this dashboard has no handler for it
+    static run(actionName, parameters = {}) {
+        const handler = NotificationCenter.actionHandlers[actionName];
+        if (!handler) {
+            console.warn('⚠️ Unknown notification action:', actionName);
+            return false;
+        }
+
+        handler(parameters);
+        return true;
+    }
+
+    constructor(bell, connection, browserNotifications = null) {
+        this.bell = bell;
+        this.count = bell.querySelector('.notification-count');
+        this.connection = connection;
+        this.browserNotifications = browserNotifications;
+        this.notifications = new Map();     // id -> notification, newest first
+        this.groupBy = 'type';
+        this.panel = null;
+        this.lastStatus = connection?.status;
+
+        this.bell.addEventListener('click', () => this.isOpen ? this.close() : this.open());
+        // The path is fixed when the click starts, so buttons removed by a re-render still count as inside
+        this.handleOutsideClick = (e) => {
+            const path = e.composedPath();
+            if (!path.includes(this.panel) && !path.includes(this.bell)) this.close();
+        };
+
+        this.connection?.on('NotificationCreated', (notification) => this.add(notification));
+        this.connection?.on('NotificationsDismissed', (ids) => this.remove(ids));
+        this.connection?.on('NotificationsRead', (ids) => this.markRead(ids));
+
+        // Notifications sent while disconnected are picked up once the hub is back
+        this.connection?.onStatusChange((status) => {
+            if (status === 'live' && this.lastStatus !== 'live') this.load();
+            this.lastStatus = status;
+        });
+    }
+
+    get isOpen() {
+        return this.panel !== null;
+    }
+
+    get unreadCount() {
+        return [...this.notifications.values()].filter(n => !n.hasBeenRead).length;
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/notifications');
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            const { notifications } = await response.json();
+
+            this.notifications = new Map(notifications.map(n => [n.id, n]));
+            this.update();
+        } catch (error) {
+            console.error('❌ Failed to load notifications:', error);
+        }
+    }
+
+    add(notification) {
+        this.notifications = new Map([[notification.id, notification], ...this.notifications]);
+        this.update();
+    }
+
+    remove(ids) {
+        ids.forEach(id => this.notifications.delete(id));
+        this.update();
+    }
+
+    markRead(ids) {
+        ids.forEach(id => {
+            const notification = this.notifications.get(id);
+            if (notification) notification.hasBeenRead = true;
+        });
+        this.update();
+    }
+
+    update() {
+        const unread = this.unreadCount;
+        this.count.textContent = unread > 99 ? '99+' : unread;
+        this.count.hidden = unread === 0;
+        this.bell.title = unread ? `${unread} unread notification${unread === 1 ? '' : 's'}` : 'Notifications';
+
+        // The AI Insights card shows how many new insights are waiting
+        const insightsBadge = document.getElementById('insights-badge');
+        if (insightsBadge) {
+            const insights = [...this.notifications.values()]
+                .filter(n => n.type === 'InsightDiscovered' && !n.hasBeenRead).length;
+            insightsBadge.textContent = insights;
+            insightsBadge.hidden = insights === 0;
+        }
+
+        if (this.isOpen) this.render();
+    }
+
+    open() {
+        if (this.isOpen) return;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'notification-panel';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-label', 'Notifications');
+        this.panel.addEventListener('click', (e) => this.handleClick(e));
+        this.panel.addEventListener('change', (e) => {
+            if (e.target.name === 'groupBy') {
+                this.groupBy = e.target.value;
+                this.render();
+            } else if (e.target.name === 'browserCategory') {
+                this.browserNotifications.setCategoryEnabled(e.target.value, e.target.checked);
+            }
+        });
+        document.body.appendChild(this.panel);
+        this.bell.setAttribute('aria-expanded', 'true');
+        document.addEventListener('click', this.handleOutsideClick);
+
+        this.render();
+        this.markAllRead();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        document.removeEventListener('click', this.handleOutsideClick);
+        this.panel.remove();
+        this.panel = null;
+        this.bell.setAttribute('aria-expanded', 'false');
+    }
+
+    // Unread items stay highlighted while the panel is open; the server's NotificationsRead event updates the count
+    async markAllRead() {
+        if (this.unreadCount === 0) return;
+
+        try {
+            const response = await fetch('/api/notifications/read', { method: 'POST' });
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            const { read } = await response.json();
+            this.markRead(read);
+        } catch (error) {
+            console.warn('⚠️ Could not mark notifications read:', error);
+        }
+    }
+
+    groups() {
+        const labels = this.groupBy === 'priority' ? NotificationCenter.priorityLabels : NotificationCenter.typeLabels;
+        const key = this.groupBy === 'priority' ? 'priority' : 'type';
+        const groups = new Map(Object.keys(labels).map(value => [value, []]));
+
+        for (const notification of this.notifications.values()) {
+            if (!groups.has(notification[key])) groups.set(notification[key], []);
+            groups.get(notification[key]).push(notification);
+        }
+
+        return [...groups]
+            .filter(([, items]) => items.length > 0)
+            .map(([value, items]) => ({ label: labels[value] ?? value, items }));
+    }
+
+    render() {
+        const groups = this.groups();
+
+        setHtml(this.panel, html`
+            <div class="notification-panel-header">
+                <strong>Notifications</strong>
+                <select name="groupBy" aria-label="Group notifications by">
+                    <option value="type"${this.groupBy === 'type' && ' selected'}>By type</option>
+                    <option value="priority"${this.groupBy === 'priority' && ' selected'}>By priority</option>
+                </select>
+                <button class="btn-small" data-action="dismiss-all"${!this.notifications.size && ' disabled'}>Dismiss all</button>
+            </div>
+            <div class="notification-panel-body">
+                ${groups.length ? groups.map(group => html`
+                    <section class="notification-group">
+                        <h4>${group.label} <span class="notification-group-count">${group.items.length}</span></h4>
+                        ${group.items.map(notification => this.renderNotification(notification))}
+                    </section>
+                `) : html`<p class="empty-state">🔕 You're all caught up.</p>`}
+            </div>
+            ${this.browserNotifications && this.renderBrowserSettings()}
+        `);
+    }
+
+    renderBrowserSettings() {
+        const status = this.browserNotifications.status;
+
+        return html`
+            <div class="notification-panel-footer">
+                <div class="notification-browser-header">
+                    <strong>Browser notifications</strong>
+                    ${status === 'off' && html`<button class="btn-small" data-action="enable-browser">Turn on</button>`}
+                    ${status === 'on' && html`<button class="btn-small" data-action="disable-browser">Turn off</button>`}
+                </div>
+                ${status === 'unsupported' && html`<p class="form-hint">This browser can't show notifications. On iPhone and iPad, add PocketFence to your Home Screen first.</p>`}
+                ${status === 'blocked' && html`<p class="form-hint">Notifications are blocked for this site. Allow them in your browser's site settings.</p>`}
+                ${status === 'off' && html`<p class="form-hint">Get alerts on this device even when the dashboard is in the background.</p>`}
+                ${status === 'on' && Object.entries(BrowserNotifications.categories).map(([category, info]) => html`
+                    <label class="form-check">
+                        <input type="checkbox" name="browserCategory" value="${category}"${this.browserNotifications.isCategoryEnabled(category) && ' checked'}>
+                        <span>${info.label} <span class="form-hint">${info.description}</span></span>
+                    </label>`)}
+            </div>
+        `;
+    }
+
+    async enableBrowserNotifications() {
+        const permission = await this.browserNotifications.enable();
+        if (permission === 'default') {
+            alert('Notifications stay off until you allow them when your browser asks.');
+        }
+        this.update();
+    }
+
+    renderNotification(notification) {
+        return html`
+            <div class="notification-item priority-${notification.priority.toLowerCase()}${!notification.hasBeenRead && ' unread'}" data-id="${notification.id}">
+                <div class="notification-item-header">
+                    <strong>${notification.title}</strong>
+                    <button class="notification-dismiss" data-action="dismiss" title="Dismiss" aria-label="Dismiss">&times;</button>
+                </div>
+                <div class="notification-message">${notification.message}</div>
+                <time class="notification-time" datetime="${notification.timestamp}">${ActivityTimeline.formatRelativeTime(notification.timestamp)}</time>
+                ${notification.actions.length > 0 && html`
+                    <div class="notification-actions">
+                        ${notification.actions.map(action => html`
+                            <button class="btn small ${action.isPrimary ? 'primary' : 'secondary'}" data-action="run" data-action-id="${action.id}">${action.label}</button>`)}
+                    </div>`}
+            </div>
+        `;
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = button.closest('.notification-item')?.dataset.id;
+        switch (button.dataset.action) {
+            case 'dismiss-all':
+                this.dismiss();
+                break;
+            case 'dismiss':
+                this.dismiss(id);
+                break;
+            case 'run':
+                this.runAction(this.notifications.get(id), button.dataset.actionId);
+                break;
+            case 'enable-browser':
+                this.enableBrowserNotifications();
+                break;
+            case 'disable-browser':
+                this.browserNotifications.disable();
+                this.update();
+                break;
+        }
+    }
+
+    runAction(notification, actionId) {
+        const action = notification?.actions.find(a => a.id === actionId);
+        if (!action || !(action.action in NotificationCenter.actionHandlers)) {
+            console.warn('⚠️ Unknown notification action:', action);
+            alert('This action is not available on this dashboard.');
+            return;
+        }
+
+        this.close();
+        NotificationCenter.run(action.action, action.parameters ?? {});
+    }
+
+    // Dismiss one notification, or all of them when no id is given
+    async dismiss(id = null) {
+        try {
+            const url = id ? `/api/notifications/${encodeURIComponent(id)}` : '/api/notifications';
+            const response = await fetch(url, { method: 'DELETE' });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || `Server responded with ${response.status}`);
+
+            this.remove(result.dismissed);
+        } catch (error) {
+            console.error('❌ Failed to dismiss notification:', error);
+            alert(`Could not dismiss: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,217 @@
+// PocketFence polling transport
+// Stand-in for the SignalR hub connection when the SignalR client library is unavailable.
+// Polls the dashboard API, diffs the results and dispatches the same events the hub would send.
+class PollingTransport {
+    static retryStatuses = new Set([429, 503]);
+
+    constructor(options = {}) {
+        // Each poll makes three or four requests, so this keeps a tab well inside the server's per-client rate limit
+        this.interval = options.interval ?? 10000;
+        this.maxInterval = options.maxInterval ?? 60000;
+        this.delay = this.interval;     // grows while the server is rate limiting or unavailable
+        this.handlers = new Map();      // event name -> Set of handlers
+        this.closeCallbacks = [];
+        this.groups = new Set();
+        this.lastActivityId = null;
+        this.lastStats = null;
+        this.lastInsights = new Map();  // device id -> insights JSON
+        this.lastTrafficSample = null;  // timestamp of the last dispatched traffic sample
+        this.lastNotifications = null;  // notification id -> hasBeenRead; null until a baseline is loaded
+        this.pollTimer = null;
+        this.running = false;
+    }
+
+    get transportName() {
+        return 'polling';
+    }
+
+    on(eventName, handler) {
+        if (!this.handlers.has(eventName)) {
+            this.handlers.set(eventName, new Set());
+        }
+        this.handlers.get(eventName).add(handler);
+    }
+
+    off(eventName, handler) {
+        if (handler) {
+            this.handlers.get(eventName)?.delete(handler);
+        } else {
+            this.handlers.delete(eventName);
+        }
+    }
+
+    onclose(callback) {
+        this.closeCallbacks.push(callback);
+    }
+
+    async start() {
+        // Establish a baseline so existing history is not replayed as new events. Only the dashboard feeds are
+        // required: pollNotifications never rejects, and takes its baseline on the first poll that succeeds.
+        this.lastNotifications = null;
+        const [activity, stats] = await Promise.all([
+            this.fetchJson('/api/dashboard/activity?limit=1'),
+            this.fetchJson('/api/dashboard/stats'),
+            this.pollNotifications()
+        ]);
+
+        this.lastActivityId = activity[0]?.id ?? 0;
+        this.lastStats = JSON.stringify(stats);
+        this.delay = this.interval;
+        this.running = true;
+        this.schedulePoll();
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    async invoke(methodName, ...args) {
+        // Group membership only affects which events are dispatched locally
+        switch (methodName) {
+            case 'JoinGroup':
+                this.groups.add(args[0]);
+                return;
+            case 'LeaveGroup':
+                this.groups.delete(args[0]);
+                this.lastInsights.delete(this.deviceIdForGroup(args[0]));
+                return;
+            default:
+                throw new Error(`${methodName} is not available while polling`);
+        }
+    }
+
+    schedulePoll() {
+        if (!this.running) return;
+        this.pollTimer = setTimeout(() => this.poll(), this.delay);
+    }
+
+    async poll() {
+        try {
+            const [activity, stats] = await Promise.all([
+                this.fetchJson(`/api/dashboard/activity?after=${this.lastActivityId}&limit=100`),
+                this.fetchJson('/api/dashboard/stats')
+            ]);
+
+            // Entries arrive newest first; replay them in the order they happened
+            for (const entry of [...activity].reverse()) {
+                this.lastActivityId = Math.max(this.lastActivityId, entry.id);
+                this.dispatch(entry.type, entry.data);
+                this.dispatch('ActivityRecorded', entry);
+
+                if (entry.deviceId && this.groups.has(`device:${entry.deviceId.toUpperCase()}`)) {
+                    this.dispatch('DeviceActivity', entry);
+                }
+            }
+
+            await this.pollDeviceInsights();
+            await this.pollTraffic();
+            await this.pollNotifications();
+
+            const statsJson = JSON.stringify(stats);
+            if (statsJson !== this.lastStats) {
+                this.lastStats = statsJson;
+                this.dispatch('StatsUpdated', stats);
+            }
+
+            this.delay = this.interval;
+            this.schedulePoll();
+        } catch (error) {
+            // Rate limited or briefly unavailable: wait longer before the next poll rather than reconnecting
+            if (PollingTransport.retryStatuses.has(error.status)) {
+                this.delay = Math.min(this.delay * 2, this.maxInterval);
+                console.warn(`⚠️ Polling slowed to every ${this.delay / 1000}s:`, error.message);
+                this.schedulePoll();
+                return;
+            }
+
+            this.running = false;
+            this.closeCallbacks.forEach(callback => callback(error));
+        }
+    }
+
+    async pollDeviceInsights() {
+        // The hub pushes insight changes to device groups; emulate that for the devices being watched
+        for (const groupName of this.groups) {
+            const deviceId = this.deviceIdForGroup(groupName);
+            if (!deviceId) continue;
+
+            const insights = await this.fetchJson(`/api/dashboard/insights/${encodeURIComponent(deviceId)}`);
+            const insightsJson = JSON.stringify(insights);
+            if (this.lastInsights.has(deviceId) && this.lastInsights.get(deviceId) !== insightsJson) {
+                this.dispatch('DeviceInsightsUpdated', insights);
+            }
+            this.lastInsights.set(deviceId, insightsJson);
+        }
+    }
+
+    async pollTraffic() {
+        // The hub pushes throughput samples to the network group; pass on the latest one while it is joined
+        if (!this.groups.has('network')) return;
+
+        const response = await fetch('/api/network/live', { cache: 'no-store' });
+        if (response.status !== 200) return;   // 204 until the first sample is taken
+
+        const sample = await response.json();
+        if (sample.timestamp !== this.lastTrafficSample) {
+            this.lastTrafficSample = sample.timestamp;
+            this.dispatch('TrafficUpdated', sample);
+        }
+    }
+
+    async pollNotifications() {
+        // The hub pushes notifications as they are created, read and dismissed; diff against the last poll instead
+        let notifications;
+        try {
+            ({ notifications } = await this.fetchJson('/api/notifications'));
+        } catch (error) {
+            console.warn('⚠️ Could not poll notifications:', error);
+            return;
+        }
+
+        const current = new Map(notifications.map(n => [n.id, n.hasBeenRead]));
+        if (this.lastNotifications === null) {
+            // First successful poll is the baseline; existing notifications are not replayed as new
+            this.lastNotifications = current;
+            return;
+        }
+
+        const dismissed = [...this.lastNotifications.keys()].filter(id => !current.has(id));
+        if (dismissed.length) this.dispatch('NotificationsDismissed', dismissed);
+
+        const read = notifications
+            .filter(n => n.hasBeenRead && this.lastNotifications.get(n.id) === false)
+            .map(n => n.id);
+        if (read.length) this.dispatch('NotificationsRead', read);
+
+        // Newest first; send them in the order they were created
+        for (const notification of notifications.filter(n => !this.lastNotifications.has(n.id)).reverse()) {
+            this.dispatch('NotificationCreated', notification);
+        }
+
+        this.lastNotifications = current;
+    }
+
+    deviceIdForGroup(groupName) {
+        return groupName.startsWith('device:') ? groupName.slice('device:'.length) : null;
+    }
+
+    dispatch(eventName, payload) {
+        this.handlers.get(eventName)?.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (err) {
+                console.error(`❌ ${eventName} handler failed:`, err);
+            }
+        });
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw Object.assign(new Error(`${url} responded with ${response.status}`), { status: response.status });
+        }
+        return response.json();
+    }
+}
@@ -0,0 +1,504 @@
+// PocketFence QR code encoder
+// Encodes text as a scannable QR code (ISO/IEC 18004, byte mode, UTF-8) for WiFi join codes.
+// Picks the smallest version that fits, adds Reed–Solomon error correction and applies whichever
+// of the eight masks scores the lowest penalty. Renders to canvas and SVG with no outside library.
+class QRCode {
+    static MIN_VERSION = 1;
+    static MAX_VERSION = 40;
+
+    // Error correction levels, in increasing strength; formatBits is the 2-bit code in the format info
+    static ECC = {
+        L: { ordinal: 0, formatBits: 1 },
+        M: { ordinal: 1, formatBits: 0 },
+        Q: { ordinal: 2, formatBits: 3 },
+        H: { ordinal: 3, formatBits: 2 }
+    };
+
+    // Error correction codewords per block, indexed [level ordinal][version] (index 0 unused)
+    static ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    // Number of error correction blocks, indexed [level ordinal][version] (index 0 unused)
+    static ECC_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    /**
+     * Encode text as a QR code.
+     * @param {string} text - encoded as UTF-8 bytes
+     * @param {object} [options]
+     * @param {'L'|'M'|'Q'|'H'} [options.ecc='M'] - minimum error correction level
+     * @param {number} [options.minVersion=1] - smallest version (size) to consider
+     * @param {number} [options.maxVersion=40] - largest version to consider
+     * @param {number|null} [options.mask=null] - force a mask pattern 0–7 instead of choosing the best
+     * @param {boolean} [options.boostEcc=true] - use a stronger level when it fits in the same version
+     * @returns {QRCode}
+     */
+    static encode(text, { ecc = 'M', minVersion = QRCode.MIN_VERSION, maxVersion = QRCode.MAX_VERSION, mask = null, boostEcc = true } = {}) {
+        if (!(ecc in QRCode.ECC)) throw new RangeError(`Unknown error correction level '${ecc}'`);
+        if (!(QRCode.MIN_VERSION <= minVersion && minVersion <= maxVersion && maxVersion <= QRCode.MAX_VERSION)) {
+            throw new RangeError('Invalid version range');
+        }
+        if (mask !== null && !(Number.isInteger(mask) && mask >= 0 && mask <= 7)) {
+            throw new RangeError('Mask must be between 0 and 7');
+        }
+
+        const bytes = new TextEncoder().encode(text);
+
+        // Smallest version whose data capacity holds the text
+        let version = minVersion;
+        let usedBits;
+        for (; ; version++) {
+            usedBits = QRCode.dataBitLength(bytes.length, version);
+            if (usedBits <= QRCode.dataCodewords(version, ecc) * 8) break;
+            if (version >= maxVersion) {
+                throw new RangeError(`Text is too long for a QR code (${bytes.length} bytes)`);
+            }
+        }
+
+        // Spare room in the chosen version buys stronger error correction for free
+        if (boostEcc) {
+            for (const level of ['M', 'Q', 'H']) {
+                if (QRCode.ECC[level].ordinal > QRCode.ECC[ecc].ordinal && usedBits <= QRCode.dataCodewords(version, level) * 8) {
+                    ecc = level;
+                }
+            }
+        }
+
+        // Byte mode segment: mode indicator, character count, then the bytes themselves
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+
+        // Terminator, byte alignment, then alternating pad bytes up to capacity
+        const capacity = QRCode.dataCodewords(version, ecc) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        return new QRCode(version, ecc, data, mask);
+    }
+
+    constructor(version, ecc, dataCodewords, mask = null) {
+        this.version = version;
+        this.ecc = ecc;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addEccAndInterleave(dataCodewords));
+
+        if (mask === null) {
+            let lowestPenalty = Infinity;
+            for (let candidate = 0; candidate < 8; candidate++) {
+                this.applyMask(candidate);
+                this.drawFormatBits(candidate);
+                const penalty = this.penaltyScore();
+                if (penalty < lowestPenalty) {
+                    mask = candidate;
+                    lowestPenalty = penalty;
+                }
+                this.applyMask(candidate); // masking is its own inverse
+            }
+        }
+
+        this.mask = mask;
+        this.applyMask(mask);
+        this.drawFormatBits(mask);
+        this.isFunction = null;
+    }
+
+    isDark(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+    }
+
+    // ---- Capacity ----
+
+    // Modules available for data and error correction codewords once function patterns are placed
+    static rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static dataCodewords(version, ecc) {
+        const level = QRCode.ECC[ecc].ordinal;
+        return Math.floor(QRCode.rawDataModules(version) / 8)
+            - QRCode.ECC_CODEWORDS_PER_BLOCK[level][version] * QRCode.ECC_BLOCKS[level][version];
+    }
+
+    static dataBitLength(byteCount, version) {
+        const countBits = version < 10 ? 8 : 16;
+        return byteCount < 2 ** countBits ? 4 + countBits + byteCount * 8 : Infinity;
+    }
+
+    // ---- Function patterns ----
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators, in three corners
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(size - 4, 3);
+        this.drawFinderPattern(3, size - 4);
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = this.alignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                this.drawAlignmentPattern(x, y);
+            });
+        });
+
+        // Reserve the format areas now; the real bits are drawn once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    drawFinderPattern(cx, cy) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    drawAlignmentPattern(cx, cy) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    // Centre coordinates of the alignment patterns, shared by both axes
+    alignmentPositions() {
+        if (this.version === 1) return [];
+
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let pos = this.size - 7; positions.length < count; pos -= step) {
+            positions.splice(1, 0, pos);
+        }
+        return positions;
+    }
+
+    drawFormatBits(mask) {
+        // 5 data bits protected by a (15,5) BCH code, then XORed so the result is never all zeros
+        const data = (QRCode.ECC[this.ecc].formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // Copy around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        // Copy split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true); // always dark
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        // 6 data bits protected by an (18,6) Golay code
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    // ---- Error correction ----
+
+    // Split data into blocks, append Reed–Solomon codewords to each, then interleave the blocks
+    addEccAndInterleave(data) {
+        const level = QRCode.ECC[this.ecc].ordinal;
+        const blockCount = QRCode.ECC_BLOCKS[level][this.version];
+        const eccLength = QRCode.ECC_CODEWORDS_PER_BLOCK[level][this.version];
+        const rawCodewords = Math.floor(QRCode.rawDataModules(this.version) / 8);
+        const shortBlockCount = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+        const divisor = QRCode.reedSolomonDivisor(eccLength);
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+            offset += blockData.length;
+            const ecc = QRCode.reedSolomonRemainder(blockData, divisor);
+            // Short blocks get a placeholder so every block has the same length while interleaving
+            if (i < shortBlockCount) blockData.push(0);
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    // Generator polynomial of the given degree, highest coefficient first (the leading 1 omitted)
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QRCode.gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = QRCode.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        for (const b of data) {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QRCode.gfMultiply(coefficient, factor);
+            });
+        }
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    // ---- Data placement and masking ----
+
+    // Zigzag up and down two-module-wide columns from the bottom right, skipping function modules
+    drawCodewords(codewords) {
+        const totalBits = codewords.length * 8;
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // skip the vertical timing pattern
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < this.size; vert++) {
+                const y = upward ? this.size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.isFunction[y][x] || i >= totalBits) continue;
+                    this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+
+    static MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    applyMask(mask) {
+        const invert = QRCode.MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && invert(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Penalty rules from the standard: long runs, 2×2 blocks, finder-like patterns and dark/light balance
+    penaltyScore() {
+        const size = this.size;
+        const at = (x, y) => this.modules[y][x];
+        let penalty = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(Array.from({ length: size }, (_, j) => at(j, i)));
+            lines.push(Array.from({ length: size }, (_, j) => at(i, j)));
+        }
+
+        const finderLike = [true, false, true, true, true, false, true];
+        for (const line of lines) {
+            // Runs of five or more modules of the same colour
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += 3 + (runLength - 5);
+                    runLength = 1;
+                }
+            }
+
+            // 1:1:3:1:1 finder-like patterns with four light modules on either side
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+                const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+                const lightAfter = i + 11 <= size && [0, 1, 2, 3].every(k => !line[i + 7 + k]);
+                if (lightBefore) penalty += 40;
+                if (lightAfter) penalty += 40;
+            }
+        }
+
+        // 2×2 blocks of the same colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const colour = at(x, y);
+                if (colour === at(x + 1, y) && colour === at(x, y + 1) && colour === at(x + 1, y + 1)) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Every 5% the dark share strays from 50%
+        const dark = this.modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return penalty;
+    }
+
+    // ---- Output ----
+
+    /**
+     * Draw onto a canvas with whole device pixels per module so edges stay sharp on any screen.
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} [options]
+     * @param {number} [options.size=240] - target width in CSS pixels; rounded down to whole modules
+     * @param {number} [options.margin=4] - quiet zone in modules (the standard asks for 4)
+     * @param {number} [options.pixelRatio=window.devicePixelRatio]
+     */
+    renderToCanvas(canvas, { size = 240, margin = 4, pixelRatio = window.devicePixelRatio || 1, dark = '#000', light = '#fff' } = {}) {
+        const modules = this.size + margin * 2;
+        const scale = Math.max(1, Math.floor(size * pixelRatio / modules));
+        const pixels = modules * scale;
+
+        canvas.width = pixels;
+        canvas.height = pixels;
+        canvas.style.width = `${pixels / pixelRatio}px`;
+        canvas.style.height = `${pixels / pixelRatio}px`;
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.fillStyle = light;
+        ctx.fillRect(0, 0, pixels, pixels);
+        ctx.fillStyle = dark;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+                }
+            }
+        }
+        return canvas;
+    }
+
+    toSVG({ margin = 4, dark = '#000', light = '#fff' } = {}) {
+        const modules = this.size + margin * 2;
+        const path = [];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+            }
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${modules} ${modules}" shape-rendering="crispEdges">`
+            + `<rect width="100%" height="100%" fill="${light}"/>`
+            + `<path d="${path.join('')}" fill="${dark}"/>`
+            + '</svg>';
+    }
+
+    /**
+     * PNG image of the code.
+     * @param {object} [options]
+     * @param {number} [options.scale=10] - pixels per module
+     * @returns {Promise<Blob>}
+     */
+    toPNG({ scale = 10, margin = 4, dark = '#000', light = '#fff' } = {}) {
+        const canvas = this.renderToCanvas(document.createElement('canvas'), {
+            size: (this.size + margin * 2) * scale,
+            pixelRatio: 1,
+            margin,
+            dark,
+            light
+        });
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create PNG')), 'image/png');
+        });
+    }
+}
@@ -0,0 +1,153 @@
+// PocketFence "Would this be blocked?" tester
+// Asks the filter to explain the decision it would reach for a URL and device, step by step,
+// without logging a block or changing the URL cache.
+class RuleTester {
+    constructor() {
+        this.modal = null;
+    }
+
+    static outcomeIcons = {
+        Matched: '🎯',
+        NoMatch: '➖',
+        Ignored: '↪️',
+        Skipped: '⏭️'
+    };
+
+    get isOpen() {
+        return this.modal !== null;
+    }
+
+    async open(initialUrl = '') {
+        if (this.isOpen) return;
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal rule-tester';
+        this.modal.style.display = 'flex';
+        setHtml(this.modal, html`
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>🔍 Would This Be Blocked?</h2>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <form class="rule-tester-form">
+                        <label class="form-field">
+                            <span>Website or URL</span>
+                            <input type="text" name="url" placeholder="example.com/page" required value="${initialUrl}">
+                        </label>
+                        <label class="form-field">
+                            <span>Device</span>
+                            <select name="deviceMac">
+                                <option value="">Any device</option>
+                            </select>
+                        </label>
+                        <div class="device-actions">
+                            <button type="submit" class="btn small">Test</button>
+                        </div>
+                    </form>
+                    <div class="rule-tester-result"></div>
+                </div>
+            </div>
+        `);
+
+        const form = this.modal.querySelector('.rule-tester-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.test(form.elements.url.value, form.elements.deviceMac.value);
+        });
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal || e.target.closest('[data-action="close"]')) {
+                this.close();
+            }
+        });
+
+        document.body.appendChild(this.modal);
+        form.elements.url.focus();
+        await this.loadDevices(form.elements.deviceMac);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.modal.remove();
+        this.modal = null;
+    }
+
+    async loadDevices(select) {
+        try {
+            const response = await fetch('/api/devices');
+            if (!response.ok) return;
+
+            const { devices } = await response.json();
+            insertHtml(select, 'beforeend', devices.map(device => html`
+                <option value="${device.macAddress}">${device.deviceName || device.macAddress}${device.isOnline ? '' : ' (offline)'}</option>
+            `));
+        } catch (error) {
+            console.warn('⚠️ Could not load devices for the rule tester:', error);
+        }
+    }
+
+    async test(url, deviceMac) {
+        const result = this.modal.querySelector('.rule-tester-result');
+        const submit = this.modal.querySelector('[type="submit"]');
+        setHtml(result, html`<p class="loading">Checking...</p>`);
+        submit.disabled = true;
+
+        try {
+            const response = await fetch('/api/filters/test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ url, deviceMac })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `Server responded with ${response.status}`);
+            }
+
+            if (this.isOpen) {
+                setHtml(result, this.renderDecision(await response.json()));
+            }
+        } catch (error) {
+            console.error('❌ Rule test failed:', error);
+            setHtml(result, html`<p class="form-error">Could not test this URL: ${error.message}</p>`);
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    renderDecision(decision) {
+        const rule = decision.matchedRule;
+        const ruleLink = rule
+            ? html`<a href="/filters.html#rule-${encodeURIComponent(rule.id)}" target="_blank" rel="noopener">Edit rule "${rule.name}" →</a>`
+            : '';
+
+        return html`
+            <div class="verdict ${decision.shouldBlock ? 'blocked' : 'allowed'}">
+                <div class="verdict-title">${decision.shouldBlock ? '🚫 Blocked' : '✅ Allowed'}</div>
+                <div class="verdict-detail">
+                    ${decision.url}
+                    ${decision.reason ? ` • ${decision.reason}` : ''}
+                    ${decision.fromCache && html` • <span class="device-badge protected">from cache</span>`}
+                </div>
+                ${ruleLink}
+            </div>
+            <ol class="decision-steps">
+                ${decision.steps.map(step => html`
+                    <li class="decision-step ${step.outcome.toLowerCase()}">
+                        <span class="decision-step-icon">${RuleTester.outcomeIcons[step.outcome] || '•'}</span>
+                        <div>
+                            <strong>${step.check}</strong>
+                            <div class="decision-step-detail">${step.detail}</div>
+                            ${step.ruleId && html`<a href="/filters.html#rule-${encodeURIComponent(step.ruleId)}" target="_blank" rel="noopener">Edit rule</a>`}
+                        </div>
+                    </li>
+                `)}
+            </ol>
+        `;
+    }
+}
+
+function showRuleTester() {
+    window.ruleTester ??= new RuleTester();
+    window.ruleTester.open();
+}
@@ -0,0 +1,168 @@
+// PocketFence settings page (settings.html)
+// Edits the PocketFence:Features flags and PocketFence:API section of appsettings.json through the settings API.
+class SettingsEditor {
+    constructor() {
+        this.form = document.getElementById('settings-form');
+        this.fields = this.form.elements;
+        this.saved = null;      // settings as last loaded or saved
+    }
+
+    // Flags not listed here are still shown, labelled from their name
+    static featureInfo = {
+        HotspotMode: { label: 'Hotspot', description: 'Share this device\'s connection and manage the hotspot from the dashboard.' },
+        ContentFiltering: { label: 'Content filtering', description: 'Block sites using filter rules and the blocked domain list.' },
+        DeviceManagement: { label: 'Device management', description: 'View, rename and block connected devices.' },
+        AIAssistant: { label: 'AI assistant', description: 'Chat with the parental assistant and review actions it has taken.' },
+        RealTimeMonitoring: { label: 'Real-time monitoring', description: 'Network statistics and the live activity feed.' },
+        GeofencingAlerts: { label: 'Geofencing alerts', description: 'Alerts when a device enters or leaves a saved location.' },
+        BehaviorAnalysis: { label: 'Behavior analysis', description: 'Usage patterns, digital wellness and AI insights.' },
+        ThreatDetection: { label: 'Threat detection', description: 'Flag and review suspicious sites and activity.' }
+    };
+
+    static rateLimit = { min: 60, max: 10000 };
+
+    async init() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        this.form.addEventListener('input', () => this.updateDirtyState());
+        document.getElementById('reset-settings').addEventListener('click', () => {
+            this.render(this.saved);
+            this.showStatus('', null);
+        });
+
+        const { min, max } = SettingsEditor.rateLimit;
+        Object.assign(this.fields.rateLimitPerMinute, { min, max });
+        document.getElementById('rate-limit-hint').textContent = `Requests per minute from each device, ${min}–${max.toLocaleString()}.`;
+
+        await this.load();
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/settings', { cache: 'no-store' });
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+
+            this.saved = await response.json();
+            this.render(this.saved);
+        } catch (error) {
+            console.error('❌ Failed to load settings:', error);
+            this.showStatus(`Could not load settings: ${error.message}`, 'error');
+        }
+    }
+
+    render(settings) {
+        const list = document.getElementById('feature-list');
+        setHtml(list, Object.entries(settings.features).map(([name, enabled]) => {
+            const info = SettingsEditor.featureInfo[name] ?? { label: name.replace(/([a-z])([A-Z])/g, '$1 $2'), description: '' };
+            return html`
+                <li class="feature-item">
+                    <label class="form-check">
+                        <input type="checkbox" name="feature" value="${name}"${enabled ? ' checked' : ''}>
+                        <span>
+                            <strong>${info.label}</strong>
+                            ${info.description && html`<span class="form-hint">${info.description}</span>`}
+                        </span>
+                    </label>
+                </li>
+            `;
+        }));
+
+        this.fields.rateLimitPerMinute.value = settings.api.rateLimitPerMinute;
+        this.fields.enableCors.checked = settings.api.enableCors;
+        this.fields.enableSwagger.checked = settings.api.enableSwagger;
+
+        this.showFieldError('');
+        this.updateDirtyState();
+    }
+
+    readForm() {
+        const features = {};
+        this.form.querySelectorAll('input[name="feature"]').forEach(input => {
+            features[input.value] = input.checked;
+        });
+
+        return {
+            features,
+            api: {
+                rateLimitPerMinute: Number(this.fields.rateLimitPerMinute.value),
+                enableCors: this.fields.enableCors.checked,
+                enableSwagger: this.fields.enableSwagger.checked
+            }
+        };
+    }
+
+    validate(settings) {
+        const { min, max } = SettingsEditor.rateLimit;
+        const limit = settings.api.rateLimitPerMinute;
+        if (this.fields.rateLimitPerMinute.value.trim() === '' || !Number.isInteger(limit)) {
+            return 'Rate limit must be a whole number';
+        }
+        if (limit < min || limit > max) {
+            return `Rate limit must be between ${min} and ${max.toLocaleString()} requests per minute`;
+        }
+        return null;
+    }
+
+    updateDirtyState() {
+        const dirty = this.saved !== null && JSON.stringify(this.readForm()) !== JSON.stringify({
+            features: this.saved.features,
+            api: this.saved.api
+        });
+        document.getElementById('save-settings').disabled = !dirty;
+        document.getElementById('reset-settings').disabled = !dirty;
+    }
+
+    async save() {
+        const settings = this.readForm();
+        const error = this.validate(settings);
+        this.showFieldError(error ?? '');
+        if (error) {
+            this.fields.rateLimitPerMinute.focus();
+            return;
+        }
+
+        const saveButton = document.getElementById('save-settings');
+        saveButton.disabled = true;
+
+        try {
+            const response = await fetch('/api/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(settings)
+            });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `Server responded with ${response.status}`);
+            }
+
+            this.saved = await response.json();
+            this.render(this.saved);
+            this.showStatus('Settings saved. Open dashboards update straight away.', 'success');
+        } catch (error) {
+            console.error('❌ Failed to save settings:', error);
+            this.showStatus(`Could not save settings: ${error.message}`, 'error');
+            this.updateDirtyState();
+        }
+    }
+
+    showFieldError(message) {
+        const element = document.getElementById('rate-limit-error');
+        element.textContent = message;
+        element.hidden = !message;
+        this.fields.rateLimitPerMinute.setAttribute('aria-invalid', Boolean(message));
+    }
+
+    showStatus(message, type) {
+        const status = document.getElementById('status');
+        status.textContent = message;
+        status.className = `status-message ${type ?? ''}`;
+        status.hidden = !message;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new SettingsEditor().init();
+});
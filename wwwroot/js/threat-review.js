@@ -0,0 +1,217 @@
+// PocketFence threat review
+// Lists threat alerts from /api/threats with their threat level, indicators and confidence, and lets a parent
+// approve the AI's decision or override it with a reason. Decisions are saved on the server, which uses them
+// when scoring later requests, and show up in each alert's history.
+class ThreatReview {
+    static decisionLabels = {
+        Approve: '✅ Approved',
+        Override: '↩️ Overridden'
+    };
+
+    constructor(modal) {
+        this.modal = modal;
+        this.container = modal.querySelector('#threat-alerts-container');
+        this.status = modal.querySelector('#threat-status');
+        this.alerts = [];
+        this.pending = new Set();   // alert ids with a review in flight
+
+        this.status.addEventListener('change', () => this.load());
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    open() {
+        this.modal.style.display = 'block';
+        this.load();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    async load() {
+        const status = this.status.value;
+        setHtml(this.container, html`<p class="loading">Loading alerts...</p>`);
+
+        try {
+            const response = await fetch(`/api/threats?status=${encodeURIComponent(status)}`);
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            const result = await response.json();
+
+            // The filter may have changed while the request was in flight
+            if (this.status.value !== status) return;
+
+            this.alerts = result.alerts;
+            ThreatReview.showPendingCount(result.pendingCount);
+            this.render();
+        } catch (error) {
+            console.error('❌ Failed to load threat alerts:', error);
+            setHtml(this.container, html`<p class="empty-state">⚠️ Could not load threat alerts.</p>`);
+        }
+    }
+
+    render() {
+        if (!this.alerts.length) {
+            setHtml(this.container, html`
+                <p class="empty-state">${this.status.value === 'pending'
+                    ? '✅ Nothing needs your review right now.'
+                    : 'No threat alerts yet.'}</p>
+            `);
+            return;
+        }
+
+        setHtml(this.container, this.alerts.map(alert => this.renderAlert(alert)));
+    }
+
+    renderAlert(alert) {
+        const level = alert.threatLevel.toLowerCase();
+        const busy = this.pending.has(alert.id);
+        const latest = alert.reviews.at(-1);
+
+        return html`
+            <div class="threat-alert-item ${level}" data-id="${alert.id}">
+                <div class="threat-header">
+                    <div>
+                        <strong>${alert.deviceName}</strong> - <span class="threat-level ${level}">${alert.threatLevel}</span>
+                        ${latest && html`<span class="threat-decision ${latest.decision.toLowerCase()}">${ThreatReview.decisionLabels[latest.decision]}</span>`}
+                    </div>
+                    <time class="threat-time" datetime="${alert.timestamp}">${ActivityTimeline.formatRelativeTime(alert.timestamp)}</time>
+                </div>
+                <div class="threat-details">
+                    <p><strong>Threat:</strong> ${alert.description}</p>
+                    <p><strong>URL:</strong> <span class="threat-url">${alert.url}</span></p>
+                    <p><strong>AI Action:</strong> ${alert.autonomousAction}</p>
+                    <p><strong>Confidence:</strong> ${Math.round(alert.confidence * 100)}%</p>
+                </div>
+                ${alert.indicators.length > 0 && html`
+                    <div class="threat-indicators">
+                        <strong>Risk indicators</strong>
+                        <ul>
+                            ${alert.indicators.map(indicator => html`
+                                <li>
+                                    ${indicator.description}
+                                    <span class="threat-indicator-score">${indicator.score > 0 ? '+' : ''}${indicator.score.toFixed(1)}</span>
+                                </li>`)}
+                        </ul>
+                    </div>`}
+                ${alert.reviews.length > 0 && html`
+                    <div class="threat-history">
+                        <strong>Review history</strong>
+                        <ul>
+                            ${alert.reviews.map(review => html`
+                                <li>
+                                    ${ThreatReview.decisionLabels[review.decision]}
+                                    <span class="threat-history-time">${new Date(review.timestamp).toLocaleString()}</span>
+                                    ${review.reason && html`<div class="threat-history-reason">“${review.reason}”</div>`}
+                                </li>`)}
+                        </ul>
+                    </div>`}
+                <form class="threat-review-form">
+                    <label class="form-field">
+                        <span>Your reason (required to override)</span>
+                        <input type="text" name="reason" maxlength="500" placeholder="e.g. This is a school site"${busy && ' disabled'}>
+                    </label>
+                    <p class="form-error" hidden></p>
+                    <div class="insight-actions">
+                        <button type="button" class="btn success" data-action="approve"${busy && ' disabled'}>Approve AI Action</button>
+                        <button type="button" class="btn warning" data-action="override"${busy && ' disabled'}>Override AI Decision</button>
+                        <button type="button" class="btn info" data-action="discuss">Discuss with Child</button>
+                    </div>
+                </form>
+            </div>
+        `;
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('button[data-action]');
+        const item = button?.closest('.threat-alert-item');
+        if (!item) return;
+
+        const { action } = button.dataset;
+        if (action === 'discuss') {
+            showGuidanceBrowser('digital-citizenship');
+            return;
+        }
+
+        const form = item.querySelector('.threat-review-form');
+        const reason = form.elements.reason.value.trim();
+        const error = form.querySelector('.form-error');
+        if (action === 'override' && !reason) {
+            error.textContent = 'Say why you are overriding the AI so it can learn from it.';
+            error.hidden = false;
+            form.elements.reason.focus();
+            return;
+        }
+
+        this.review(item.dataset.id, action, reason);
+    }
+
+    async review(id, decision, reason) {
+        if (this.pending.has(id)) return;
+        this.pending.add(id);
+        this.renderAlertItem(id, { keepReason: true });
+
+        let saved = false;
+        try {
+            const response = await fetch(`/api/threats/${encodeURIComponent(id)}/review`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ decision, reason })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || `Server responded with ${response.status}`);
+
+            ThreatReview.showPendingCount(result.pendingCount);
+
+            // Reviewed alerts leave the "needs review" list; elsewhere they stay with their new history
+            this.alerts = this.status.value === 'pending'
+                ? this.alerts.filter(alert => alert.id !== id)
+                : this.alerts.map(alert => alert.id === id ? result.alert : alert);
+            saved = true;
+        } catch (error) {
+            console.error('❌ Failed to save threat review:', error);
+            alert(`Could not save your review: ${error.message}`);
+        } finally {
+            this.pending.delete(id);
+            this.renderAlertItem(id, { keepReason: !saved });
+        }
+    }
+
+    // Re-render one alert in place, so reasons typed into the other alerts' forms are kept
+    renderAlertItem(id, { keepReason }) {
+        const item = [...this.container.querySelectorAll('.threat-alert-item')].find(el => el.dataset.id === id);
+        if (!item) return;
+
+        const alert = this.alerts.find(a => a.id === id);
+        if (!alert) {
+            item.remove();
+            if (!this.alerts.length) this.render();
+            return;
+        }
+
+        const reason = item.querySelector('input[name="reason"]').value;
+        insertHtml(item, 'afterend', this.renderAlert(alert));
+        const replacement = item.nextElementSibling;
+        item.remove();
+
+        if (keepReason) {
+            replacement.querySelector('input[name="reason"]').value = reason;
+        }
+    }
+
+    static showPendingCount(count) {
+        const element = document.getElementById('threat-alerts');
+        if (element) element.textContent = count;
+    }
+
+    // Fill in the dashboard card without opening the modal
+    static async refreshPendingCount() {
+        try {
+            const response = await fetch('/api/threats?status=pending&limit=1');
+            if (!response.ok) throw new Error(`Server responded with ${response.status}`);
+            const result = await response.json();
+            ThreatReview.showPendingCount(result.pendingCount);
+        } catch (error) {
+            console.error('❌ Failed to load threat alert count:', error);
+        }
+    }
+}
@@ -0,0 +1,36 @@
+// PocketFence WiFi QR payloads
+// Builds the WIFI: string phone cameras read from a join-network QR code. Mirrors WiFiQrPayload on the server:
+// ; , : \ and " in the SSID or password are backslash-escaped, and all-hex values are quoted.
+class WiFiQrPayload {
+    static securityTypes = ['WPA2', 'WPA3', 'WPA', 'WEP', 'None'];
+
+    /**
+     * @param {object} network
+     * @param {string} network.ssid
+     * @param {string} [network.password] - required unless security is 'None'
+     * @param {'WPA'|'WPA2'|'WPA3'|'WEP'|'None'} [network.security='WPA2']
+     * @param {boolean} [network.hidden=false] - the network doesn't broadcast its name
+     * @returns {string}
+     */
+    static build({ ssid, password = '', security = 'WPA2', hidden = false }) {
+        if (!ssid) throw new Error('Network name is required');
+        if (!WiFiQrPayload.securityTypes.includes(security)) throw new Error(`Unknown security type '${security}'`);
+        if (security !== 'None' && !password) throw new Error(`A password is required for ${security} networks`);
+
+        // WPA, WPA2 and WPA3 Personal all use the WPA type; the phone negotiates the rest
+        const type = { None: 'nopass', WEP: 'WEP' }[security] ?? 'WPA';
+
+        let payload = `WIFI:T:${type};S:${WiFiQrPayload.escape(ssid)};`;
+        if (security !== 'None') payload += `P:${WiFiQrPayload.escape(password)};`;
+        // Transition disable (WPA3 specification): don't fall back to WPA2 for this network
+        if (security === 'WPA3') payload += 'R:1;';
+        if (hidden) payload += 'H:true;';
+        return `${payload};`;
+    }
+
+    static escape(value) {
+        const escaped = String(value).replace(/[\\;,:"]/g, '\\$&');
+        // Readers may decode an unquoted all-hex value as raw bytes
+        return value.length % 2 === 0 && /^[0-9a-f]+$/i.test(value) ? `"${escaped}"` : escaped;
+    }
+}
@@ -0,0 +1,180 @@
+// PocketFence service worker
+// Keeps the dashboard shell available offline and remembers the last dashboard snapshot
+// so the page can show it, marked with its time, when the PocketFence host can't be reached.
+// Also handles clicks on the browser notifications the dashboard shows.
+//
+// Bump CACHE_VERSION whenever the shell changes in a way that must not mix with older files;
+// activation deletes every cache from previous versions.
+const CACHE_VERSION = 'v16';
+const SHELL_CACHE = `pocketfence-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `pocketfence-data-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    '/index.html',
+    '/css/ios.css',
+    '/js/html.js',
+    '/js/polling-transport.js',
+    '/js/connection-manager.js',
+    '/js/action-outbox.js',
+    '/js/demo-mode.js',
+    '/js/activity-timeline.js',
+    '/js/dashboard.js',
+    '/js/device-live-view.js',
+    '/js/devices-panel.js',
+    '/js/device-manage-panel.js',
+    '/js/rule-tester.js',
+    '/js/assistant-chat.js',
+    '/js/guidance-browser.js',
+    '/js/threat-review.js',
+    '/js/ai-actions-log.js',
+    '/js/notification-center.js',
+    '/js/browser-notifications.js',
+    '/js/qr-encoder.js',
+    '/js/wifi-qr-payload.js',
+    '/js/ios-hotspot.js'
+];
+
+// API responses that make up the dashboard snapshot (exact paths, no query string)
+const SNAPSHOT_PATHS = new Set([
+    '/api/dashboard/status',
+    '/api/dashboard/stats',
+    '/api/dashboard/activity',
+    '/api/networkmode/status',
+    '/api/settings/features'
+]);
+
+// How long to wait for the host before falling back to the snapshot
+const NETWORK_TIMEOUT = 4000;
+
+const CACHED_AT_HEADER = 'X-PocketFence-Cached-At';
+
+// Where the dashboard page is served. "/" is the installed app's start_url and redirects to /dashboard:
+// online the redirect is handed back for the browser to follow, offline the cached shell answers it.
+const DASHBOARD_PATHS = new Set(['/', '/index.html', '/dashboard']);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // Bypass the HTTP cache so a new version never precaches stale files
+        await cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = new Set([SHELL_CACHE, DATA_CACHE]);
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('pocketfence-') && !current.has(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate' && DASHBOARD_PATHS.has(url.pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+    } else if (SNAPSHOT_PATHS.has(url.pathname) && !url.search) {
+        event.respondWith(snapshot(request));
+    } else if (APP_SHELL.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// Browser notifications shown by the dashboard (browser-notifications.js). A click brings a dashboard to the
+// front and has it run the notification's action: the button clicked, otherwise the primary one.
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    const actions = event.notification.data?.actions ?? [];
+    const action = actions.find(a => a.id === event.action) ?? actions.find(a => a.isPrimary);
+    event.waitUntil(openDashboard(action));
+});
+
+async function openDashboard(action) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const dashboard = windows.find(client => DASHBOARD_PATHS.has(new URL(client.url).pathname));
+    if (dashboard) {
+        await dashboard.focus();
+        if (action) {
+            dashboard.postMessage({ type: 'notification-action', action: action.action, parameters: action.parameters });
+        }
+        return;
+    }
+
+    // A new dashboard picks the action up from the URL fragment once it has loaded
+    const params = new URLSearchParams(action ? { 'notification-action': action.action, ...action.parameters } : {});
+    const fragment = params.toString();
+    await self.clients.openWindow(fragment ? `/dashboard#${fragment}` : '/dashboard');
+}
+
+// Fresh page when the host answers, the cached shell when it doesn't
+async function networkFirst(request, cacheName, fallbackUrl) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetchWithTimeout(request);
+        // A redirect comes back unfollowed (not ok), so only the page itself is cached
+        if (response.ok) {
+            await cache.put(fallbackUrl, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(fallbackUrl);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Cached shell files load instantly; the copy is refreshed in the background for the next visit
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached ?? refresh;
+}
+
+// Live API data when possible; otherwise the last good response, stamped with when it was fetched
+async function snapshot(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetchWithTimeout(request);
+        if (response.ok) {
+            const headers = new Headers(response.headers);
+            headers.set(CACHED_AT_HEADER, new Date().toISOString());
+            const body = await response.clone().blob();
+            await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function fetchWithTimeout(request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), NETWORK_TIMEOUT);
+    try {
+        // Navigation requests can't be copied with new options, so fetch those by URL. A navigation can only be
+        // answered with an unfollowed redirect, which the browser then follows itself
+        return request.mode === 'navigate'
+            ? await fetch(request.url, { signal: controller.signal, redirect: 'manual' })
+            : await fetch(request, { signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}